@@ -0,0 +1,56 @@
+/**
+ * Benchmarks of the allocating, plain Array backed math against typed storage with out-parameters.
+ * Run with "node MyMath.bench.js" or paste into the dev-console of a page serving MyMath.js.
+ * Typed Mat4x4 products index the flat buffers directly, most of their remaining cost is the Proxy's property lookups.
+ */
+globalThis.window = globalThis.window ?? globalThis;
+const {Vector, Vec3, Matrix, Mat4x4} = await import("./MyMath.js");
+
+/**
+ * Runs fn iterations times after a warm-up and logs the time per call.
+ * 
+ * @param {String} name - Label of the benchmark.
+ * @param {Number} iterations - Amount of calls to time.
+ * @param {function} fn - Code to benchmark.
+ * @return {Number} Nanoseconds per call.
+ */
+function bench(name, iterations, fn) {
+  for (let i = 0; i < Math.min(iterations, 10000); i++) fn();
+
+  let start = performance.now();
+  for (let i = 0; i < iterations; i++) fn();
+  let ns = (performance.now() - start) * 1e6 / iterations;
+
+  console.log(`${name.padEnd(48)} ${ns.toFixed(1).padStart(10)} ns/op`);
+  return ns;
+}
+
+const iterations = 200000;
+const view = Mat4x4.getLookAt([3, 4, 5], [0, 0, 0]);
+const projection = Mat4x4.getPerspective(1, 16 / 9, 0.1, 100);
+
+console.log("Mat4x4.dotProduct");
+let plain = bench("  plain Array, new Mat4x4 per call", iterations, () => Mat4x4.dotProduct(view, projection));
+let outPlain = Mat4x4.getIdentity();
+bench("  plain Array, out-parameter", iterations, () => Mat4x4.dotProduct(view, projection, outPlain));
+let typedView = view.toTyped(), typedProjection = projection.toTyped(), outTyped = Mat4x4.getIdentity().toTyped();
+let typed = bench("  Float32Array, out-parameter", iterations, () => Mat4x4.dotProduct(typedView, typedProjection, outTyped));
+console.log(`  speed-up: ${(plain / typed).toFixed(2)}x`);
+
+console.log("Matrix.dotProduct (6x6)");
+const big = new Matrix([...Array(6)].map((_, i) => [...Array(6)].map((_, j) => i + j)));
+let bigOut = new Matrix(new Float64Array(36), 6, 6);
+plain = bench("  plain Array, new Matrix per call", iterations / 4, () => Matrix.dotProduct(big, big));
+typed = bench("  Float64Array, out-parameter", iterations / 4, () => Matrix.dotProduct(big, big, bigOut));
+console.log(`  speed-up: ${(plain / typed).toFixed(2)}x`);
+
+console.log("Vector add");
+const v1 = new Vec3(1, 2, 3), v2 = new Vec3(4, 5, 6);
+plain = bench("  Vec3.add, new Vec3 per call", iterations, () => v1.add(v2));
+const t1 = v1.toTyped(), t2 = v2.toTyped(), tOut = new Vec3(new Float32Array(3));
+typed = bench("  Float32Array, Vector.add out-parameter", iterations, () => Vector.add(t1, t2, tOut));
+console.log(`  speed-up: ${(plain / typed).toFixed(2)}x`);
+
+console.log("Index access through the Proxy");
+bench("  vector[1]", iterations * 5, () => v1[1]);
+bench("  vector.vArray[1]", iterations * 5, () => v1.vArray[1]);
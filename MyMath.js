@@ -3,6 +3,10 @@
  *  00 General Purpose Functions
  *  01 Matrices and Vectors
  *  02 Randomness and Noise
+ *  03 Geometry
+ *  04 Easing and Curves
+ *  05 Numerics
+ *  06 Statistics
  * 
  *  -1 Dev-Console availabilities
  **********************************************/
@@ -18,6 +22,66 @@ export function rangeMapping(value, oldMin, oldMax, newMin, newMax) {
   return (value - oldMin) / (oldMax - oldMin) * (newMax - newMin) + newMin;
 }
 
+/**
+ * Linear interpolation, exact at both ends.
+ * 
+ * @param {Number|Vector} a - Value at t = 0.
+ * @param {Number|Vector} b - Value at t = 1, of the same type as a.
+ * @param {Number} t - Interpolation factor, not clamped.
+ * @return {Number|Vector} A new value of a's type.
+ */
+export function lerp(a, b, t) {
+  if (typeof(a) === "number") return a * (1 - t) + b * t;
+
+  return weightedSum([a, b], [1 - t, t]);
+}
+
+// Inverse of lerp for numbers: the factor t at which value lies between a and b, 0 if a equals b.
+export function inverseLerp(a, b, value) {
+  return a === b ? 0 : (value - a) / (b - a);
+}
+
+// Hermite step from 0 at edge0 to 1 at edge1, with zero slope at both edges.
+export function smoothstep(edge0, edge1, x) {
+  let t = clamp(inverseLerp(edge0, edge1, x), 0, 1);
+  return t * t * (3 - 2 * t);
+}
+
+// Ken Perlin's variant of smoothstep, which also has zero curvature at both edges.
+export function smootherstep(edge0, edge1, x) {
+  let t = clamp(inverseLerp(edge0, edge1, x), 0, 1);
+  return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+/**
+ * Weighted sum of numbers or of Vectors of the same size, the base of lerp and the curves.
+ * 
+ * @param {Array} values - Numbers or Vectors.
+ * @param {Array} weights - Factor per value.
+ * @return {Number|Vector} A new value of the first value's type.
+ */
+function weightedSum(values, weights) {
+  if (typeof(values[0]) === "number") {
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+      sum += values[i] * weights[i];
+    }
+
+    return sum;
+  }
+
+  let out = new Array(values[0].length).fill(0);
+  for (let i = 0; i < values.length; i++) {
+    if (weights[i] === 0) continue;
+    let v = values[i].vArray;
+    for (let j = 0; j < out.length; j++) {
+      out[j] += v[j] * weights[i];
+    }
+  }
+
+  return new values[0].constructor(out);
+}
+
 export function degToRad(deg) {
   return (deg * Math.PI / 180);
 }
@@ -40,6 +104,11 @@ export class Vector {
       this.length = content[0].length;
       this.vArray.push(...content[0]);
 
+    } else if (ArrayBuffer.isView(content[0])) {
+      // Typed arrays are not copied, the vector becomes a view on them.
+      this.length = content[0].length;
+      this.vArray = content[0];
+
     } else if (typeof(content[0]) === "number") {
       this.length = content.length;
       this.vArray.push(...content);
@@ -47,15 +116,12 @@ export class Vector {
 
     return new Proxy(this, {
       get: function(target, value) {
-        // try-catch-block because symbols throw an error using parseInt
-        try {
-          let v = parseInt(value);
-
-          if (isNaN(v)) return target[value];
-          else return target.vArray[v];
-        } catch {
-          return target[value];
+        // Only keys starting with a digit are indices, which keeps parseInt off every method and property access.
+        if (typeof(value) === "string" && value.charCodeAt(0) >= 48 && value.charCodeAt(0) <= 57) {
+          return target.vArray[parseInt(value)];
         }
+
+        return target[value];
       }
     });
   }
@@ -70,6 +136,60 @@ export class Vector {
   get array() {
     return this.vArray;
   }
+
+  /**
+   * Creates a copy of this vector, stored in a typed array.
+   * 
+   * @param {function} [Type=Float32Array] - Typed array constructor, f.e. Float64Array.
+   * @return {Vector}
+   */
+  toTyped(Type = Float32Array) {
+    return new this.constructor(Type.from(this.vArray));
+  }
+
+  /**
+   * Adds two vectors into out, without allocating if out is given.
+   * 
+   * @param {Vector} v1 - First summand.
+   * @param {Vector} v2 - Second summand.
+   * @param {Vector} [out] - Vector receiving the result, may be v1 or v2, all three of the same length.
+   * @return {Vector} out, or a new vector if out is undefined.
+   */
+  static add(v1, v2, out) {
+    if (out === undefined) return v1.add(v2);
+    if (v1.length !== v2.length || out.length !== v1.length) {
+      throw new Error(`Vector::add - v1, v2 and out need to be of the same length, but have ${v1.length}, ${v2.length} and ${out.length}!`);
+    }
+
+    let a = v1.vArray, b = v2.vArray, o = out.vArray;
+    for (let i = 0; i < o.length; i++) {
+      o[i] = a[i] + b[i];
+    }
+
+    return out;
+  }
+
+  /**
+   * Subtracts v2 from v1 into out, without allocating if out is given.
+   * 
+   * @param {Vector} v1 - Minuend.
+   * @param {Vector} v2 - Subtrahend.
+   * @param {Vector} [out] - Vector receiving the result, may be v1 or v2, all three of the same length.
+   * @return {Vector} out, or a new vector if out is undefined.
+   */
+  static sub(v1, v2, out) {
+    if (out === undefined) return v1.sub(v2);
+    if (v1.length !== v2.length || out.length !== v1.length) {
+      throw new Error(`Vector::sub - v1, v2 and out need to be of the same length, but have ${v1.length}, ${v2.length} and ${out.length}!`);
+    }
+
+    let a = v1.vArray, b = v2.vArray, o = out.vArray;
+    for (let i = 0; i < o.length; i++) {
+      o[i] = a[i] - b[i];
+    }
+
+    return out;
+  }
   
   get magnitude() {
     let squares = 0;
@@ -234,6 +354,131 @@ export class Vector {
   }
 }
 
+/**
+ * LU decomposition with partial pivoting (PA = LU) of a square 2D array.
+ * L (unit diagonal) and U are stored combined in lu.
+ * 
+ * @param {Array} m - Square 2D array, left untouched.
+ * @return {Object} {lu, perm, sign, singular} - perm[i] is the original row of row i, sign the permutation parity.
+ */
+function luDecompose(m) {
+  const n = m.length;
+  let lu = m.map(row => [...row]);
+  let perm = [...Array(n)].map((_, i) => i);
+  let sign = 1;
+  let singular = false;
+
+  // Pivots smaller than this are treated as zero.
+  let maxAbs = 0;
+  for (let row of m) for (let v of row) maxAbs = Math.max(maxAbs, Math.abs(v));
+  const tolerance = maxAbs * n * Number.EPSILON;
+
+  for (let k = 0; k < n; k++) {
+    let pivot = k;
+    for (let i = k + 1; i < n; i++) {
+      if (Math.abs(lu[i][k]) > Math.abs(lu[pivot][k])) pivot = i;
+    }
+
+    if (pivot !== k) {
+      [lu[k], lu[pivot]] = [lu[pivot], lu[k]];
+      [perm[k], perm[pivot]] = [perm[pivot], perm[k]];
+      sign = -sign;
+    }
+
+    if (Math.abs(lu[k][k]) <= tolerance) {
+      singular = true;
+      for (let i = k + 1; i < n; i++) lu[i][k] = 0;
+      continue;
+    }
+
+    for (let i = k + 1; i < n; i++) {
+      lu[i][k] /= lu[k][k];
+      for (let j = k + 1; j < n; j++) {
+        lu[i][j] -= lu[i][k] * lu[k][j];
+      }
+    }
+  }
+
+  return {lu, perm, sign, singular};
+}
+
+/**
+ * Whether luDecompose finds m singular, for the closed-form determinants of the fixed-size matrices.
+ * With partial pivoting no entry of U exceeds 2^(n-1) max|entry|, so a pivot below the tolerance bounds |det|,
+ * and only determinants under that bound need the decomposition.
+ * 
+ * @param {Array} m - Square 2D array.
+ * @param {Number} det - Determinant of m.
+ * @return {Boolean}
+ */
+function isSingular(m, det) {
+  const n = m.length;
+  let maxAbs = 0;
+  for (let row of m) for (let v of row) maxAbs = Math.max(maxAbs, Math.abs(v));
+
+  let bound = maxAbs * n * Number.EPSILON * (2 ** (n - 1) * maxAbs) ** (n - 1);
+  if (det !== 0 && Math.abs(det) > bound) return false;
+
+  return det === 0 || luDecompose(m).singular;
+}
+
+/**
+ * Solves LU x = P b through forward and back substitution.
+ * 
+ * @param {Array} lu - Combined L and U as returned by luDecompose.
+ * @param {Array} perm - Row permutation as returned by luDecompose.
+ * @param {Array} b - Right-hand side.
+ * @return {Array} x
+ */
+function luSolve(lu, perm, b) {
+  const n = lu.length;
+  let x = perm.map(p => b[p]);
+
+  for (let i = 0; i < n; i++) {
+    for (let k = 0; k < i; k++) {
+      x[i] -= lu[i][k] * x[k];
+    }
+  }
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let k = i + 1; k < n; k++) {
+      x[i] -= lu[i][k] * x[k];
+    }
+    x[i] /= lu[i][i];
+  }
+
+  return x;
+}
+
+// Turns the right-hand side of solve and leastSquares into an array of columns.
+function rhsColumns(A, b, caller) {
+  let columns;
+  if (b instanceof Matrix) {
+    columns = [...Array(b.width)].map((_, j) => b.mArray.map(row => row[j]));
+  } else if (b instanceof Vector) {
+    columns = [[...b.vArray]];
+  } else if (Array.isArray(b)) {
+    columns = [[...b]];
+  } else {
+    throw new Error(`Matrix::${caller} - b needs to be a Vector, Matrix or Array, but is of type "${typeof(b)}"!`);
+  }
+
+  if (columns[0].length !== A.height) {
+    throw new Error(`Matrix::${caller} - b needs ${A.height} rows to match A, but has ${columns[0].length}!`);
+  }
+
+  return columns;
+}
+
+// New matrix of A's class, size and storage, filled with zeros.
+function emptyLike(A) {
+  if (A.mBuffer !== undefined) {
+    return new A.constructor(new A.mBuffer.constructor(A.height * A.width), A.height, A.width);
+  }
+
+  return new A.constructor([...Array(A.height)].map(() => new Array(A.width).fill(0)));
+}
+
 // Base Matrix-Class
 export class Matrix {
   // Creates matrix-object, proxied to allow direct reading of values.
@@ -241,22 +486,36 @@ export class Matrix {
     this.height = undefined;
     this.width = undefined;
     this.mArray = undefined;
+    this.mBuffer = undefined;
 
     // Allow direct access to mArray.
     let proxy = new Proxy(this, {
       get: function(target, value) {
-        // try-catch-block because symbols throw an error using parseInt
-        try {
-          let v = parseInt(value);
-
-          if (isNaN(v)) return target[value];
-          else return target.mArray[v];
-        } catch {
-          return target[value];
+        // Only keys starting with a digit are indices, which keeps parseInt off every method and property access.
+        if (typeof(value) === "string" && value.charCodeAt(0) >= 48 && value.charCodeAt(0) <= 57) {
+          return target.mArray[parseInt(value)];
         }
+
+        return target[value];
       }
     });
 
+    // Typed array holding the values row after row, (Height), (Width)
+    // The rows of mArray become subarray views on it, so the array getter can hand it to WebGL without copying.
+    if (ArrayBuffer.isView(content[0])) {
+      this.height = content[1] ?? Math.round(Math.sqrt(content[0].length));
+      this.width = content[2] ?? this.height;
+      this.mBuffer = content[0];
+
+      if (this.mBuffer.length !== this.width * this.height) {
+        throw new Error(`Matrix::constructor - You need ${this.width * this.height} values for a ${this.height} x ${this.width} Matrix, but gave ${this.mBuffer.length}!`);
+      }
+
+      this.mArray = [...Array(this.height)].map((_, i) => this.mBuffer.subarray(i * this.width, (i + 1) * this.width));
+
+      return proxy;
+    }
+
     // 2D Array
     if (content[0] instanceof Array && content[0][0] instanceof Array) {
       this.height = content[0].length;
@@ -296,7 +555,7 @@ export class Matrix {
 
       for (let i = 0; i < this.height; i++) {
         for (let j = 0; j < this.width; j++) {
-          this.mArray[i][j] = content[j].asArray[i];
+          this.mArray[i][j] = content[j].vArray[i];
         }
       }
 
@@ -332,6 +591,8 @@ export class Matrix {
   }
 
   get array() {
+    if (this.mBuffer !== undefined) return this.mBuffer;
+
     let arr = [];
     for (let v of this) {
       arr.push(v);
@@ -339,6 +600,16 @@ export class Matrix {
 
     return arr;
   }
+
+  /**
+   * Creates a copy of this matrix, stored in a typed array.
+   * 
+   * @param {function} [Type=Float32Array] - Typed array constructor, f.e. Float64Array.
+   * @return {Matrix}
+   */
+  toTyped(Type = Float32Array) {
+    return new this.constructor(Type.from(this), this.height, this.width);
+  }
   
   // Simple iterator/generator to iterate over the 2D array.
   // Iterates row after row. 
@@ -371,38 +642,65 @@ export class Matrix {
    * 
    * @param {Vector||Matrix} m1 - First matrix.
    * @param {Vector||Matrix} m2 - Second matrix.
+   * @param {Vector||Matrix} [out] - Receives the result instead of a new object, needs to be of the resulting size.
    * @return {Vector||Matrix}
   */
-  static dotProduct(m1, m2) {
-    let in1 = m1;
-    let in2 = m2;
-    let asVector = false;
-    
-    if (in1 instanceof Vector) {
-      in1 = new Matrix(in1);
-      asVector = true;
-    }
-    if (in2 instanceof Vector) {
-      in2 = new Matrix(in2);
-      asVector = true;
-    }
+  static dotProduct(m1, m2, out) {
+    // Vectors are read as single-column matrices in place, without wrapping them.
+    let asVector = m1 instanceof Vector || m2 instanceof Vector;
+    let v1 = m1 instanceof Vector ? m1.vArray : undefined;
+    let v2 = m2 instanceof Vector ? m2.vArray : undefined;
+    let height1 = v1 ? v1.length : m1.height, width1 = v1 ? 1 : m1.width;
+    let height2 = v2 ? v2.length : m2.height, width2 = v2 ? 1 : m2.width;
 
-    if (in1.width !== in2.height) {
+    if (width1 !== height2) {
       throw new Error(`Matrix::dotProduct - Width of the first Matrix needs to be equal to the height of the second Matrix!`);
     }
     
-    let outHeight = in1.height;
-    let outWidth = in2.width;
+    let outHeight = height1;
+    let outWidth = width2;
+
+    if (out !== undefined && !asVector && (out.height !== outHeight || out.width !== outWidth)) {
+      throw new Error(`Matrix::dotProduct - out needs to be a ${outHeight}x${outWidth} Matrix, but is ${out.height}x${out.width}!`);
+    }
+    if (out !== undefined && asVector && out.length !== outHeight) {
+      throw new Error(`Matrix::dotProduct - out needs to be a Vector of length ${outHeight}, but has ${out.length}!`);
+    }
 
-    let outArray = [...Array(outHeight)].map(() => [...Array(outWidth)]);
+    // Writes straight into out, unless it is also an input.
+    let direct = out !== undefined && out !== m1 && out !== m2;
+    let outArray;
+    if (direct) {
+      outArray = asVector ? undefined : out.mArray;
+    } else {
+      outArray = [...Array(outHeight)].map(() => [...Array(outWidth)]);
+    }
+    let outVector = direct && asVector ? out.vArray : undefined;
+    let a = v1 ? undefined : m1.mArray, b = v2 ? undefined : m2.mArray;
 
     for (let i = 0; i < outWidth; i++) {
       for (let j = 0; j < outHeight; j++) {
-        outArray[j][i] = 0;
-        for (let c = 0; c < in1.width; c++) {
-          outArray[j][i] += in1.mArray[j][c] * in2.mArray[c][i];
+        let sum = 0;
+        for (let c = 0; c < width1; c++) {
+          sum += (v1 ? v1[j] : a[j][c]) * (v2 ? v2[c] : b[c][i]);
+        }
+        if (outVector) outVector[j] = sum;
+        else outArray[j][i] = sum;
+      }
+    }
+
+    if (direct) return out;
+
+    if (out !== undefined) {
+      if (asVector) {
+        for (let j = 0; j < outHeight; j++) out.vArray[j] = outArray[j][0];
+      } else {
+        for (let j = 0; j < outHeight; j++) {
+          for (let i = 0; i < outWidth; i++) out.mArray[j][i] = outArray[j][i];
         }
       }
+
+      return out;
     }
 
     if (asVector) {
@@ -411,499 +709,6205 @@ export class Matrix {
       return new Matrix(outArray);
     }
   }
-}
 
-// Specific Vectors
-export class Vec2 extends Vector {
-  // TODO: fill in.
-}
+  /**
+   * Adds two matrices of the same size into out, without allocating if out is given.
+   * 
+   * @param {Matrix} A - First summand.
+   * @param {Matrix} B - Second summand.
+   * @param {Matrix} [out] - Matrix receiving the result, may be A or B.
+   * @return {Matrix} out, or a new matrix of A's class if out is undefined.
+   */
+  static add(A, B, out) {
+    if (A.height !== B.height || A.width !== B.width) {
+      throw new Error(`Matrix::add - Both matrices need the same size, but are ${A.height}x${A.width} and ${B.height}x${B.width}!`);
+    }
 
-export class Vec3 extends Vector {
-  toString() {
-    return "Vector3";
-  }
+    let a = A.mArray, b = B.mArray;
+    if (out === undefined) out = emptyLike(A);
 
-  get x() {
-    return this.vArray[0];
-  }
-  set x(value) {
-    this.vArray[0] = value;
-  }
+    let o = out.mArray;
+    for (let i = 0; i < A.height; i++) {
+      for (let j = 0; j < A.width; j++) {
+        o[i][j] = a[i][j] + b[i][j];
+      }
+    }
 
-  get y() {
-    return this.vArray[1];
-  }
-  set y(value) {
-    this.vArray[1] = value;
+    return out;
   }
 
-  get z() {
-    return this.vArray[2];
-  }
-  set z(value) {
-    this.vArray[2] = value;
+  /**
+   * Subtracts B from A into out, without allocating if out is given.
+   * 
+   * @param {Matrix} A - Minuend.
+   * @param {Matrix} B - Subtrahend.
+   * @param {Matrix} [out] - Matrix receiving the result, may be A or B.
+   * @return {Matrix} out, or a new matrix of A's class if out is undefined.
+   */
+  static sub(A, B, out) {
+    if (A.height !== B.height || A.width !== B.width) {
+      throw new Error(`Matrix::sub - Both matrices need the same size, but are ${A.height}x${A.width} and ${B.height}x${B.width}!`);
+    }
+
+    let a = A.mArray, b = B.mArray;
+    if (out === undefined) out = emptyLike(A);
+
+    let o = out.mArray;
+    for (let i = 0; i < A.height; i++) {
+      for (let j = 0; j < A.width; j++) {
+        o[i][j] = a[i][j] - b[i][j];
+      }
+    }
+
+    return out;
   }
 
-  get magnitude() {
-    return Math.sqrt(this.vArray[0] * this.vArray[0] + this.vArray[1] * this.vArray[1] + this.vArray[2] * this.vArray[2]);
+  get isSquare() {
+    return this.height === this.width;
   }
 
   /**
-   * Calculates coordinate based cross product of this with another vector.
-   * 
-   * @param {Vec3||Array} v2 - Vector of size 3 to cross this vector with.
-   * @param {Boolean} [self=false] - If self, changes this vector. If not self, creates new Vec3 with results.
-   * 
-   * @return {Vec3}
+   * Sum of the main diagonal.
    */
-  crossProduct(v2, self = false) {
-    let o0 = this.vArray[1] * v2[2] - this.vArray[2] * v2[1];
-    let o1 = this.vArray[2] * v2[0] - this.vArray[0] * v2[2];
-    let o2 = this.vArray[0] * v2[1] - this.vArray[1] * v2[0];
-    if (self) {
-      this.vArray[0] = o0;
-      this.vArray[1] = o1;
-      this.vArray[2] = o2;
-      return this;
-    } else {
-      return new Vec3(o0, o1, o2);
+  get trace() {
+    if (!this.isSquare) {
+      throw new Error(`Matrix::trace - Only square matrices have a trace, but this is ${this.height}x${this.width}!`);
+    }
+
+    let out = 0;
+    for (let i = 0; i < this.height; i++) {
+      out += this.mArray[i][i];
     }
+
+    return out;
   }
 
-  add(v2, self = false) {
-    let o0 = this.vArray[0] + v2[0];
-    let o1 = this.vArray[1] + v2[1];
-    let o2 = this.vArray[2] + v2[2];
+  /**
+   * Determinant, calculated through LU decomposition.
+   */
+  get determinant() {
+    if (!this.isSquare) {
+      throw new Error(`Matrix::determinant - Only square matrices have a determinant, but this is ${this.height}x${this.width}!`);
+    }
 
-    if (self) {
-      this.vArray[0] = o0;
-      this.vArray[1] = o1;
-      this.vArray[2] = o2;
+    let {lu, sign, singular} = luDecompose(this.mArray);
+    if (singular) return 0;
 
-      return this;
-    } else {
-      return new Vec3(o0, o1, o2);
+    let out = sign;
+    for (let i = 0; i < this.height; i++) {
+      out *= lu[i][i];
     }
+
+    return out;
   }
 
-  sub(v2, self = false) {
-    let o0 = this.vArray[0] - v2[0];
-    let o1 = this.vArray[1] - v2[1];
-    let o2 = this.vArray[2] - v2[2];
+  /**
+   * Amount of linearly independent rows, calculated through gaussian elimination.
+   */
+  get rank() {
+    let m = this.mArray.map(row => [...row]);
 
-    if (self) {
-      this.vArray[0] = o0;
-      this.vArray[1] = o1;
-      this.vArray[2] = o2;
+    let maxAbs = 0;
+    for (let v of this) maxAbs = Math.max(maxAbs, Math.abs(v));
+    const tolerance = maxAbs * Math.max(this.height, this.width) * Number.EPSILON;
 
-      return this;
-    } else {
-      return new Vec3(o0, o1, o2);
-    }
-  }
-}
+    let rank = 0;
+    for (let col = 0; col < this.width && rank < this.height; col++) {
+      let pivot = rank;
+      for (let i = rank + 1; i < this.height; i++) {
+        if (Math.abs(m[i][col]) > Math.abs(m[pivot][col])) pivot = i;
+      }
+      if (Math.abs(m[pivot][col]) <= tolerance) continue;
 
-// Specific Matrices
-export class Mat2x2 extends Matrix {
-  constructor(in1, in2, in3, in4) {
-    if (typeof(in1) === "number") {
-      return super(2, 2, ...arguments);
-    } else {
-      return super(...arguments);
+      [m[rank], m[pivot]] = [m[pivot], m[rank]];
+      for (let i = rank + 1; i < this.height; i++) {
+        let f = m[i][col] / m[rank][col];
+        for (let j = col; j < this.width; j++) {
+          m[i][j] -= f * m[rank][j];
+        }
+      }
+
+      rank++;
     }
-  }
 
-  toString() {
-    return "Mat2x2";
+    return rank;
   }
 
-  static getIdentity() {
-    return new Mat2x2(
-      [1, 0],
-      [0, 1]
-      );
+  /**
+   * Creates the transpose of this matrix (rows become columns).
+   * 
+   * @return {Matrix}
+   */
+  transpose() {
+    let outArray = [...Array(this.width)].map((_, i) => [...Array(this.height)].map((_, j) => this.mArray[j][i]));
+    return this.isSquare ? new this.constructor(outArray) : new Matrix(outArray);
   }
 
-  static getScaling(x = 1, y = 1) {
-    return new Mat2x2(
-      [x, 0],
+  /**
+   * Creates the inverse of this matrix, calculated through LU decomposition with partial pivoting.
+   * 
+   * @return {Matrix}
+   */
+  inverse() {
+    if (!this.isSquare) {
+      throw new Error(`Matrix::inverse - Only square matrices can be inverted, but this is ${this.height}x${this.width}!`);
+    }
+
+    const n = this.height;
+    let {lu, perm, singular} = luDecompose(this.mArray);
+    if (singular) {
+      throw new Error(`Matrix::inverse - Matrix is singular and cannot be inverted!`);
+    }
+
+    let outArray = [...Array(n)].map(() => [...Array(n)]);
+
+    // Solves A x = e_col for every column of the identity.
+    for (let col = 0; col < n; col++) {
+      let x = luSolve(lu, perm, [...Array(n)].map((_, i) => (i === col ? 1 : 0)));
+      for (let i = 0; i < n; i++) {
+        outArray[i][col] = x[i];
+      }
+    }
+
+    return new this.constructor(outArray);
+  }
+
+  /**
+   * Decomposes a square matrix into P * A = L * U, using partial pivoting.
+   * 
+   * @param {Matrix} A - Square matrix to decompose.
+   * @return {Object} {L, U, P} - Lower triangular (unit diagonal), upper triangular and permutation matrix.
+   */
+  static luDecomposition(A) {
+    if (!A.isSquare) {
+      throw new Error(`Matrix::luDecomposition - Only square matrices can be decomposed, but A is ${A.height}x${A.width}!`);
+    }
+
+    const n = A.height;
+    let {lu, perm} = luDecompose(A.mArray);
+
+    let L = [...Array(n)].map((_, i) => [...Array(n)].map((_, j) => (i === j ? 1 : (j < i ? lu[i][j] : 0))));
+    let U = [...Array(n)].map((_, i) => [...Array(n)].map((_, j) => (j >= i ? lu[i][j] : 0)));
+    let P = [...Array(n)].map((_, i) => [...Array(n)].map((_, j) => (perm[i] === j ? 1 : 0)));
+
+    return {L: new Matrix(L), U: new Matrix(U), P: new Matrix(P)};
+  }
+
+  /**
+   * Decomposes a matrix into A = Q * R through householder reflections.
+   * 
+   * @param {Matrix} A - Matrix to decompose, height >= width.
+   * @return {Object} {Q, R} - Orthogonal height x height matrix and upper triangular height x width matrix.
+   */
+  static qrDecomposition(A) {
+    const m = A.height;
+    const n = A.width;
+    if (m < n) {
+      throw new Error(`Matrix::qrDecomposition - A needs at least as many rows as columns, but is ${m}x${n}!`);
+    }
+
+    let R = A.mArray.map(row => [...row]);
+    let Q = [...Array(m)].map((_, i) => [...Array(m)].map((_, j) => (i === j ? 1 : 0)));
+
+    for (let k = 0; k < Math.min(m - 1, n); k++) {
+      // Householder vector v, reflecting column k onto the k-th axis.
+      let norm = 0;
+      for (let i = k; i < m; i++) norm += R[i][k] * R[i][k];
+      norm = Math.sqrt(norm);
+      if (norm === 0) continue;
+
+      let alpha = R[k][k] > 0 ? -norm : norm;
+      let v = [...Array(m - k)].map((_, i) => R[k + i][k]);
+      v[0] -= alpha;
+
+      let vNorm = Math.sqrt(v.reduce((sum, c) => sum + c * c, 0));
+      if (vNorm === 0) continue;
+      v = v.map(c => c / vNorm);
+
+      // R = H * R
+      for (let j = 0; j < n; j++) {
+        let dot = 0;
+        for (let i = 0; i < v.length; i++) dot += v[i] * R[k + i][j];
+        for (let i = 0; i < v.length; i++) R[k + i][j] -= 2 * v[i] * dot;
+      }
+
+      // Q = Q * H
+      for (let i = 0; i < m; i++) {
+        let dot = 0;
+        for (let j = 0; j < v.length; j++) dot += Q[i][k + j] * v[j];
+        for (let j = 0; j < v.length; j++) Q[i][k + j] -= 2 * dot * v[j];
+      }
+
+      for (let i = k + 1; i < m; i++) R[i][k] = 0;
+    }
+
+    return {Q: new Matrix(Q), R: new Matrix(R)};
+  }
+
+  /**
+   * Decomposes a symmetric, positive definite matrix into A = L * L^T.
+   * 
+   * @param {Matrix} A - Symmetric, positive definite matrix.
+   * @return {Matrix} Lower triangular matrix L.
+   */
+  static choleskyDecomposition(A) {
+    if (!A.isSquare) {
+      throw new Error(`Matrix::choleskyDecomposition - Only square matrices can be decomposed, but A is ${A.height}x${A.width}!`);
+    }
+
+    const n = A.height;
+    let L = [...Array(n)].map(() => [...Array(n)].map(() => 0));
+
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j <= i; j++) {
+        if (Math.abs(A.mArray[i][j] - A.mArray[j][i]) > 1e-12 * Math.max(1, Math.abs(A.mArray[i][j]))) {
+          throw new Error(`Matrix::choleskyDecomposition - A needs to be symmetric!`);
+        }
+
+        let sum = A.mArray[i][j];
+        for (let k = 0; k < j; k++) {
+          sum -= L[i][k] * L[j][k];
+        }
+
+        if (i === j) {
+          if (sum <= 0) {
+            throw new Error(`Matrix::choleskyDecomposition - A needs to be positive definite!`);
+          }
+          L[i][i] = Math.sqrt(sum);
+        } else {
+          L[i][j] = sum / L[j][j];
+        }
+      }
+    }
+
+    return new Matrix(L);
+  }
+
+  /**
+   * Solves the linear system A * x = b.
+   * Square systems are solved through LU decomposition, overdetermined ones in the least-squares sense.
+   * 
+   * @param {Matrix} A - Coefficient matrix.
+   * @param {Vector||Matrix||Array} b - Right-hand side; a matrix solves for each of its columns.
+   * @return {Vector||Matrix} x, a Matrix if b is one.
+   * 
+   * @example
+   * // 2x + y = 5, x - y = 1
+   * Matrix.solve(new Matrix([2, 1], [1, -1]), new Vector(5, 1));  // Vector(2, 1)
+   */
+  static solve(A, b) {
+    if (A.height > A.width) return Matrix.leastSquares(A, b);
+    if (A.height < A.width) {
+      throw new Error(`Matrix::solve - System is underdetermined, A is ${A.height}x${A.width}!`);
+    }
+
+    let columns = rhsColumns(A, b, "solve");
+    let {lu, perm, singular} = luDecompose(A.mArray);
+    if (singular) {
+      throw new Error(`Matrix::solve - A is singular, the system has no unique solution!`);
+    }
+
+    let solutions = columns.map(c => luSolve(lu, perm, c));
+    if (b instanceof Matrix) {
+      return new Matrix([...Array(A.width)].map((_, i) => solutions.map(x => x[i])));
+    }
+
+    return new Vector(solutions[0]);
+  }
+
+  /**
+   * Finds x minimizing |A * x - b| through QR decomposition.
+   * 
+   * @param {Matrix} A - Coefficient matrix with full column rank, height >= width.
+   * @param {Vector||Matrix||Array} b - Right-hand side; a matrix solves for each of its columns.
+   * @return {Vector||Matrix} x, a Matrix if b is one.
+   * 
+   * @example
+   * // Fits y = c0 + c1 * t through (0, 1), (1, 3), (2, 4)
+   * Matrix.leastSquares(new Matrix([1, 0], [1, 1], [1, 2]), new Vector(1, 3, 4));  // Vector(1.1667, 1.5)
+   */
+  static leastSquares(A, b) {
+    let columns = rhsColumns(A, b, "leastSquares");
+    let {Q, R} = Matrix.qrDecomposition(A);
+    const n = A.width;
+
+    let maxAbs = 0;
+    for (let i = 0; i < n; i++) maxAbs = Math.max(maxAbs, Math.abs(R.mArray[i][i]));
+    for (let i = 0; i < n; i++) {
+      if (Math.abs(R.mArray[i][i]) <= maxAbs * A.height * Number.EPSILON) {
+        throw new Error(`Matrix::leastSquares - A does not have full column rank!`);
+      }
+    }
+
+    let solutions = columns.map(c => {
+      // x = R^-1 * (Q^T * b), using only the upper n rows.
+      let x = [...Array(n)].map((_, i) => {
+        let sum = 0;
+        for (let k = 0; k < A.height; k++) sum += Q.mArray[k][i] * c[k];
+        return sum;
+      });
+
+      for (let i = n - 1; i >= 0; i--) {
+        for (let k = i + 1; k < n; k++) {
+          x[i] -= R.mArray[i][k] * x[k];
+        }
+        x[i] /= R.mArray[i][i];
+      }
+
+      return x;
+    });
+
+    if (b instanceof Matrix) {
+      return new Matrix([...Array(n)].map((_, i) => solutions.map(x => x[i])));
+    }
+
+    return new Vector(solutions[0]);
+  }
+
+  /**
+   * Decomposes a symmetric matrix into its eigenvalues and eigenvectors through cyclic Jacobi rotations.
+   * 
+   * @param {Matrix} A - Symmetric matrix.
+   * @return {Object} {values, vectors} - Vector of eigenvalues in descending order and a Matrix holding the matching normalized eigenvectors as columns.
+   * 
+   * @example
+   * let {values, vectors} = Matrix.symmetricEigenDecomposition(new Matrix([2, 1], [1, 2]));
+   * values.array;  // [3, 1]
+   */
+  static symmetricEigenDecomposition(A) {
+    if (!A.isSquare) {
+      throw new Error(`Matrix::symmetricEigenDecomposition - Only square matrices have eigenvalues, but A is ${A.height}x${A.width}!`);
+    }
+
+    const n = A.height;
+    let a = A.mArray.map(row => [...row]);
+    let v = [...Array(n)].map((_, i) => [...Array(n)].map((_, j) => (i === j ? 1 : 0)));
+
+    let norm = 0;
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        if (Math.abs(a[i][j] - a[j][i]) > 1e-12 * Math.max(1, Math.abs(a[i][j]))) {
+          throw new Error(`Matrix::symmetricEigenDecomposition - A needs to be symmetric!`);
+        }
+        norm += a[i][j] * a[i][j];
+      }
+    }
+    const tolerance = norm * Number.EPSILON * Number.EPSILON;
+
+    for (let sweep = 0; sweep < 100; sweep++) {
+      let off = 0;
+      for (let p = 0; p < n; p++) {
+        for (let q = p + 1; q < n; q++) off += a[p][q] * a[p][q];
+      }
+      if (off <= tolerance) break;
+
+      for (let p = 0; p < n; p++) {
+        for (let q = p + 1; q < n; q++) {
+          if (a[p][q] === 0) continue;
+
+          // Rotation angle zeroing a[p][q].
+          let theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+          let t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+          let c = 1 / Math.sqrt(t * t + 1);
+          let s = t * c;
+
+          for (let k = 0; k < n; k++) {
+            let akp = a[k][p], akq = a[k][q];
+            a[k][p] = c * akp - s * akq;
+            a[k][q] = s * akp + c * akq;
+          }
+          for (let k = 0; k < n; k++) {
+            let apk = a[p][k], aqk = a[q][k];
+            a[p][k] = c * apk - s * aqk;
+            a[q][k] = s * apk + c * aqk;
+          }
+          for (let k = 0; k < n; k++) {
+            let vkp = v[k][p], vkq = v[k][q];
+            v[k][p] = c * vkp - s * vkq;
+            v[k][q] = s * vkp + c * vkq;
+          }
+        }
+      }
+    }
+
+    let order = [...Array(n)].map((_, i) => i).sort((i, j) => a[j][j] - a[i][i]);
+
+    return {
+      values: new Vector(order.map(i => a[i][i])),
+      vectors: new Matrix(v.map(row => order.map(i => row[i])))
+    };
+  }
+
+  /**
+   * Calculates the eigenvalues of a general square matrix through the double shifted QR algorithm on its Hessenberg form.
+   * Complex eigenvalues come in conjugate pairs.
+   * 
+   * @param {Matrix} A - Square matrix.
+   * @return {Object} {real, imaginary} - Vectors of the real and imaginary parts, sorted descending by real part.
+   * 
+   * @example
+   * // 90 degree rotation
+   * Matrix.eigenvalues(new Matrix([0, -1], [1, 0]));  // real: [0, 0], imaginary: [1, -1]
+   */
+  static eigenvalues(A) {
+    if (!A.isSquare) {
+      throw new Error(`Matrix::eigenvalues - Only square matrices have eigenvalues, but A is ${A.height}x${A.width}!`);
+    }
+
+    const n = A.height;
+    let h = A.mArray.map(row => [...row]);
+
+    // Reduction to upper Hessenberg form through householder similarity transforms.
+    for (let k = 0; k < n - 2; k++) {
+      let norm = 0;
+      for (let i = k + 1; i < n; i++) norm += h[i][k] * h[i][k];
+      norm = Math.sqrt(norm);
+      if (norm === 0) continue;
+
+      let u = [...Array(n - k - 1)].map((_, i) => h[k + 1 + i][k]);
+      u[0] -= h[k + 1][k] > 0 ? -norm : norm;
+      let uNorm = Math.sqrt(u.reduce((sum, c) => sum + c * c, 0));
+      if (uNorm === 0) continue;
+      u = u.map(c => c / uNorm);
+
+      for (let j = 0; j < n; j++) {
+        let dot = 0;
+        for (let i = 0; i < u.length; i++) dot += u[i] * h[k + 1 + i][j];
+        for (let i = 0; i < u.length; i++) h[k + 1 + i][j] -= 2 * u[i] * dot;
+      }
+      for (let i = 0; i < n; i++) {
+        let dot = 0;
+        for (let j = 0; j < u.length; j++) dot += h[i][k + 1 + j] * u[j];
+        for (let j = 0; j < u.length; j++) h[i][k + 1 + j] -= 2 * dot * u[j];
+      }
+    }
+
+    let real = [];
+    let imaginary = [];
+    let hi = n - 1;
+    let iterations = 0;
+
+    while (hi >= 0) {
+      // Finds the start of the unreduced block ending at hi.
+      let lo = hi;
+      while (lo > 0 && Math.abs(h[lo][lo - 1]) > Number.EPSILON * (Math.abs(h[lo - 1][lo - 1]) + Math.abs(h[lo][lo]))) lo--;
+
+      if (lo === hi) {
+        real.push(h[hi][hi]);
+        imaginary.push(0);
+        hi--;
+        iterations = 0;
+        continue;
+      }
+
+      if (lo === hi - 1) {
+        let tr = h[hi - 1][hi - 1] + h[hi][hi];
+        let det = h[hi - 1][hi - 1] * h[hi][hi] - h[hi - 1][hi] * h[hi][hi - 1];
+        let disc = tr * tr / 4 - det;
+
+        if (disc >= 0) {
+          real.push(tr / 2 + Math.sqrt(disc), tr / 2 - Math.sqrt(disc));
+          imaginary.push(0, 0);
+        } else {
+          real.push(tr / 2, tr / 2);
+          imaginary.push(Math.sqrt(-disc), -Math.sqrt(-disc));
+        }
+
+        hi -= 2;
+        iterations = 0;
+        continue;
+      }
+
+      if (++iterations > 100 * n) {
+        throw new Error(`Matrix::eigenvalues - QR algorithm did not converge!`);
+      }
+
+      // Francis double shift through the eigenvalues of the trailing 2x2 block, with exceptional shifts to break cycles.
+      let s, t;
+      if (iterations % 10 === 0) {
+        let x = Math.abs(h[hi][hi - 1]) + Math.abs(h[hi - 1][hi - 2]);
+        s = 1.5 * x;
+        t = x * x;
+      } else {
+        s = h[hi - 1][hi - 1] + h[hi][hi];
+        t = h[hi - 1][hi - 1] * h[hi][hi] - h[hi - 1][hi] * h[hi][hi - 1];
+      }
+
+      // M = H^2 - s * H + t * I on the active block, then H = Q^T * H * Q with M = Q * R.
+      const size = hi - lo + 1;
+      let block = [...Array(size)].map((_, i) => [...Array(size)].map((_, j) => h[lo + i][lo + j]));
+      let m = [...Array(size)].map((_, i) => [...Array(size)].map((_, j) => {
+        let sum = (i === j ? t : 0) - s * block[i][j];
+        for (let k = 0; k < size; k++) sum += block[i][k] * block[k][j];
+        return sum;
+      }));
+
+      let Q = Matrix.qrDecomposition(new Matrix(m)).Q.mArray;
+      let qh = [...Array(size)].map((_, i) => [...Array(size)].map((_, j) => {
+        let sum = 0;
+        for (let k = 0; k < size; k++) sum += Q[k][i] * block[k][j];
+        return sum;
+      }));
+
+      for (let i = 0; i < size; i++) {
+        for (let j = 0; j < size; j++) {
+          let sum = 0;
+          for (let k = 0; k < size; k++) sum += qh[i][k] * Q[k][j];
+          // Keeps the Hessenberg form exact, the entries below the subdiagonal are rounding noise.
+          h[lo + i][lo + j] = i > j + 1 ? 0 : sum;
+        }
+      }
+    }
+
+    let order = real.map((_, i) => i).sort((i, j) => real[j] - real[i] || imaginary[j] - imaginary[i]);
+
+    return {
+      real: new Vector(order.map(i => real[i])),
+      imaginary: new Vector(order.map(i => imaginary[i]))
+    };
+  }
+
+  /**
+   * Decomposes a matrix into A = U * diag(S) * V^T (thin SVD) through one-sided Jacobi rotations.
+   * 
+   * @param {Matrix} A - Matrix to decompose.
+   * @return {Object} {U, S, V} - height x k Matrix, Vector of the k singular values in descending order and width x k Matrix, with k = min(height, width).
+   */
+  static singularValueDecomposition(A) {
+    if (A.height < A.width) {
+      let {U, S, V} = Matrix.singularValueDecomposition(A.transpose());
+      return {U: V, S: S, V: U};
+    }
+
+    const m = A.height;
+    const n = A.width;
+    let u = A.mArray.map(row => [...row]);
+    let v = [...Array(n)].map((_, i) => [...Array(n)].map((_, j) => (i === j ? 1 : 0)));
+
+    for (let sweep = 0; sweep < 100; sweep++) {
+      let rotated = false;
+
+      for (let p = 0; p < n; p++) {
+        for (let q = p + 1; q < n; q++) {
+          let alpha = 0, beta = 0, gamma = 0;
+          for (let i = 0; i < m; i++) {
+            alpha += u[i][p] * u[i][p];
+            beta += u[i][q] * u[i][q];
+            gamma += u[i][p] * u[i][q];
+          }
+          if (Math.abs(gamma) <= Number.EPSILON * Math.sqrt(alpha * beta)) continue;
+          rotated = true;
+
+          // Rotation making columns p and q orthogonal.
+          let zeta = (beta - alpha) / (2 * gamma);
+          let t = (zeta >= 0 ? 1 : -1) / (Math.abs(zeta) + Math.sqrt(1 + zeta * zeta));
+          let c = 1 / Math.sqrt(1 + t * t);
+          let s = c * t;
+
+          for (let i = 0; i < m; i++) {
+            let up = u[i][p], uq = u[i][q];
+            u[i][p] = c * up - s * uq;
+            u[i][q] = s * up + c * uq;
+          }
+          for (let i = 0; i < n; i++) {
+            let vp = v[i][p], vq = v[i][q];
+            v[i][p] = c * vp - s * vq;
+            v[i][q] = s * vp + c * vq;
+          }
+        }
+      }
+
+      if (!rotated) break;
+    }
+
+    // The singular values are the column norms, normalizing the columns gives U.
+    let sigma = [...Array(n)].map((_, j) => Math.sqrt(u.reduce((sum, row) => sum + row[j] * row[j], 0)));
+    for (let i = 0; i < m; i++) {
+      for (let j = 0; j < n; j++) {
+        u[i][j] = sigma[j] === 0 ? 0 : u[i][j] / sigma[j];
+      }
+    }
+
+    let order = sigma.map((_, i) => i).sort((i, j) => sigma[j] - sigma[i]);
+
+    return {
+      U: new Matrix(u.map(row => order.map(j => row[j]))),
+      S: new Vector(order.map(j => sigma[j])),
+      V: new Matrix(v.map(row => order.map(j => row[j])))
+    };
+  }
+
+  /**
+   * Creates the Moore-Penrose pseudo-inverse of this matrix through its singular value decomposition.
+   * 
+   * @return {Matrix} width x height Matrix.
+   */
+  pseudoInverse() {
+    let {U, S, V} = Matrix.singularValueDecomposition(this);
+    const tolerance = Math.max(this.height, this.width) * (S.vArray[0] ?? 0) * Number.EPSILON;
+
+    let outArray = [...Array(this.width)].map((_, i) => [...Array(this.height)].map((_, j) => {
+      let sum = 0;
+      for (let k = 0; k < S.length; k++) {
+        if (S.vArray[k] > tolerance) sum += V.mArray[i][k] * U.mArray[j][k] / S.vArray[k];
+      }
+      return sum;
+    }));
+
+    return new Matrix(outArray);
+  }
+}
+
+// Specific Vectors
+export class Vec2 extends Vector {
+  toString() {
+    return "Vector2";
+  }
+
+  get x() {
+    return this.vArray[0];
+  }
+  set x(value) {
+    this.vArray[0] = value;
+  }
+
+  get y() {
+    return this.vArray[1];
+  }
+  set y(value) {
+    this.vArray[1] = value;
+  }
+
+  get magnitude() {
+    return Math.sqrt(this.vArray[0] * this.vArray[0] + this.vArray[1] * this.vArray[1]);
+  }
+
+  /**
+   * Calculates the 2D cross product (perp dot product) of this with another vector.
+   * Positive if v2 is counter-clockwise from this vector, negative if clockwise and 0 if parallel.
+   * 
+   * @param {Vec2||Array} v2 - Vector of size 2 to cross this vector with.
+   * @return {Number}
+   */
+  crossProduct(v2) {
+    return this.vArray[0] * v2[1] - this.vArray[1] * v2[0];
+  }
+
+  /**
+   * Rotates this vector by 90 degrees counter-clockwise.
+   * 
+   * @param {Boolean} [self=false] - If self, changes this vector. If not self, creates new Vec2 with results.
+   * @return {Vec2}
+   */
+  perpendicular(self = false) {
+    let o0 = -this.vArray[1];
+    let o1 = this.vArray[0];
+
+    if (self) {
+      this.vArray[0] = o0;
+      this.vArray[1] = o1;
+
+      return this;
+    } else {
+      return new Vec2(o0, o1);
+    }
+  }
+
+  /**
+   * Calculates the signed angle from this vector to another vector.
+   * 
+   * @param {Vec2||Array} v2 - Vector of size 2 to measure the angle to.
+   * @return {Number} Angle in radians within (-PI, PI], positive if counter-clockwise.
+   */
+  angleTo(v2) {
+    let dot = this.vArray[0] * v2[0] + this.vArray[1] * v2[1];
+    return Math.atan2(this.crossProduct(v2), dot);
+  }
+
+  /**
+   * Rotates this vector counter-clockwise around the origin.
+   * 
+   * @param {Number} angle - Angle in radians.
+   * @param {Boolean} [self=false] - If self, changes this vector. If not self, creates new Vec2 with results.
+   * 
+   * @return {Vec2}
+   */
+  rotate(angle, self = false) {
+    let c = Math.cos(angle);
+    let s = Math.sin(angle);
+    let o0 = this.vArray[0] * c - this.vArray[1] * s;
+    let o1 = this.vArray[0] * s + this.vArray[1] * c;
+
+    if (self) {
+      this.vArray[0] = o0;
+      this.vArray[1] = o1;
+
+      return this;
+    } else {
+      return new Vec2(o0, o1);
+    }
+  }
+
+  /**
+   * Projects this vector onto another vector.
+   * 
+   * @param {Vec2||Array} v2 - Vector of size 2 to project onto, does not need to be normalized.
+   * @param {Boolean} [self=false] - If self, changes this vector. If not self, creates new Vec2 with results.
+   * 
+   * @return {Vec2}
+   */
+  project(v2, self = false) {
+    let f = (this.vArray[0] * v2[0] + this.vArray[1] * v2[1]) / (v2[0] * v2[0] + v2[1] * v2[1]);
+    let o0 = v2[0] * f;
+    let o1 = v2[1] * f;
+
+    if (self) {
+      this.vArray[0] = o0;
+      this.vArray[1] = o1;
+
+      return this;
+    } else {
+      return new Vec2(o0, o1);
+    }
+  }
+
+  /**
+   * Reflects this vector off a line with the given normal.
+   * 
+   * @param {Vec2||Array} normal - Normal of the line to reflect off, does not need to be normalized.
+   * @param {Boolean} [self=false] - If self, changes this vector. If not self, creates new Vec2 with results.
+   * 
+   * @return {Vec2}
+   */
+  reflect(normal, self = false) {
+    let f = 2 * (this.vArray[0] * normal[0] + this.vArray[1] * normal[1]) / (normal[0] * normal[0] + normal[1] * normal[1]);
+    let o0 = this.vArray[0] - normal[0] * f;
+    let o1 = this.vArray[1] - normal[1] * f;
+
+    if (self) {
+      this.vArray[0] = o0;
+      this.vArray[1] = o1;
+
+      return this;
+    } else {
+      return new Vec2(o0, o1);
+    }
+  }
+
+  /**
+   * Multiply this vector with an input value.
+   * A Mat3x3 treats this vector as the homogeneous point (x, y, 1), so translations apply.
+   * 
+   * @param {Number||Vector||Matrix} value - What this vector will be multiplied by.
+   * @param {Boolean} [self=false] - If self, change values of this vector; else create new vector with results.
+   * 
+   * @return {Vector}
+   */
+  multiply(value, self = false) {
+    let o0, o1;
+
+    if (value instanceof Mat2x2) {
+      o0 = value.mArray[0][0] * this.vArray[0] + value.mArray[0][1] * this.vArray[1];
+      o1 = value.mArray[1][0] * this.vArray[0] + value.mArray[1][1] * this.vArray[1];
+    } else if (value instanceof Mat3x3) {
+      o0 = value.mArray[0][0] * this.vArray[0] + value.mArray[0][1] * this.vArray[1] + value.mArray[0][2];
+      o1 = value.mArray[1][0] * this.vArray[0] + value.mArray[1][1] * this.vArray[1] + value.mArray[1][2];
+    } else {
+      return super.multiply(value, self);
+    }
+
+    if (self) {
+      this.vArray[0] = o0;
+      this.vArray[1] = o1;
+
+      return this;
+    } else {
+      return new Vec2(o0, o1);
+    }
+  }
+
+  add(v2, self = false) {
+    let o0 = this.vArray[0] + v2[0];
+    let o1 = this.vArray[1] + v2[1];
+
+    if (self) {
+      this.vArray[0] = o0;
+      this.vArray[1] = o1;
+
+      return this;
+    } else {
+      return new Vec2(o0, o1);
+    }
+  }
+
+  sub(v2, self = false) {
+    let o0 = this.vArray[0] - v2[0];
+    let o1 = this.vArray[1] - v2[1];
+
+    if (self) {
+      this.vArray[0] = o0;
+      this.vArray[1] = o1;
+
+      return this;
+    } else {
+      return new Vec2(o0, o1);
+    }
+  }
+}
+
+export class Vec3 extends Vector {
+  toString() {
+    return "Vector3";
+  }
+
+  get x() {
+    return this.vArray[0];
+  }
+  set x(value) {
+    this.vArray[0] = value;
+  }
+
+  get y() {
+    return this.vArray[1];
+  }
+  set y(value) {
+    this.vArray[1] = value;
+  }
+
+  get z() {
+    return this.vArray[2];
+  }
+  set z(value) {
+    this.vArray[2] = value;
+  }
+
+  get magnitude() {
+    return Math.sqrt(this.vArray[0] * this.vArray[0] + this.vArray[1] * this.vArray[1] + this.vArray[2] * this.vArray[2]);
+  }
+
+  /**
+   * Calculates coordinate based cross product of this with another vector.
+   * 
+   * @param {Vec3||Array} v2 - Vector of size 3 to cross this vector with.
+   * @param {Boolean} [self=false] - If self, changes this vector. If not self, creates new Vec3 with results.
+   * 
+   * @return {Vec3}
+   */
+  crossProduct(v2, self = false) {
+    let o0 = this.vArray[1] * v2[2] - this.vArray[2] * v2[1];
+    let o1 = this.vArray[2] * v2[0] - this.vArray[0] * v2[2];
+    let o2 = this.vArray[0] * v2[1] - this.vArray[1] * v2[0];
+    if (self) {
+      this.vArray[0] = o0;
+      this.vArray[1] = o1;
+      this.vArray[2] = o2;
+      return this;
+    } else {
+      return new Vec3(o0, o1, o2);
+    }
+  }
+
+  add(v2, self = false) {
+    let o0 = this.vArray[0] + v2[0];
+    let o1 = this.vArray[1] + v2[1];
+    let o2 = this.vArray[2] + v2[2];
+
+    if (self) {
+      this.vArray[0] = o0;
+      this.vArray[1] = o1;
+      this.vArray[2] = o2;
+
+      return this;
+    } else {
+      return new Vec3(o0, o1, o2);
+    }
+  }
+
+  sub(v2, self = false) {
+    let o0 = this.vArray[0] - v2[0];
+    let o1 = this.vArray[1] - v2[1];
+    let o2 = this.vArray[2] - v2[2];
+
+    if (self) {
+      this.vArray[0] = o0;
+      this.vArray[1] = o1;
+      this.vArray[2] = o2;
+
+      return this;
+    } else {
+      return new Vec3(o0, o1, o2);
+    }
+  }
+}
+
+// Specific Matrices
+export class Mat2x2 extends Matrix {
+  constructor(in1, in2, in3, in4) {
+    if (typeof(in1) === "number") {
+      return super(2, 2, ...arguments);
+    } else {
+      return super(...arguments);
+    }
+  }
+
+  toString() {
+    return "Mat2x2";
+  }
+
+  static getIdentity() {
+    return new Mat2x2(
+      [1, 0],
+      [0, 1]
+      );
+  }
+
+  static getScaling(x = 1, y = 1) {
+    return new Mat2x2(
+      [x, 0],
       [0, y]
       );
   }
 
-  static getRotation(angle) {
-    return new Mat2x2(
-      [Math.cos(angle), -Math.sin(angle)],
-      [Math.sin(angle), Math.cos(angle)]
-      );
+  static getRotation(angle) {
+    return new Mat2x2(
+      [Math.cos(angle), -Math.sin(angle)],
+      [Math.sin(angle), Math.cos(angle)]
+      );
+  }
+
+  get determinant() {
+    let det = this.mArray[0][0] * this.mArray[1][1] - this.mArray[0][1] * this.mArray[1][0];
+    return isSingular(this.mArray, det) ? 0 : det;
+  }
+
+  inverse() {
+    let det = this.mArray[0][0] * this.mArray[1][1] - this.mArray[0][1] * this.mArray[1][0];
+    if (isSingular(this.mArray, det)) {
+      throw new Error(`Mat2x2::inverse - Matrix is singular and cannot be inverted!`);
+    }
+
+    return new Mat2x2(
+      [this.mArray[1][1] / det, -this.mArray[0][1] / det],
+      [-this.mArray[1][0] / det, this.mArray[0][0] / det]
+      );
+  }
+
+  static dotProduct(A, B, out) {
+    if (A instanceof Mat2x2 && B instanceof Mat2x2) {
+      let m00, m01;
+      let m10, m11;
+      let a = A.mArray, b = B.mArray;
+
+      m00 = a[0][0] * b[0][0] + a[0][1] * b[1][0];
+      m01 = a[0][0] * b[0][1] + a[0][1] * b[1][1];
+      m10 = a[1][0] * b[0][0] + a[1][1] * b[1][0];
+      m11 = a[1][0] * b[0][1] + a[1][1] * b[1][1];
+
+      if (out !== undefined) {
+        let o = out.mArray;
+        o[0][0] = m00, o[0][1] = m01;
+        o[1][0] = m10, o[1][1] = m11;
+
+        return out;
+      }
+
+      return new Mat2x2(
+        [m00, m01],
+        [m10, m11]
+      );
+    } else {
+      return Matrix.dotProduct(A, B, out);
+    }
+  }
+}
+
+export class Mat3x3 extends Matrix {
+  constructor(in1, in2, in3, in4, in5, in6, in7, in8, in9) {
+    if (typeof(in1) === "number") {
+      return super(3, 3, ...arguments);
+    } else {
+      return super(...arguments);
+    }
+  }
+
+  toString() {
+    return "Mat3x3";
+  }
+
+  static getIdentity() {
+    return new Mat3x3(
+      [1, 0, 0],
+      [0, 1, 0],
+      [0, 0, 1]
+      );
+  }
+
+  static getTranslation(x = 0, y = 0) {
+    return new Mat3x3(
+      [1, 0, x],
+      [0, 1, y],
+      [0, 0, 1]
+      );
+  }
+  
+  static getScaling(x = 1, y = 1) {
+    return new Mat3x3(
+      [x, 0, 0],
+      [0, y, 0],
+      [0, 0, 1]
+      );
+  }
+
+  static getRotation(angle) {
+    return new Mat3x3(
+      [Math.cos(angle), -Math.sin(angle), 0],
+      [Math.sin(angle), Math.cos(angle),  0],
+      [0,               0,                1]
+      );
+  }
+
+  static getProjection(w, h) {
+    return new Mat3x3(
+      [2 / w, 0     , 0],
+      [0    , -2 / h, 0],
+      [-1   , 1     , 1]
+      );
+  }
+
+  get array2D() {
+    return this.mArray;
+  }
+
+  get array() {
+    if (this.mBuffer !== undefined) return this.mBuffer;
+
+    return [
+      ...this.mArray[0],
+      ...this.mArray[1],
+      ...this.mArray[2]
+    ];
+  }
+
+  get determinant() {
+    let [[a00, a01, a02], [a10, a11, a12], [a20, a21, a22]] = this.mArray;
+    let det = a00 * (a11 * a22 - a12 * a21) - a01 * (a10 * a22 - a12 * a20) + a02 * (a10 * a21 - a11 * a20);
+    return isSingular(this.mArray, det) ? 0 : det;
+  }
+
+  inverse() {
+    let [[a00, a01, a02], [a10, a11, a12], [a20, a21, a22]] = this.mArray;
+
+    // Cofactors of the first row.
+    let b01 = a22 * a11 - a12 * a21;
+    let b11 = -a22 * a10 + a12 * a20;
+    let b21 = a21 * a10 - a11 * a20;
+
+    let det = a00 * b01 + a01 * b11 + a02 * b21;
+    if (isSingular(this.mArray, det)) {
+      throw new Error(`Mat3x3::inverse - Matrix is singular and cannot be inverted!`);
+    }
+    det = 1 / det;
+
+    return new Mat3x3(
+      [b01 * det, (-a22 * a01 + a02 * a21) * det, (a12 * a01 - a02 * a11) * det],
+      [b11 * det, (a22 * a00 - a02 * a20) * det,  (-a12 * a00 + a02 * a10) * det],
+      [b21 * det, (-a21 * a00 + a01 * a20) * det, (a11 * a00 - a01 * a10) * det]
+      );
+  }
+
+  static dotProduct(A, B, out) {
+    if (A instanceof Mat3x3 && B instanceof Mat3x3) {
+      let m00, m01, m02;
+      let m10, m11, m12;
+      let m20, m21, m22;
+      let a = A.mArray, b = B.mArray;
+
+      m00 = a[0][0] * b[0][0] + a[0][1] * b[1][0] + a[0][2] * b[2][0];
+      m01 = a[0][0] * b[0][1] + a[0][1] * b[1][1] + a[0][2] * b[2][1];
+      m02 = a[0][0] * b[0][2] + a[0][1] * b[1][2] + a[0][2] * b[2][2];
+
+      m10 = a[1][0] * b[0][0] + a[1][1] * b[1][0] + a[1][2] * b[2][0];
+      m11 = a[1][0] * b[0][1] + a[1][1] * b[1][1] + a[1][2] * b[2][1];
+      m12 = a[1][0] * b[0][2] + a[1][1] * b[1][2] + a[1][2] * b[2][2];
+
+      m20 = a[2][0] * b[0][0] + a[2][1] * b[1][0] + a[2][2] * b[2][0];
+      m21 = a[2][0] * b[0][1] + a[2][1] * b[1][1] + a[2][2] * b[2][1];
+      m22 = a[2][0] * b[0][2] + a[2][1] * b[1][2] + a[2][2] * b[2][2];
+
+      if (out !== undefined) {
+        let o = out.mArray;
+        o[0][0] = m00, o[0][1] = m01, o[0][2] = m02;
+        o[1][0] = m10, o[1][1] = m11, o[1][2] = m12;
+        o[2][0] = m20, o[2][1] = m21, o[2][2] = m22;
+
+        return out;
+      }
+
+      return new Mat3x3(
+        [m00, m01, m02],
+        [m10, m11, m12],
+        [m20, m21, m22]
+      );
+    } else {
+      return Matrix.dotProduct(A, B, out);
+    }
+  }
+}
+
+export class Mat4x4 extends Matrix {
+  constructor(in1, in2, in3, in4, in5, in6, in7, in8, in9, in10, in11, in12, in13, in14, in15, in16) {
+    if (typeof(in1) === "number") {
+      return super(4, 4, ...arguments);
+    } else {
+      return super(...arguments);
+    }
+  }
+
+  toString() {
+    return "Mat4x4";
+  }
+
+  static getIdentity() {
+    return new Mat4x4(
+      [1, 0, 0, 0],
+      [0, 1, 0, 0],
+      [0, 0, 1, 0],
+      [0, 0, 0, 1]
+      );
+  }
+
+  static getTranslation(x = 0, y = 0, z = 0) {
+    return new Mat4x4(
+      [1, 0, 0, x],
+      [0, 1, 0, y],
+      [0, 0, 1, z],
+      [0, 0, 0, 1]
+      );
+  }
+  
+  static getScaling(x = 1, y = 1, z = 1) {
+    return new Mat4x4(
+      [x, 0, 0, 0],
+      [0, y, 0, 0],
+      [0, 0, z, 0],
+      [0, 0, 0, 1]
+      );
+  }
+
+  static getXRotation(angle) {
+    let c = Math.cos(angle);
+    let s = Math.sin(angle);
+
+    return new Mat4x4(
+      [1, 0, 0, 0],
+      [0, c, s, 0],
+      [0, -s, c, 0],
+      [0, 0, 0, 1]
+      );
+  }
+
+  static getYRotation(angle) {
+    let c = Math.cos(angle);
+    let s = Math.sin(angle);
+
+    return new Mat4x4(
+      [c, 0, -s, 0],
+      [0, 1, 0, 0],
+      [s, 0, c, 0],
+      [0, 0, 0, 1]
+      );
+  }
+  
+  static getZRotation(angle) {
+    let c = Math.cos(angle);
+    let s = Math.sin(angle);
+
+    return new Mat4x4(
+      [c, s, 0, 0],
+      [-s, c, 0, 0],
+      [0, 0, 1, 0],
+      [0, 0, 0, 1]
+      );
+  }
+
+  static getXYZRotation(xAngle, yAngle, zAngle) {
+    return Mat4x4.dotProduct(Mat4x4.dotProduct(Mat4x4.getZRotation(zAngle), Mat4x4.getYRotation(yAngle)), Mat4x4.getXRotation(xAngle));
+  }
+
+  // orthographic projection matrix
+  static getOrthographic(left, right, bottom, top, near, far) {
+    return new Mat4x4(
+      [2 / (right - left),              0,                               0,                           0],
+      [0,                               2 / (top - bottom),              0,                           0],
+      [0,                               0,                               2 / (near - far),            0],
+      [(left + right) / (left - right), (bottom + top) / (bottom - top), (near + far) / (near - far), 1]
+    );
+  }
+
+  static getPerspective(fieldOfViewRadians, aspect, near, far) {
+    let f = Math.tan(Math.PI * 0.5 - fieldOfViewRadians * 0.5);
+    let rangeInv = 1.0 / (near - far);
+
+    return new Mat4x4(
+      [f / aspect, 0, 0,                         0],
+      [0,          f, 0,                         0],
+      [0,          0, (near + far) * rangeInv,  -1],
+      [0,          0, near * far * rangeInv * 2, 0]
+    );
+  }
+
+  // infinite far plane, the limit of getPerspective for far -> Infinity.
+  static getInfinitePerspective(fieldOfViewRadians, aspect, near) {
+    let f = Math.tan(Math.PI * 0.5 - fieldOfViewRadians * 0.5);
+
+    return new Mat4x4(
+      [f / aspect, 0, 0,        0],
+      [0,          f, 0,        0],
+      [0,          0, -1,      -1],
+      [0,          0, -2 * near, 0]
+    );
+  }
+
+  /**
+   * Creates a reverse-Z perspective projection matrix, mapping near to depth 1 and far to depth 0.
+   * Meant for a [0, 1] depth range (WebGPU or clip control) with the depth test set to greater,
+   * which spreads the float precision much more evenly than getPerspective.
+   * 
+   * @param {Number} fieldOfViewRadians - Vertical field of view.
+   * @param {Number} aspect - Width divided by height.
+   * @param {Number} near - Distance to the near plane.
+   * @param {Number} [far=Infinity] - Distance to the far plane.
+   * @return {Mat4x4}
+   */
+  static getReverseZPerspective(fieldOfViewRadians, aspect, near, far = Infinity) {
+    let f = Math.tan(Math.PI * 0.5 - fieldOfViewRadians * 0.5);
+    let a = far === Infinity ? 0 : near / (far - near);
+    let b = far === Infinity ? near : far * near / (far - near);
+
+    return new Mat4x4(
+      [f / aspect, 0, 0,  0],
+      [0,          f, 0,  0],
+      [0,          0, a, -1],
+      [0,          0, b,  0]
+    );
+  }
+
+  // off-axis perspective projection matrix, like glFrustum.
+  static getFrustum(left, right, bottom, top, near, far) {
+    return new Mat4x4(
+      [2 * near / (right - left),       0,                               0,                                0],
+      [0,                               2 * near / (top - bottom),       0,                                0],
+      [(right + left) / (right - left), (top + bottom) / (top - bottom), (near + far) / (near - far),     -1],
+      [0,                               0,                               2 * near * far / (near - far),    0]
+    );
+  }
+
+  /**
+   * Creates the view matrix of a camera at eye looking at target, in the layout of getPerspective.
+   * 
+   * @param {Vec3||Array} eye - Position of the camera.
+   * @param {Vec3||Array} target - Point to look at.
+   * @param {Vec3||Array} [up=[0, 1, 0]] - Upwards direction of the camera.
+   * @return {Mat4x4}
+   */
+  static getLookAt(eye, target, up = [0, 1, 0]) {
+    // The camera looks down its negative z-axis.
+    let e = new Vec3(eye[0], eye[1], eye[2]);
+    let z = e.sub(target);
+    if (z.magnitude === 0) {
+      throw new Error(`Mat4x4::getLookAt - eye and target can not be the same point!`);
+    }
+    z.normalize();
+
+    let x = new Vec3(up[0], up[1], up[2]).crossProduct(z);
+    if (x.magnitude === 0) {
+      throw new Error(`Mat4x4::getLookAt - up can not be parallel to the viewing direction!`);
+    }
+    x.normalize();
+
+    let y = z.crossProduct(x);
+
+    return new Mat4x4(
+      [x[0],                y[0],                z[0],                0],
+      [x[1],                y[1],                z[1],                0],
+      [x[2],                y[2],                z[2],                0],
+      [-x.dotProduct(e),    -y.dotProduct(e),    -z.dotProduct(e),    1]
+    );
+  }
+
+  /**
+   * Maps a point from world space to normalized device coordinates, or to screen coordinates if a viewport is given.
+   * 
+   * @param {Vec3||Array} point - Point in world space.
+   * @param {Mat4x4} viewProjection - Mat4x4.dotProduct(view, projection).
+   * @param {Array} [viewport] - [x, y, width, height] of the screen area in pixels.
+   * @param {Boolean} [zeroToOne=false] - Clip space depth in [0, 1] (WebGPU, getReverseZPerspective) instead of [-1, 1].
+   * @return {Vec3} NDC, or pixels with y pointing down (like mouse coordinates) and depth in [0, 1].
+   * 
+   * @example
+   * let viewProjection = Mat4x4.dotProduct(Mat4x4.getLookAt([0, 0, 5], [0, 0, 0]), Mat4x4.getPerspective(1, 16 / 9, 0.1, 100));
+   * Mat4x4.project([0, 0, 0], viewProjection, [0, 0, 1600, 900]);  // Vec3(800, 450, ~0.98)
+   */
+  static project(point, viewProjection, viewport, zeroToOne = false) {
+    let m = viewProjection.mArray;
+    let clip = [0, 1, 2, 3].map(j => point[0] * m[0][j] + point[1] * m[1][j] + point[2] * m[2][j] + m[3][j]);
+    let ndc = new Vec3(clip[0] / clip[3], clip[1] / clip[3], clip[2] / clip[3]);
+
+    if (viewport === undefined) return ndc;
+    return new Vec3(
+      viewport[0] + (ndc[0] + 1) * 0.5 * viewport[2],
+      viewport[1] + (1 - ndc[1]) * 0.5 * viewport[3],
+      zeroToOne ? ndc[2] : (ndc[2] + 1) * 0.5
+    );
+  }
+
+  /**
+   * Maps a point from normalized device coordinates, or screen coordinates if a viewport is given, back to world space.
+   * Unprojecting the mouse position at depth 0 and 1 gives the near and far end of the picking ray,
+   * the other way around under reverse-Z, where depth 1 is near. With an infinite far plane depth 0 lies at infinity,
+   * any depth between gives a second point on the ray instead.
+   * 
+   * @param {Vec3||Array} point - Point as returned by Mat4x4.project.
+   * @param {Mat4x4} viewProjection - Mat4x4.dotProduct(view, projection).
+   * @param {Array} [viewport] - [x, y, width, height] of the screen area in pixels.
+   * @param {Boolean} [zeroToOne=false] - Clip space depth in [0, 1] (WebGPU, getReverseZPerspective) instead of [-1, 1].
+   * @return {Vec3} Point in world space.
+   * 
+   * @example
+   * // Picking ray under a reverse-Z projection with an infinite far plane.
+   * let viewProjection = Mat4x4.dotProduct(Mat4x4.getLookAt([0, 0, 5], [0, 0, 0]), Mat4x4.getReverseZPerspective(1, 16 / 9, 0.1));
+   * let ray = Ray.fromPoints(
+   *   Mat4x4.unproject([mouseX, mouseY, 1], viewProjection, viewport, true),
+   *   Mat4x4.unproject([mouseX, mouseY, 0.5], viewProjection, viewport, true)
+   * );
+   */
+  static unproject(point, viewProjection, viewport, zeroToOne = false) {
+    let ndc = point;
+    if (viewport !== undefined) {
+      ndc = [
+        (point[0] - viewport[0]) / viewport[2] * 2 - 1,
+        1 - (point[1] - viewport[1]) / viewport[3] * 2,
+        zeroToOne ? point[2] : point[2] * 2 - 1
+      ];
+    }
+
+    let m = viewProjection.inverse().mArray;
+    let world = [0, 1, 2, 3].map(j => ndc[0] * m[0][j] + ndc[1] * m[1][j] + ndc[2] * m[2][j] + m[3][j]);
+
+    return new Vec3(world[0] / world[3], world[1] / world[3], world[2] / world[3]);
+  }
+
+  get array2D() {
+    return this.mArray;
+  }
+
+  get array() {
+    if (this.mBuffer !== undefined) return this.mBuffer;
+
+    return [
+      ...this.mArray[0],
+      ...this.mArray[1],
+      ...this.mArray[2],
+      ...this.mArray[3],
+    ];
+  }
+
+  get determinant() {
+    let [[a00, a01, a02, a03], [a10, a11, a12, a13], [a20, a21, a22, a23], [a30, a31, a32, a33]] = this.mArray;
+
+    let b00 = a00 * a11 - a01 * a10;
+    let b01 = a00 * a12 - a02 * a10;
+    let b02 = a00 * a13 - a03 * a10;
+    let b03 = a01 * a12 - a02 * a11;
+    let b04 = a01 * a13 - a03 * a11;
+    let b05 = a02 * a13 - a03 * a12;
+    let b06 = a20 * a31 - a21 * a30;
+    let b07 = a20 * a32 - a22 * a30;
+    let b08 = a20 * a33 - a23 * a30;
+    let b09 = a21 * a32 - a22 * a31;
+    let b10 = a21 * a33 - a23 * a31;
+    let b11 = a22 * a33 - a23 * a32;
+
+    let det = b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+    return isSingular(this.mArray, det) ? 0 : det;
+  }
+
+  inverse() {
+    let [[a00, a01, a02, a03], [a10, a11, a12, a13], [a20, a21, a22, a23], [a30, a31, a32, a33]] = this.mArray;
+
+    // 2x2 sub-determinants of the upper (b00 - b05) and lower (b06 - b11) two rows.
+    let b00 = a00 * a11 - a01 * a10;
+    let b01 = a00 * a12 - a02 * a10;
+    let b02 = a00 * a13 - a03 * a10;
+    let b03 = a01 * a12 - a02 * a11;
+    let b04 = a01 * a13 - a03 * a11;
+    let b05 = a02 * a13 - a03 * a12;
+    let b06 = a20 * a31 - a21 * a30;
+    let b07 = a20 * a32 - a22 * a30;
+    let b08 = a20 * a33 - a23 * a30;
+    let b09 = a21 * a32 - a22 * a31;
+    let b10 = a21 * a33 - a23 * a31;
+    let b11 = a22 * a33 - a23 * a32;
+
+    let det = b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+    if (isSingular(this.mArray, det)) {
+      throw new Error(`Mat4x4::inverse - Matrix is singular and cannot be inverted!`);
+    }
+    det = 1 / det;
+
+    return new Mat4x4(
+      [(a11 * b11 - a12 * b10 + a13 * b09) * det, (a02 * b10 - a01 * b11 - a03 * b09) * det, (a31 * b05 - a32 * b04 + a33 * b03) * det, (a22 * b04 - a21 * b05 - a23 * b03) * det],
+      [(a12 * b08 - a10 * b11 - a13 * b07) * det, (a00 * b11 - a02 * b08 + a03 * b07) * det, (a32 * b02 - a30 * b05 - a33 * b01) * det, (a20 * b05 - a22 * b02 + a23 * b01) * det],
+      [(a10 * b10 - a11 * b08 + a13 * b06) * det, (a01 * b08 - a00 * b10 - a03 * b06) * det, (a30 * b04 - a31 * b02 + a33 * b00) * det, (a21 * b02 - a20 * b04 - a23 * b00) * det],
+      [(a11 * b07 - a10 * b09 - a12 * b06) * det, (a00 * b09 - a01 * b07 + a02 * b06) * det, (a31 * b01 - a30 * b03 - a32 * b00) * det, (a20 * b03 - a21 * b01 + a22 * b00) * det]
+      );
+  }
+
+  /**
+   * Creates the matrix to transform normals with, the inverse transpose of the upper left 3x3 part.
+   * 
+   * @return {Mat3x3}
+   */
+  normalMatrix() {
+    let upper = new Mat3x3(this.mArray.slice(0, 3).map(row => row.slice(0, 3)));
+    return upper.inverse().transpose();
+  }
+
+  /**
+   * Creates a model matrix that scales, shears, rotates and then translates, in the layout of the rotation getters.
+   * 
+   * @param {Vec3||Array} [translation=[0, 0, 0]] - Translation along x, y and z.
+   * @param {Quaternion||Vec3||Array} [rotation] - Quaternion, or angles around x, y and z like getXYZRotation.
+   * @param {Vec3||Array} [scale=[1, 1, 1]] - Scaling along x, y and z.
+   * @param {Vec3||Array} [shear=[0, 0, 0]] - Shear factors xy, xz and yz, as returned by decompose.
+   * @param {String} [layout="row"] - Translation in the last "row", or in the last "column" like getTranslation.
+   * @return {Mat4x4}
+   * 
+   * @example
+   * let model = Mat4x4.compose([1, 2, 3], [0, Math.PI / 2, 0], [2, 2, 2]);
+   * model.decompose().scale.array;  // [2, 2, 2]
+   */
+  static compose(translation = [0, 0, 0], rotation = new Quaternion(), scale = [1, 1, 1], shear = [0, 0, 0], layout = "row") {
+    if (layout !== "row" && layout !== "column") {
+      throw new Error(`Mat4x4::compose - layout needs to be "row" or "column", but is "${layout}"!`);
+    }
+
+    if (!(rotation instanceof Quaternion)) rotation = Quaternion.fromEuler(rotation[0], rotation[1], rotation[2]);
+    let r = rotation.normalize(false).toMat3x3().mArray;
+    let [xy, xz, yz] = [shear[0], shear[1], shear[2]];
+
+    let row0 = r[0].map(v => scale[0] * v);
+    let row1 = r[1].map((v, j) => scale[1] * (v + xy * r[0][j]));
+    let row2 = r[2].map((v, j) => scale[2] * (v + xz * r[0][j] + yz * r[1][j]));
+
+    if (layout === "column") {
+      return new Mat4x4(
+        [...row0, translation[0]],
+        [...row1, translation[1]],
+        [...row2, translation[2]],
+        [0, 0, 0, 1]
+        );
+    }
+
+    return new Mat4x4(
+      [...row0, 0],
+      [...row1, 0],
+      [...row2, 0],
+      [translation[0], translation[1], translation[2], 1]
+      );
+  }
+
+  /**
+   * Splits this affine transform into its components (after Spencer W. Thomas, Graphics Gems II).
+   * The translation is read from the last row, or from the last column for matrices built with getTranslation
+   * like Mat4x4.dotProduct(Mat4x4.getTranslation(x, y, z), Mat4x4.dotProduct(scaling, rotation)).
+   * 
+   * @return {Object} {translation, rotation, euler, scale, shear, layout} - Vec3, Quaternion, Vec3 of the angles for getXYZRotation,
+   *                  Vec3, Vec3 of the shear factors xy, xz and yz, and "row" or "column" for where the translation was.
+   *                  Mirroring shows up as negative scales. compose(translation, rotation, scale, shear, layout) rebuilds the matrix.
+   */
+  decompose() {
+    let m = this.mArray;
+    let columnTranslation = m[0][3] !== 0 || m[1][3] !== 0 || m[2][3] !== 0;
+    let rowTranslation = m[3][0] !== 0 || m[3][1] !== 0 || m[3][2] !== 0;
+
+    if ((columnTranslation && rowTranslation) || Math.abs(m[3][3] - 1) > 1e-9) {
+      throw new Error(`Mat4x4::decompose - Only affine transforms can be decomposed!`);
+    }
+
+    let translation = columnTranslation ? new Vec3(m[0][3], m[1][3], m[2][3]) : new Vec3(m[3][0], m[3][1], m[3][2]);
+    let rows = [0, 1, 2].map(i => new Vec3(m[i][0], m[i][1], m[i][2]));
+    let scale = new Vec3(0, 0, 0);
+    let shear = new Vec3(0, 0, 0);
+
+    // Gram-Schmidt orthogonalization of the rows, the removed parts are the shear.
+    scale.x = rows[0].magnitude;
+    if (scale.x === 0) throw new Error(`Mat4x4::decompose - Matrix with a zero scale cannot be decomposed!`);
+    rows[0].scale(1 / scale.x);
+
+    shear.x = rows[0].dotProduct(rows[1]);
+    rows[1].sub(rows[0].scale(shear.x, false), true);
+    scale.y = rows[1].magnitude;
+    if (scale.y === 0) throw new Error(`Mat4x4::decompose - Matrix with a zero scale cannot be decomposed!`);
+    rows[1].scale(1 / scale.y);
+    shear.x /= scale.y;
+
+    shear.y = rows[0].dotProduct(rows[2]);
+    rows[2].sub(rows[0].scale(shear.y, false), true);
+    shear.z = rows[1].dotProduct(rows[2]);
+    rows[2].sub(rows[1].scale(shear.z, false), true);
+    scale.z = rows[2].magnitude;
+    if (scale.z === 0) throw new Error(`Mat4x4::decompose - Matrix with a zero scale cannot be decomposed!`);
+    rows[2].scale(1 / scale.z);
+    shear.y /= scale.z;
+    shear.z /= scale.z;
+
+    // A negative determinant means the transform mirrors.
+    if (rows[0].dotProduct(rows[1].crossProduct(rows[2])) < 0) {
+      scale.scale(-1);
+      rows.forEach(r => r.scale(-1));
+    }
+
+    let rotationMatrix = new Mat3x3(rows[0].array, rows[1].array, rows[2].array);
+
+    // getXYZRotation(x, y, z) stores sin(y) at [2][0] and the x and z angles around it.
+    let r = (i, j) => rotationMatrix.mArray[j][i];
+    let euler;
+    if (Math.abs(r(0, 2)) < 0.9999999) {
+      euler = new Vec3(Math.atan2(-r(1, 2), r(2, 2)), Math.asin(r(0, 2)), Math.atan2(-r(0, 1), r(0, 0)));
+    } else {
+      // Gimbal lock, only the sum or difference of the x and z angles is known.
+      euler = new Vec3(Math.atan2(r(2, 1), r(1, 1)), Math.sign(r(0, 2)) * Math.PI / 2, 0);
+    }
+
+    return {
+      translation: translation,
+      rotation: Quaternion.fromMatrix(rotationMatrix),
+      euler: euler,
+      scale: scale,
+      shear: shear,
+      layout: columnTranslation ? "column" : "row"
+    };
+  }
+
+  /**
+   * Interpolates between two affine transforms component wise, with slerp for the rotation.
+   * The result keeps the translation in the last row or column like the inputs, which must not mix both.
+   * 
+   * @param {Mat4x4} A - Start transform (t = 0).
+   * @param {Mat4x4} B - End transform (t = 1).
+   * @param {Number} t - Interpolation factor.
+   * @return {Mat4x4}
+   */
+  static interpolate(A, B, t) {
+    let a = A.decompose();
+    let b = B.decompose();
+    let lerp = (v1, v2) => v1.add(v2.sub(v1).scale(t), false);
+
+    // Without a translation the layout is unknown, so it follows the other matrix.
+    let translated = [a, b].filter(d => d.translation.magnitude !== 0);
+    if (translated.length === 2 && a.layout !== b.layout) {
+      throw new Error(`Mat4x4::interpolate - A has its translation in the last ${a.layout} and B in the last ${b.layout}!`);
+    }
+    let layout = translated[0]?.layout ?? "row";
+
+    return Mat4x4.compose(
+      lerp(a.translation, b.translation),
+      Quaternion.slerp(a.rotation, b.rotation, t),
+      lerp(a.scale, b.scale),
+      lerp(a.shear, b.shear),
+      layout
+      );
+  }
+
+  static dotProduct(A, B, out) {
+    if (A instanceof Mat4x4 && B instanceof Mat4x4) {
+      // All typed: index the flat buffers, skipping the row views.
+      if (A.mBuffer !== undefined && B.mBuffer !== undefined && out?.mBuffer !== undefined) {
+        multiplyFlat4x4(A.mBuffer, B.mBuffer, out.mBuffer);
+        return out;
+      }
+
+      let m00, m01, m02, m03;
+      let m10, m11, m12, m13;
+      let m20, m21, m22, m23;
+      let m30, m31, m32, m33;
+      let a = A.mArray, b = B.mArray;
+
+      m00 = a[0][0] * b[0][0] + a[0][1] * b[1][0] + a[0][2] * b[2][0] + a[0][3] * b[3][0];
+      m01 = a[0][0] * b[0][1] + a[0][1] * b[1][1] + a[0][2] * b[2][1] + a[0][3] * b[3][1];
+      m02 = a[0][0] * b[0][2] + a[0][1] * b[1][2] + a[0][2] * b[2][2] + a[0][3] * b[3][2];
+      m03 = a[0][0] * b[0][3] + a[0][1] * b[1][3] + a[0][2] * b[2][3] + a[0][3] * b[3][3];
+
+      m10 = a[1][0] * b[0][0] + a[1][1] * b[1][0] + a[1][2] * b[2][0] + a[1][3] * b[3][0];
+      m11 = a[1][0] * b[0][1] + a[1][1] * b[1][1] + a[1][2] * b[2][1] + a[1][3] * b[3][1];
+      m12 = a[1][0] * b[0][2] + a[1][1] * b[1][2] + a[1][2] * b[2][2] + a[1][3] * b[3][2];
+      m13 = a[1][0] * b[0][3] + a[1][1] * b[1][3] + a[1][2] * b[2][3] + a[1][3] * b[3][3];
+
+      m20 = a[2][0] * b[0][0] + a[2][1] * b[1][0] + a[2][2] * b[2][0] + a[2][3] * b[3][0];
+      m21 = a[2][0] * b[0][1] + a[2][1] * b[1][1] + a[2][2] * b[2][1] + a[2][3] * b[3][1];
+      m22 = a[2][0] * b[0][2] + a[2][1] * b[1][2] + a[2][2] * b[2][2] + a[2][3] * b[3][2];
+      m23 = a[2][0] * b[0][3] + a[2][1] * b[1][3] + a[2][2] * b[2][3] + a[2][3] * b[3][3];
+
+      m30 = a[3][0] * b[0][0] + a[3][1] * b[1][0] + a[3][2] * b[2][0] + a[3][3] * b[3][0];
+      m31 = a[3][0] * b[0][1] + a[3][1] * b[1][1] + a[3][2] * b[2][1] + a[3][3] * b[3][1];
+      m32 = a[3][0] * b[0][2] + a[3][1] * b[1][2] + a[3][2] * b[2][2] + a[3][3] * b[3][2];
+      m33 = a[3][0] * b[0][3] + a[3][1] * b[1][3] + a[3][2] * b[2][3] + a[3][3] * b[3][3];
+
+      if (out !== undefined) {
+        let o = out.mArray;
+        o[0][0] = m00, o[0][1] = m01, o[0][2] = m02, o[0][3] = m03;
+        o[1][0] = m10, o[1][1] = m11, o[1][2] = m12, o[1][3] = m13;
+        o[2][0] = m20, o[2][1] = m21, o[2][2] = m22, o[2][3] = m23;
+        o[3][0] = m30, o[3][1] = m31, o[3][2] = m32, o[3][3] = m33;
+
+        return out;
+      }
+
+      return new Mat4x4(
+        [m00, m01, m02, m03],
+        [m10, m11, m12, m13],
+        [m20, m21, m22, m23],
+        [m30, m31, m32, m33]
+      );
+    } else {
+      return Matrix.dotProduct(A, B, out);
+    }
+  }
+}
+
+// o = a . b on row-major 4x4 buffers, o may be a or b.
+function multiplyFlat4x4(a, b, o) {
+  let a00 = a[0], a01 = a[1], a02 = a[2], a03 = a[3];
+  let a10 = a[4], a11 = a[5], a12 = a[6], a13 = a[7];
+  let a20 = a[8], a21 = a[9], a22 = a[10], a23 = a[11];
+  let a30 = a[12], a31 = a[13], a32 = a[14], a33 = a[15];
+
+  // One column of b at a time, so b may be o as well.
+  for (let i = 0; i < 4; i++) {
+    let b0 = b[i], b1 = b[4 + i], b2 = b[8 + i], b3 = b[12 + i];
+    o[i] = a00 * b0 + a01 * b1 + a02 * b2 + a03 * b3;
+    o[4 + i] = a10 * b0 + a11 * b1 + a12 * b2 + a13 * b3;
+    o[8 + i] = a20 * b0 + a21 * b1 + a22 * b2 + a23 * b3;
+    o[12 + i] = a30 * b0 + a31 * b1 + a32 * b2 + a33 * b3;
+  }
+}
+
+// Quaternions
+/**
+ * Rotation quaternion x * i + y * j + z * k + w.
+ * Matrices are converted in the layout of the Mat4x4 rotation getters,
+ * so Quaternion.fromEuler(x, y, z).toMat4x4() equals Mat4x4.getXYZRotation(x, y, z).
+ */
+export class Quaternion {
+  constructor(x = 0, y = 0, z = 0, w = 1) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    this.w = w;
+  }
+
+  toString() {
+    return "Quaternion";
+  }
+
+  get array() {
+    return [this.x, this.y, this.z, this.w];
+  }
+
+  get magnitude() {
+    return Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z + this.w * this.w);
+  }
+
+  static getIdentity() {
+    return new Quaternion(0, 0, 0, 1);
+  }
+
+  /**
+   * Creates the quaternion rotating around an axis.
+   * 
+   * @param {Vec3||Array} axis - Axis to rotate around, does not need to be normalized.
+   * @param {Number} angle - Angle in radians.
+   * @return {Quaternion}
+   */
+  static fromAxisAngle(axis, angle) {
+    let length = Math.sqrt(axis[0] * axis[0] + axis[1] * axis[1] + axis[2] * axis[2]);
+    if (length === 0) {
+      throw new Error(`Quaternion::fromAxisAngle - The axis can not be a zero vector!`);
+    }
+
+    let s = Math.sin(angle / 2) / length;
+    return new Quaternion(axis[0] * s, axis[1] * s, axis[2] * s, Math.cos(angle / 2));
+  }
+
+  /**
+   * Creates the quaternion of the same rotation as Mat4x4.getXYZRotation.
+   * 
+   * @param {Number} xAngle - Angle around the x-axis in radians.
+   * @param {Number} yAngle - Angle around the y-axis in radians.
+   * @param {Number} zAngle - Angle around the z-axis in radians.
+   * @return {Quaternion}
+   */
+  static fromEuler(xAngle, yAngle, zAngle) {
+    let qx = Quaternion.fromAxisAngle([1, 0, 0], xAngle);
+    let qy = Quaternion.fromAxisAngle([0, 1, 0], yAngle);
+    let qz = Quaternion.fromAxisAngle([0, 0, 1], zAngle);
+
+    return qx.multiply(qy, true).multiply(qz, true);
+  }
+
+  /**
+   * Creates the quaternion from the rotation part of a matrix (Shepperd's method).
+   * 
+   * @param {Mat3x3||Mat4x4} m - Rotation matrix without scaling.
+   * @return {Quaternion}
+   */
+  static fromMatrix(m) {
+    if (!(m instanceof Mat3x3 || m instanceof Mat4x4)) {
+      throw new Error(`Quaternion::fromMatrix - m needs to be a Mat3x3 or Mat4x4, but is "${m}"!`);
+    }
+
+    // r[i][j] is the rotation in column-vector notation, the transpose of the stored layout.
+    let r = (i, j) => m.mArray[j][i];
+    let trace = r(0, 0) + r(1, 1) + r(2, 2);
+    let s;
+
+    if (trace > 0) {
+      s = 0.5 / Math.sqrt(trace + 1);
+      return new Quaternion((r(2, 1) - r(1, 2)) * s, (r(0, 2) - r(2, 0)) * s, (r(1, 0) - r(0, 1)) * s, 0.25 / s);
+    } else if (r(0, 0) > r(1, 1) && r(0, 0) > r(2, 2)) {
+      s = 2 * Math.sqrt(1 + r(0, 0) - r(1, 1) - r(2, 2));
+      return new Quaternion(0.25 * s, (r(0, 1) + r(1, 0)) / s, (r(0, 2) + r(2, 0)) / s, (r(2, 1) - r(1, 2)) / s);
+    } else if (r(1, 1) > r(2, 2)) {
+      s = 2 * Math.sqrt(1 + r(1, 1) - r(0, 0) - r(2, 2));
+      return new Quaternion((r(0, 1) + r(1, 0)) / s, 0.25 * s, (r(1, 2) + r(2, 1)) / s, (r(0, 2) - r(2, 0)) / s);
+    } else {
+      s = 2 * Math.sqrt(1 + r(2, 2) - r(0, 0) - r(1, 1));
+      return new Quaternion((r(0, 2) + r(2, 0)) / s, (r(1, 2) + r(2, 1)) / s, 0.25 * s, (r(1, 0) - r(0, 1)) / s);
+    }
+  }
+
+  /**
+   * Multiplies this quaternion with another one (Hamilton product this * q2).
+   * The result rotates by q2 first and by this afterwards.
+   * 
+   * @param {Quaternion} q2 - Quaternion to multiply with.
+   * @param {Boolean} [self=false] - If self, changes this quaternion. If not self, creates new Quaternion with results.
+   * 
+   * @return {Quaternion}
+   */
+  multiply(q2, self = false) {
+    let x = this.w * q2.x + this.x * q2.w + this.y * q2.z - this.z * q2.y;
+    let y = this.w * q2.y - this.x * q2.z + this.y * q2.w + this.z * q2.x;
+    let z = this.w * q2.z + this.x * q2.y - this.y * q2.x + this.z * q2.w;
+    let w = this.w * q2.w - this.x * q2.x - this.y * q2.y - this.z * q2.z;
+
+    if (self) {
+      this.x = x;
+      this.y = y;
+      this.z = z;
+      this.w = w;
+
+      return this;
+    } else {
+      return new Quaternion(x, y, z, w);
+    }
+  }
+
+  dotProduct(q2) {
+    return this.x * q2.x + this.y * q2.y + this.z * q2.z + this.w * q2.w;
+  }
+
+  /**
+   * @param {Boolean} [self=false] - If self, changes this quaternion. If not self, creates new Quaternion with results.
+   * @return {Quaternion}
+   */
+  conjugate(self = false) {
+    if (self) {
+      this.x = -this.x;
+      this.y = -this.y;
+      this.z = -this.z;
+
+      return this;
+    } else {
+      return new Quaternion(-this.x, -this.y, -this.z, this.w);
+    }
+  }
+
+  /**
+   * @param {Boolean} [self=false] - If self, changes this quaternion. If not self, creates new Quaternion with results.
+   * @return {Quaternion}
+   */
+  inverse(self = false) {
+    let squared = this.dotProduct(this);
+    if (squared === 0) {
+      throw new Error(`Quaternion::inverse - A zero quaternion cannot be inverted!`);
+    }
+
+    let out = this.conjugate(self);
+    out.x /= squared;
+    out.y /= squared;
+    out.z /= squared;
+    out.w /= squared;
+
+    return out;
+  }
+
+  /**
+   * @param {Boolean} [self=true] - If self, changes this quaternion. If not self, creates new Quaternion with results.
+   * @return {Quaternion}
+   */
+  normalize(self = true) {
+    let f = 1 / this.magnitude;
+    let out = self ? this : new Quaternion(this.x, this.y, this.z, this.w);
+    out.x *= f;
+    out.y *= f;
+    out.z *= f;
+    out.w *= f;
+
+    return out;
+  }
+
+  /**
+   * Rotates a vector by this (unit) quaternion.
+   * 
+   * @param {Vec3||Array} v - Vector of size 3 to be rotated.
+   * @return {Vec3}
+   */
+  rotate(v) {
+    // t = 2 * cross(q, v); v' = v + w * t + cross(q, t)
+    let tx = 2 * (this.y * v[2] - this.z * v[1]);
+    let ty = 2 * (this.z * v[0] - this.x * v[2]);
+    let tz = 2 * (this.x * v[1] - this.y * v[0]);
+
+    return new Vec3(
+      v[0] + this.w * tx + this.y * tz - this.z * ty,
+      v[1] + this.w * ty + this.z * tx - this.x * tz,
+      v[2] + this.w * tz + this.x * ty - this.y * tx
+    );
+  }
+
+  /**
+   * @return {Object} {axis, angle} - Normalized Vec3 and angle in radians within [0, 2 * PI].
+   */
+  toAxisAngle() {
+    let q = this.normalize(false);
+    let angle = 2 * Math.acos(Math.max(-1, Math.min(1, q.w)));
+    let s = Math.sqrt(1 - q.w * q.w);
+
+    // Any axis works for (nearly) no rotation.
+    if (s < 1e-12) return {axis: new Vec3(1, 0, 0), angle: angle};
+    return {axis: new Vec3(q.x / s, q.y / s, q.z / s), angle: angle};
+  }
+
+  toMat3x3() {
+    let {x, y, z, w} = this;
+
+    return new Mat3x3(
+      [1 - 2 * (y * y + z * z), 2 * (x * y + w * z),     2 * (x * z - w * y)],
+      [2 * (x * y - w * z),     1 - 2 * (x * x + z * z), 2 * (y * z + w * x)],
+      [2 * (x * z + w * y),     2 * (y * z - w * x),     1 - 2 * (x * x + y * y)]
+      );
+  }
+
+  toMat4x4() {
+    let {x, y, z, w} = this;
+
+    return new Mat4x4(
+      [1 - 2 * (y * y + z * z), 2 * (x * y + w * z),     2 * (x * z - w * y),     0],
+      [2 * (x * y - w * z),     1 - 2 * (x * x + z * z), 2 * (y * z + w * x),     0],
+      [2 * (x * z + w * y),     2 * (y * z - w * x),     1 - 2 * (x * x + y * y), 0],
+      [0,                       0,                       0,                       1]
+      );
+  }
+
+  /**
+   * Linear interpolation between two quaternions, normalized afterwards.
+   * Cheaper than slerp, but does not have a constant angular velocity.
+   * 
+   * @param {Quaternion} a - Start rotation (t = 0).
+   * @param {Quaternion} b - End rotation (t = 1).
+   * @param {Number} t - Interpolation factor.
+   * @return {Quaternion}
+   */
+  static nlerp(a, b, t) {
+    // Takes the shorter way around.
+    let sign = a.dotProduct(b) < 0 ? -1 : 1;
+
+    return new Quaternion(
+      a.x + (sign * b.x - a.x) * t,
+      a.y + (sign * b.y - a.y) * t,
+      a.z + (sign * b.z - a.z) * t,
+      a.w + (sign * b.w - a.w) * t
+    ).normalize();
+  }
+
+  /**
+   * Spherical linear interpolation between two unit quaternions, rotating with constant angular velocity.
+   * 
+   * @param {Quaternion} a - Start rotation (t = 0).
+   * @param {Quaternion} b - End rotation (t = 1).
+   * @param {Number} t - Interpolation factor.
+   * @return {Quaternion}
+   */
+  static slerp(a, b, t) {
+    let cos = a.dotProduct(b);
+    let sign = 1;
+    if (cos < 0) {
+      cos = -cos;
+      sign = -1;
+    }
+
+    // Nearly identical rotations would divide by ~0.
+    if (cos > 0.9995) return Quaternion.nlerp(a, b, t);
+
+    let theta = Math.acos(cos);
+    let sin = Math.sin(theta);
+    let fa = Math.sin((1 - t) * theta) / sin;
+    let fb = sign * Math.sin(t * theta) / sin;
+
+    return new Quaternion(
+      a.x * fa + b.x * fb,
+      a.y * fa + b.y * fb,
+      a.z * fa + b.z * fb,
+      a.w * fa + b.w * fb
+    );
+  }
+}
+
+/**********************************************
+ * 02 Randomness and Noise
+ **********************************************/
+// Pseudorandom Number Generator (seeded)
+const availableAlgos = ["sfc32", "Mulberry32", "xoshiro128**", "PCG32", "xorshift128+", "SplitMix32", "SplitMix64", "JSF32", "MT19937"];
+
+/**
+ * Output function of SplitMix64, used as 64-bit generator and to expand seeds.
+ * 
+ * @param {BigInt} z - Current 64-bit state of the Weyl sequence (state += 0x9E3779B97F4A7C15).
+ * @return {BigInt} 64-bit output.
+ */
+function mix64(z) {
+  z = BigInt.asUintN(64, (z ^ (z >> 30n)) * 0xBF58476D1CE4E5B9n);
+  z = BigInt.asUintN(64, (z ^ (z >> 27n)) * 0x94D049BB133111EBn);
+  return z ^ (z >> 31n);
+}
+
+/**
+ * cyrb128 hash by bryc, spreads any amount of input over four 32-bit words.
+ * For strings it gives the same words as the widely used cyrb128(str) snippet.
+ * 
+ * @param {Array} units - Integers to hash, e.g. UTF-16 code units of a string.
+ * @return {Array} Four unsigned 32-bit words.
+ */
+function cyrb128(units) {
+  let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+  for (let k of units) {
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+  h1 ^= (h2 ^ h3 ^ h4), h2 ^= h1, h3 ^= h1, h4 ^= h1;
+  return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0];
+}
+
+/**
+ * Breaks a seed down into the integers cyrb128 hashes.
+ * Array elements are followed by their unit count, so ["ab"] and ["a", "b"] differ.
+ * 
+ * @param {Number|String|BigInt|Array} seed
+ * @return {Array|undefined} Units of the seed, undefined if it contains unsupported types.
+ */
+function seedUnits(seed) {
+  switch(typeof(seed)) {
+    case "string":
+      return Array.prototype.map.call(seed, c => c.charCodeAt(0));
+
+    case "number":
+      return [seed >>> 0];
+
+    case "bigint":
+      {let units = [seed < 0n ? 1 : 0];  // Sign, followed by the 32-bit chunks of the magnitude.
+      for (let x = seed < 0n ? -seed : seed; x > 0n; x >>= 32n) {
+        units.push(Number(x & 0xFFFFFFFFn));
+      }
+      return units;}
+
+    default:
+      if (!Array.isArray(seed)) return undefined;
+
+      {let units = [];
+      for (let element of seed) {
+        let elementUnits = seedUnits(element);
+        if (elementUnits === undefined) return undefined;
+        units.push(...elementUnits, elementUnits.length);
+      }
+      return units;}
+  }
+}
+
+/**
+ * Creates and returns the PRNG.
+ * List of available algorithms can be found through the availableAlgorithms getter.
+ * 
+ * Multi-word seeds are arrays of unsigned 32-bit words, their meaning depends on the algorithm:
+ * - PCG32: [stateHigh, stateLow, sequenceHigh, sequenceLow]
+ * - xorshift128+: [s0High, s0Low, s1High, s1Low], shorter seeds are expanded through SplitMix64.
+ * - SplitMix64: [stateHigh, stateLow]
+ * - JSF32: [a, b, c, d]
+ * - MT19937: the key of init_by_array, a single number uses init_genrand.
+ * The other algorithms have no such layout and fill their whole state with the cyrb128 hash of the array.
+ * 
+ * Strings, BigInts and arrays containing them are hashed with cyrb128 into four words,
+ * which are used like a multi-word seed, so prngCreator("level-3") is reproducible.
+ * Single numbers seed the state as before, sfc32 and xoshiro128** pad them with fixed constants.
+ * The sequences of the other algorithms are unchanged, but xoshiro128** and Mulberry32 now match their reference
+ * implementations, which changes the output for every seed: xoshiro128** scrambles s[1] with 32-bit multiplications
+ * from the first number on, and Mulberry32 shifts unsigned, so it departs at the first step the signed shift got wrong.
+ * 
+ * The returned generator carries its state along, so it can be saved and restored:
+ * - rng.state gets or sets the state as JSON compatible object {algo, words}.
+ * - rng.clone() creates an independent generator continuing from the same state.
+ * - rng.jump() and rng.longJump() (xoshiro128** only) advance by 2^64 and 2^96 steps,
+ *   so clones jumped different amounts of times give non-overlapping streams.
+ * 
+ * @param {Number|String|BigInt|Array} [seed] - Seed, randomized if undefined.
+ * @param {String} [algo="sfc32"] - Algorithm to be used (case insensitive).
+ * @return {function} Pseudorandom number generator based on the seed and algo.
+ * 
+ * @example
+ * let rng = prngCreator(1337, "PCG32");
+ * rng();  // 0.37...
+ * // Same sequence as the PCG reference demo, pcg32_srandom(42, 54).
+ * prngCreator([0, 42, 0, 54], "PCG32");
+ * @example
+ * prngCreator("level-3", "xoshiro128**");
+ * prngCreator(["world", 12, 2n ** 80n]);
+ * @example
+ * // Four parallel streams from one seed.
+ * let streams = [prngCreator(7, "xoshiro128**")];
+ * for (let i = 1; i < 4; i++) streams.push(streams[i - 1].clone().jump());
+ * @example
+ * let saved = JSON.stringify(rng.state);
+ * rng.state = JSON.parse(saved);
+ */
+export function prngCreator(seed, algo) {
+  // Strings, BigInts and arrays are hashed into four words (hash).
+  // Arrays of numbers are also kept as they are (words), for the algorithms with a multi-word layout.
+  let hash, words;
+  if (typeof(seed) === "string" || typeof(seed) === "bigint" || (Array.isArray(seed) && seed.length > 0)) {
+    let units = seedUnits(seed);
+    if (units === undefined) {
+      console.warn("prngCreator - the supplied seed contains values other than numbers, strings or BigInts and has been randomized.");
+    } else {
+      hash = cyrb128(units);
+      words = seed.every?.(w => typeof(w) === "number") ? seed.map(w => w >>> 0) : hash;
+      seed = words[0];
+    }
+  }
+
+  seed = seed === undefined || typeof(seed) !== "number" ? Math.floor(Math.random() * 1337 ^ 0xDEADBEEF) : seed;
+  seed >>>= 0;  // Casts the seed to an unsigned Integer.
+  words = words ?? [seed];
+
+  const word64 = (high, low) => (BigInt(high) << 32n) | BigInt(low);
+  const splitWords = x => [Number(x >> 32n), Number(x & 0xFFFFFFFFn)];
+
+  if (algo === undefined || typeof(algo) !== "string" || !availableAlgos.some(a => a.toLowerCase() === algo.toLowerCase())) {
+    if (algo !== undefined) console.warn(`prngCreator - the supplied value for the algo parameter "${algo}" is not available and has been changed to "sfc32".`);
+    algo = "sfc32";
+  }
+
+  algo = availableAlgos.find(a => a.toLowerCase() === algo.toLowerCase());
+
+  // getState returns the state as unsigned 32-bit words, setState takes them back.
+  let rng, getState, setState, jump;
+
+  switch(algo.toLowerCase()) {
+    case "sfc32":
+      // Creates a 32-bit pseudorandom number and squishes it into the [0, 1) range.
+      // Seed-padding-numbers for single number seeds: 
+      // a: phi = 0x1.61803398875..
+      // b: pi = 0x3.243F6A8884C3C..
+      // c: e = 0x2.B7E132B55E..
+      {let [a, b, c, d] = hash ?? [0x9E3779B8, 0x243F6A88, 0xB7E132B5, seed];
+      rng = function() {
+        a >>>= 0, b >>>= 0, c >>>= 0, d >>>= 0;
+        let t = (a + b) | 0;
+        a = b ^ b >>> 9;
+        b = c + (c << 3) | 0;
+        c = (c << 21 | c >>> 11);
+        d = d + 1 | 0;
+        t = t + d | 0;
+        c = c + t | 0;
+        return (t >>> 0) / 4294967296;  // 4294967296 = 32-bit-max-int + 1.
+      };
+      getState = () => [a >>> 0, b >>> 0, c >>> 0, d >>> 0];
+      setState = w => [a, b, c, d] = w;}
+      break;
+
+    case "mulberry32":
+      // Creates a 32-bit pseudorandom number and squishes it into the [0, 1) range.
+      seed = hash?.[0] ?? seed;
+      rng = function() {
+        seed = seed + 0x6D2B79F5 | 0;  // Stays a 32-bit Integer, instead of growing until it loses precision.
+        let z = seed;
+        z = Math.imul(z ^ (z >>> 15), z | 1);
+        z ^= z + Math.imul(z ^ (z >>> 7), z | 61);
+        return ((z ^ (z >>> 14)) >>> 0) / 4294967296;
+      };
+      getState = () => [seed >>> 0];
+      setState = w => seed = w[0];
+      break;
+
+    case "xoshiro128**":
+      // Creates a 32-bit pseudorandom number and squishes it into the [0, 1) range.
+      // Seed-padding-numbers for single number seeds: 
+      // a: phi = 0x1.61803398875..
+      // b: pi = 0x3.243F6A8884C3C..
+      // c: e = 0x2.B7E132B55E..
+      {let [a, b, c, d] = hash ?? [0x9E3779B8, 0x243F6A88, 0xB7E132B5, seed];
+      rng = function() {
+        // The output scrambles the second word, rotl(b * 5, 7) * 9 (multiplied as 32-bit Integers).
+        let r = Math.imul(b, 5);
+        r = Math.imul(r << 7 | r >>> 25, 9);
+        let t = b << 9;
+        c ^= a;
+        d ^= b;
+        b ^= c;
+        a ^= d;
+        c ^= t;
+        d = d << 11 | d >>> 21;
+        return (r >>> 0) / 4294967296;
+      };
+      getState = () => [a >>> 0, b >>> 0, c >>> 0, d >>> 0];
+      setState = w => [a, b, c, d] = w;
+
+      // Xors together the states at the set bits of the jump polynomial (xoshiro128starstar.c).
+      jump = function(polynomial) {
+        let s0 = 0, s1 = 0, s2 = 0, s3 = 0;
+        for (let word of polynomial) {
+          for (let bit = 0; bit < 32; bit++) {
+            if (word & (1 << bit)) {
+              s0 ^= a;
+              s1 ^= b;
+              s2 ^= c;
+              s3 ^= d;
+            }
+            rng();
+          }
+        }
+        [a, b, c, d] = [s0, s1, s2, s3];
+      };}
+      break;
+
+    case "pcg32":
+      // Permuted congruential generator with 64-bit state (pcg32_random_r of the PCG reference), BigInt based.
+      {let initState = words.length >= 2 ? word64(words[0], words[1]) : BigInt(seed);
+      let initSequence = words.length >= 4 ? word64(words[2], words[3]) : 0x6D1F1CE5CA5CADEDn;
+      let state = 0n;
+      let increment = BigInt.asUintN(64, (initSequence << 1n) | 1n);
+
+      let step = function() {
+        let old = state;
+        state = BigInt.asUintN(64, old * 6364136223846793005n + increment);
+        let xorShifted = Number(BigInt.asUintN(32, ((old >> 18n) ^ old) >> 27n));
+        let rot = Number(old >> 59n);
+        return ((xorShifted >>> rot) | (xorShifted << ((-rot) & 31))) >>> 0;
+      };
+
+      step();
+      state = BigInt.asUintN(64, state + initState);
+      step();
+
+      rng = function() {
+        return step() / 4294967296;
+      };
+      getState = () => [...splitWords(state), ...splitWords(increment)];
+      setState = w => {
+        state = word64(w[0], w[1]);
+        increment = word64(w[2], w[3]);
+      };}
+      break;
+
+    case "xorshift128+":
+      // 64-bit xorshift with an added output (Vigna's shifts 23, 18, 5), BigInt based.
+      // Returns the upper 53 bits, which fill the whole mantissa of a double.
+      {let s0, s1;
+      if (words.length >= 4) {
+        s0 = word64(words[0], words[1]);
+        s1 = word64(words[2], words[3]);
+      } else {
+        let x = words.length >= 2 ? word64(words[0], words[1]) : BigInt(seed);
+        s0 = mix64(x = BigInt.asUintN(64, x + 0x9E3779B97F4A7C15n));
+        s1 = mix64(BigInt.asUintN(64, x + 0x9E3779B97F4A7C15n));
+      }
+
+      if (s0 === 0n && s1 === 0n) {
+        throw new Error("prngCreator - xorshift128+ can not be seeded with an all zero state!");
+      }
+
+      rng = function() {
+        let x = s0;
+        let y = s1;
+        let result = BigInt.asUintN(64, x + y);
+        s0 = y;
+        x ^= BigInt.asUintN(64, x << 23n);
+        s1 = x ^ y ^ (x >> 18n) ^ (y >> 5n);
+        return Number(result >> 11n) / 9007199254740992;  // 9007199254740992 = 2^53.
+      };
+      getState = () => [...splitWords(s0), ...splitWords(s1)];
+      setState = w => {
+        s0 = word64(w[0], w[1]);
+        s1 = word64(w[2], w[3]);
+      };}
+      break;
+
+    case "splitmix32":
+      // Weyl sequence run through a 32-bit integer hash (constants found by hash-prospector).
+      seed = hash?.[0] ?? seed;
+      rng = function() {
+        seed = seed + 0x9E3779B9 | 0;
+        let t = seed ^ seed >>> 16;
+        t = Math.imul(t, 0x21F0AAAD);
+        t ^= t >>> 15;
+        t = Math.imul(t, 0x735A2D97);
+        return ((t ^ t >>> 15) >>> 0) / 4294967296;
+      };
+      getState = () => [seed >>> 0];
+      setState = w => seed = w[0];
+      break;
+
+    case "splitmix64":
+      // Returns the upper 53 bits of the 64-bit output, BigInt based.
+      {let state = words.length >= 2 ? word64(words[0], words[1]) : BigInt(seed);
+      rng = function() {
+        state = BigInt.asUintN(64, state + 0x9E3779B97F4A7C15n);
+        return Number(mix64(state) >> 11n) / 9007199254740992;
+      };
+      getState = () => splitWords(state);
+      setState = w => state = word64(w[0], w[1]);}
+      break;
+
+    case "jsf32":
+      // Bob Jenkins' small fast generator, seeded like his raninit and warmed up for 20 rounds.
+      {let a = 0xF1EA5EED, b = seed, c = seed, d = seed;
+      if (words.length >= 4) [a, b, c, d] = words;
+
+      let step = function() {
+        let e = a - (b << 27 | b >>> 5) | 0;
+        a = b ^ (c << 17 | c >>> 15);
+        b = c + d | 0;
+        c = d + e | 0;
+        d = e + a | 0;
+        return d >>> 0;
+      };
+      for (let i = 0; i < 20; i++) step();
+
+      rng = function() {
+        return step() / 4294967296;
+      };
+      getState = () => [a >>> 0, b >>> 0, c >>> 0, d >>> 0];
+      setState = w => [a, b, c, d] = w;}
+      break;
+
+    case "mt19937":
+      // 32-bit Mersenne Twister (mt19937ar of Matsumoto and Nishimura).
+      {let mt = new Uint32Array(624);
+      let index = 624;
+
+      let initGenrand = function(s) {
+        mt[0] = s;
+        for (let i = 1; i < 624; i++) {
+          mt[i] = Math.imul(1812433253, mt[i - 1] ^ (mt[i - 1] >>> 30)) + i;
+        }
+      };
+
+      if (words.length === 1) {
+        initGenrand(seed);
+      } else {
+        // init_by_array
+        initGenrand(19650218);
+        let i = 1, j = 0;
+        for (let k = Math.max(624, words.length); k > 0; k--) {
+          mt[i] = (mt[i] ^ Math.imul(mt[i - 1] ^ (mt[i - 1] >>> 30), 1664525)) + words[j] + j;
+          i++;
+          j++;
+          if (i >= 624) { mt[0] = mt[623]; i = 1; }
+          if (j >= words.length) j = 0;
+        }
+        for (let k = 623; k > 0; k--) {
+          mt[i] = (mt[i] ^ Math.imul(mt[i - 1] ^ (mt[i - 1] >>> 30), 1566083941)) - i;
+          i++;
+          if (i >= 624) { mt[0] = mt[623]; i = 1; }
+        }
+        mt[0] = 0x80000000;
+      }
+
+      rng = function() {
+        if (index >= 624) {
+          for (let k = 0; k < 624; k++) {
+            let y = (mt[k] & 0x80000000) | (mt[(k + 1) % 624] & 0x7FFFFFFF);
+            mt[k] = mt[(k + 397) % 624] ^ (y >>> 1) ^ (y & 1 ? 0x9908B0DF : 0);
+          }
+          index = 0;
+        }
+
+        let y = mt[index++];
+        y ^= y >>> 11;
+        y ^= (y << 7) & 0x9D2C5680;
+        y ^= (y << 15) & 0xEFC60000;
+        y ^= y >>> 18;
+        return (y >>> 0) / 4294967296;
+      };
+      // The 624 words of the table, followed by the read position.
+      getState = () => [...mt, index];
+      setState = w => {
+        mt.set(w.slice(0, 624));
+        index = w[624];
+      };}
+      break;
+
+    default:
+      throw new Error("prngCreator - Should not happen! If it still does, bad sourcecode on my part.. Sorry!");
+  }
+
+  const stateLength = getState().length;
+
+  Object.defineProperty(rng, "state", {
+    get: () => ({algo: algo, words: getState()}),
+    set: function(state) {
+      if (typeof(state) !== "object" || state === null || typeof(state.algo) !== "string" || state.algo.toLowerCase() !== algo.toLowerCase()) {
+        throw new Error(`prngCreator - Only states of "${algo}" can be restored, but got ${JSON.stringify(state?.algo)}!`);
+      }
+      if (!Array.isArray(state.words) || state.words.length !== stateLength || !state.words.every(w => Number.isInteger(w))) {
+        throw new Error(`prngCreator - The state of "${algo}" needs ${stateLength} integer words!`);
+      }
+
+      setState(state.words.map(w => w >>> 0));
+    }
+  });
+
+  rng.clone = function() {
+    let copy = prngCreator(0, algo);
+    copy.state = rng.state;
+    return copy;
+  };
+
+  if (jump !== undefined) {
+    rng.jump = function() {
+      jump([0x8764000B, 0xF542D2D3, 0x6FA035C3, 0x77F2DB5B]);
+      return rng;
+    };
+
+    rng.longJump = function() {
+      jump([0xB523952E, 0x0B6F099F, 0xCCF5A0EF, 0x1C580662]);
+      return rng;
+    };
+  }
+
+  return rng;
+}
+
+Object.defineProperty(prngCreator, "availableAlgorithms", {
+  get: () => [...availableAlgos]
+});
+
+// Lanczos approximation (g = 7) of ln(Gamma(x)), used by the rejection samplers.
+const lanczosCoefficients = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61503916999185,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+/**
+ * Natural logarithm of the absolute Gamma function, accurate to about 15 digits.
+ * 
+ * @param {Number} x - Any number but the non-positive integers (poles).
+ * @return {Number} ln|Gamma(x)|
+ * 
+ * @example
+ * logGamma(5);  // ln(4!) = 3.178...
+ */
+export function logGamma(x) {
+  // Reflection formula for the left half.
+  if (x < 0.5) return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x);
+
+  x -= 1;
+  let a = lanczosCoefficients[0];
+  let t = x + 7.5;
+  for (let i = 1; i < 9; i++) {
+    a += lanczosCoefficients[i] / (x + i);
+  }
+
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+/**
+ * Random numbers of common distributions and sampling, drawn from a seeded PRNG.
+ * 
+ * @example
+ * let random = new Random(1337, "PCG32");
+ * random.integer(1, 6);                       // dice roll
+ * random.normal(170, 10);                     // body height
+ * random.weightedChoice(["a", "b"], [9, 1]);  // "a" 90% of the time
+ */
+export class Random {
+  /**
+   * @param {Number|String|BigInt|Array|function} [seed] - Seed for prngCreator, or a generator returning floats in [0, 1).
+   * @param {String} [algo="sfc32"] - Algorithm for prngCreator, ignored if seed is a generator.
+   */
+  constructor(seed, algo) {
+    this.rng = typeof(seed) === "function" ? seed : prngCreator(seed, algo);
+    this.spareNormal = undefined;
+  }
+
+  toString() {
+    return "Random";
+  }
+
+  /**
+   * State of the generator plus the cached normal deviate, JSON compatible.
+   * Only available if the generator came from prngCreator.
+   *
+   * @example
+   * let saved = JSON.stringify(random.state);
+   * random.state = JSON.parse(saved);
+   */
+  get state() {
+    if (this.rng.state === undefined) {
+      throw new Error("Random::state - Custom generators have no accessible state!");
+    }
+
+    return {...this.rng.state, spareNormal: this.spareNormal ?? null};
+  }
+
+  set state(state) {
+    if (this.rng.state === undefined) {
+      throw new Error("Random::state - Custom generators have no accessible state!");
+    }
+
+    this.rng.state = state;
+    this.spareNormal = state.spareNormal ?? undefined;
+  }
+
+  /**
+   * @return {Random} Independent copy continuing with the same numbers.
+   */
+  clone() {
+    if (this.rng.clone === undefined) {
+      throw new Error("Random::clone - Custom generators can not be cloned!");
+    }
+
+    let copy = new Random(this.rng.clone());
+    copy.spareNormal = this.spareNormal;
+    return copy;
+  }
+
+  /**
+   * @param {Number} [min=0] - Inclusive lower bound.
+   * @param {Number} [max=1] - Exclusive upper bound.
+   * @return {Number} Uniformly distributed float in [min, max).
+   */
+  float(min = 0, max = 1) {
+    return min + this.rng() * (max - min);
+  }
+
+  /**
+   * @param {Number} min - Inclusive lower bound.
+   * @param {Number} max - Inclusive upper bound.
+   * @return {Number} Uniformly distributed integer in [min, max].
+   */
+  integer(min, max) {
+    min = Math.ceil(min);
+    max = Math.floor(max);
+    if (max < min) {
+      throw new Error(`Random::integer - max (${max}) needs to be at least min (${min})!`);
+    }
+
+    return min + Math.floor(this.rng() * (max - min + 1));
+  }
+
+  /**
+   * @param {Number} [p=0.5] - Probability of true.
+   * @return {Boolean}
+   */
+  bool(p = 0.5) {
+    return this.rng() < p;
+  }
+
+  /**
+   * Normal distribution through the Marsaglia polar method, which creates pairs of values.
+   * 
+   * @param {Number} [mean=0]
+   * @param {Number} [std=1] - Standard deviation.
+   * @return {Number}
+   */
+  normal(mean = 0, std = 1) {
+    if (this.spareNormal !== undefined) {
+      let out = this.spareNormal;
+      this.spareNormal = undefined;
+      return mean + std * out;
+    }
+
+    let u, v, s;
+    do {
+      u = this.rng() * 2 - 1;
+      v = this.rng() * 2 - 1;
+      s = u * u + v * v;
+    } while (s >= 1 || s === 0);
+
+    let f = Math.sqrt(-2 * Math.log(s) / s);
+    this.spareNormal = v * f;
+    return mean + std * u * f;
+  }
+
+  /**
+   * @param {Number} [lambda=1] - Rate, the mean is 1 / lambda.
+   * @return {Number}
+   */
+  exponential(lambda = 1) {
+    if (!(lambda > 0)) {
+      throw new Error(`Random::exponential - lambda needs to be positive, but is ${lambda}!`);
+    }
+
+    return -Math.log(1 - this.rng()) / lambda;
+  }
+
+  /**
+   * Poisson distribution, multiplication of uniforms for small lambda and
+   * Hörmann's transformed rejection (PTRS) for lambda >= 10.
+   * 
+   * @param {Number} lambda - Mean amount of events.
+   * @return {Number} Integer >= 0.
+   */
+  poisson(lambda) {
+    if (!(lambda >= 0)) {
+      throw new Error(`Random::poisson - lambda needs to be >= 0, but is ${lambda}!`);
+    }
+
+    if (lambda < 10) {
+      let limit = Math.exp(-lambda);
+      let k = 0;
+      let product = this.rng();
+      while (product > limit) {
+        k++;
+        product *= this.rng();
+      }
+
+      return k;
+    }
+
+    let sqrtLambda = Math.sqrt(lambda);
+    let logLambda = Math.log(lambda);
+    let b = 0.931 + 2.53 * sqrtLambda;
+    let a = -0.059 + 0.02483 * b;
+    let invAlpha = 1.1239 + 1.1328 / (b - 3.4);
+    let vr = 0.9277 - 3.6224 / (b - 2);
+
+    while (true) {
+      let u = this.rng() - 0.5;
+      let v = this.rng();
+      let us = 0.5 - Math.abs(u);
+      let k = Math.floor((2 * a / us + b) * u + lambda + 0.43);
+
+      if (us >= 0.07 && v <= vr) return k;
+      if (k < 0 || (us < 0.013 && v > us)) continue;
+      if (Math.log(v) + Math.log(invAlpha) - Math.log(a / (us * us) + b) <= -lambda + k * logLambda - logGamma(k + 1)) return k;
+    }
+  }
+
+  /**
+   * Binomial distribution, inversion for small means and Hörmann's transformed rejection (BTRS) otherwise.
+   * 
+   * @param {Number} n - Amount of trials.
+   * @param {Number} p - Success probability of each trial.
+   * @return {Number} Amount of successes.
+   */
+  binomial(n, p) {
+    if (!Number.isInteger(n) || n < 0 || !(p >= 0 && p <= 1)) {
+      throw new Error(`Random::binomial - n needs to be an integer >= 0 and p within [0, 1], but are ${n} and ${p}!`);
+    }
+
+    // Samples the failures for p > 0.5, both algorithms need p <= 0.5.
+    if (p > 0.5) return n - this.binomial(n, 1 - p);
+    if (p === 0 || n === 0) return 0;
+
+    let q = 1 - p;
+
+    if (n * p < 10) {
+      let s = p / q;
+      let a = (n + 1) * s;
+      let r = Math.pow(q, n);
+      let u = this.rng();
+      let x = 0;
+
+      while (u > r && x < n) {
+        u -= r;
+        x++;
+        r *= a / x - s;
+      }
+
+      return x;
+    }
+
+    let spq = Math.sqrt(n * p * q);
+    let b = 1.15 + 2.53 * spq;
+    let a = -0.0873 + 0.0248 * b + 0.01 * p;
+    let c = n * p + 0.5;
+    let vr = 0.92 - 4.2 / b;
+    let alpha = (2.83 + 5.1 / b) * spq;
+    let lpq = Math.log(p / q);
+    let m = Math.floor((n + 1) * p);
+    let h = logGamma(m + 1) + logGamma(n - m + 1);
+
+    while (true) {
+      let u = this.rng() - 0.5;
+      let v = this.rng();
+      let us = 0.5 - Math.abs(u);
+      let k = Math.floor((2 * a / us + b) * u + c);
+
+      if (k < 0 || k > n) continue;
+      if (us >= 0.07 && v <= vr) return k;
+
+      v = Math.log(v * alpha / (a / (us * us) + b));
+      if (v <= h - logGamma(k + 1) - logGamma(n - k + 1) + (k - m) * lpq) return k;
+    }
+  }
+
+  /**
+   * Gamma distribution through Marsaglia and Tsang's method.
+   * 
+   * @param {Number} shape - Shape k > 0.
+   * @param {Number} [scale=1] - Scale theta > 0, the mean is shape * scale.
+   * @return {Number}
+   */
+  gamma(shape, scale = 1) {
+    if (!(shape > 0) || !(scale > 0)) {
+      throw new Error(`Random::gamma - shape and scale need to be positive, but are ${shape} and ${scale}!`);
+    }
+
+    // Boosts shapes below 1, which the method does not support.
+    if (shape < 1) return this.gamma(shape + 1, scale) * Math.pow(this.rng(), 1 / shape);
+
+    let d = shape - 1 / 3;
+    let c = 1 / Math.sqrt(9 * d);
+
+    while (true) {
+      let x, v;
+      do {
+        x = this.normal();
+        v = 1 + c * x;
+      } while (v <= 0);
+
+      v = v * v * v;
+      let u = this.rng();
+      if (u < 1 - 0.0331 * x * x * x * x) return d * v * scale;
+      if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v * scale;
+    }
+  }
+
+  /**
+   * @param {Number} alpha - First shape > 0.
+   * @param {Number} beta - Second shape > 0.
+   * @return {Number} Float in [0, 1].
+   */
+  beta(alpha, beta) {
+    let x = this.gamma(alpha);
+    let y = this.gamma(beta);
+
+    return x / (x + y);
+  }
+
+  /**
+   * @param {Array} array - Array to choose from.
+   * @return {*} Uniformly chosen element, undefined for an empty array.
+   */
+  choice(array) {
+    return array[Math.floor(this.rng() * array.length)];
+  }
+
+  /**
+   * Chooses an element with a probability proportional to its weight.
+   * 
+   * @param {Array} items - Array to choose from.
+   * @param {Array} weights - Non-negative weight of each item, does not need to sum up to 1.
+   * @return {*}
+   */
+  weightedChoice(items, weights) {
+    if (items.length !== weights.length) {
+      throw new Error(`Random::weightedChoice - Needs as many weights as items, but got ${weights.length} for ${items.length}!`);
+    }
+
+    let total = 0;
+    for (let w of weights) {
+      if (!(w >= 0)) throw new Error(`Random::weightedChoice - Weights need to be >= 0, but got ${w}!`);
+      total += w;
+    }
+    if (total === 0) {
+      throw new Error(`Random::weightedChoice - At least one weight needs to be positive!`);
+    }
+
+    let target = this.rng() * total;
+    for (let i = 0; i < items.length; i++) {
+      target -= weights[i];
+      if (target < 0) return items[i];
+    }
+
+    // Rounding can leave a tiny rest, which belongs to the last item with a weight.
+    for (let i = items.length - 1; i >= 0; i--) {
+      if (weights[i] > 0) return items[i];
+    }
+  }
+
+  /**
+   * Shuffles an array in place (Fisher-Yates).
+   * 
+   * @param {Array} array - Array to shuffle.
+   * @return {Array} The same array.
+   */
+  shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      let j = Math.floor(this.rng() * (i + 1));
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+
+    return array;
+  }
+
+  /**
+   * Picks k distinct elements (without replacement) through a partial Fisher-Yates shuffle of a copy.
+   * 
+   * @param {Array} array - Array to sample from, left untouched.
+   * @param {Number} k - Amount of elements, at most array.length.
+   * @return {Array} k elements in random order.
+   */
+  sample(array, k) {
+    if (k > array.length) {
+      throw new Error(`Random::sample - Can not pick ${k} out of ${array.length} elements without replacement!`);
+    }
+
+    let copy = [...array];
+    for (let i = 0; i < k; i++) {
+      let j = i + Math.floor(this.rng() * (copy.length - i));
+      [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+
+    return copy.slice(0, k);
+  }
+
+  /**
+   * Picks k elements of an iterable of unknown length in a single pass (reservoir sampling, algorithm R).
+   * 
+   * @param {Iterable} iterable - Elements to sample from, f.e. a generator.
+   * @param {Number} k - Size of the reservoir.
+   * @return {Array} Up to k elements, each element had the same chance to be picked.
+   */
+  reservoirSample(iterable, k) {
+    let reservoir = [];
+    let i = 0;
+
+    for (let item of iterable) {
+      if (i < k) {
+        reservoir.push(item);
+      } else {
+        let j = Math.floor(this.rng() * (i + 1));
+        if (j < k) reservoir[j] = item;
+      }
+      i++;
+    }
+
+    return reservoir;
+  }
+}
+
+// Gradient Noise (seeded)
+// Gradient tables, normalized to unit length except for 1D which uses a spread of magnitudes.
+const noiseGradients = [
+  [],
+  [1, 2, 3, 4, 5, 6, 7, 8].flatMap(g => [[g / 8], [-g / 8]]),
+  [...Array(8)].map((_, i) => [Math.cos(i * Math.PI / 4), Math.sin(i * Math.PI / 4)]),
+  [
+    [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+    [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+    [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1]
+  ],
+  [
+    [0, 1, 1, 1], [0, 1, 1, -1], [0, 1, -1, 1], [0, 1, -1, -1],
+    [0, -1, 1, 1], [0, -1, 1, -1], [0, -1, -1, 1], [0, -1, -1, -1],
+    [1, 0, 1, 1], [1, 0, 1, -1], [1, 0, -1, 1], [1, 0, -1, -1],
+    [-1, 0, 1, 1], [-1, 0, 1, -1], [-1, 0, -1, 1], [-1, 0, -1, -1],
+    [1, 1, 0, 1], [1, 1, 0, -1], [1, -1, 0, 1], [1, -1, 0, -1],
+    [-1, 1, 0, 1], [-1, 1, 0, -1], [-1, -1, 0, 1], [-1, -1, 0, -1],
+    [1, 1, 1, 0], [1, 1, -1, 0], [1, -1, 1, 0], [1, -1, -1, 0],
+    [-1, 1, 1, 0], [-1, 1, -1, 0], [-1, -1, 1, 0], [-1, -1, -1, 0]
+  ]
+];
+const unitGradients = noiseGradients.map((table, n) => {
+  if (n < 2) return table;
+  return table.map(g => {
+    let length = Math.sqrt(g.reduce((sum, c) => sum + c * c, 0));
+    return g.map(c => c / length);
+  });
+});
+
+/**
+ * Shuffles 0..255 with the given generator (Fisher-Yates) and doubles the table to avoid index wrapping.
+ * 
+ * @param {function} rng - Generator created by prngCreator.
+ * @return {Array} Permutation table of length 512.
+ */
+function createPermutation(rng) {
+  let perm = [...Array(256)].map((_, i) => i);
+  for (let i = 255; i > 0; i--) {
+    let j = Math.floor(rng() * (i + 1));
+    [perm[i], perm[j]] = [perm[j], perm[i]];
+  }
+
+  return perm.concat(perm);
+}
+
+/**
+ * Creates seeded Perlin noise for 1 to 4 dimensions.
+ * The dimension is picked by the amount of coordinates given to the returned function.
+ * 
+ * @param {function|Number|String} [rng] - Generator created by prngCreator, or a seed to create one with.
+ * @return {function} Noise function (x, [y], [z], [w]) returning values in [-1, 1].
+ * 
+ * @example
+ * let perlin = perlinCreator(prngCreator(1337));
+ * perlin(0.5);           // 1D
+ * perlin(0.5, 1.25, 3);  // 3D
+ */
+export function perlinCreator(rng) {
+  rng = typeof(rng) === "function" ? rng : prngCreator(rng);
+  const perm = createPermutation(rng);
+
+  return function(...p) {
+    const n = p.length;
+    if (n < 1 || n > 4) throw new Error(`perlin - Supports 1 to 4 dimensions, but got ${n} coordinates!`);
+
+    const grads = unitGradients[n];
+    let cell = [], frac = [], fade = [];
+    for (let d = 0; d < n; d++) {
+      let c = Math.floor(p[d]);
+      frac[d] = p[d] - c;
+      fade[d] = frac[d] * frac[d] * frac[d] * (frac[d] * (frac[d] * 6 - 15) + 10);
+      cell[d] = c & 255;
+    }
+
+    // Sums the gradient influence of each corner of the hypercube, weighted by the faded distances.
+    let out = 0;
+    for (let corner = 0; corner < (1 << n); corner++) {
+      let h = 0, weight = 1, dot = 0;
+      for (let d = 0; d < n; d++) {
+        let bit = (corner >> d) & 1;
+        h = perm[h + cell[d] + bit];
+        weight *= bit ? fade[d] : 1 - fade[d];
+      }
+
+      let g = grads[h % grads.length];
+      for (let d = 0; d < n; d++) {
+        dot += g[d] * (frac[d] - ((corner >> d) & 1));
+      }
+
+      out += weight * dot;
+    }
+
+    // The largest possible value of n-dimensional Perlin noise is sqrt(n) / 2.
+    return out * 2 / Math.sqrt(n);
+  };
+}
+
+/**
+ * Creates seeded simplex noise for 1 to 4 dimensions (after Stefan Gustavson's reference implementation).
+ * Compared to Perlin noise it has fewer directional artifacts and scales better with the dimension.
+ * 
+ * @param {function|Number|String} [rng] - Generator created by prngCreator, or a seed to create one with.
+ * @return {function} Noise function (x, [y], [z], [w]) returning values in roughly [-1, 1].
+ * 
+ * @example
+ * let simplex = simplexCreator(prngCreator(42));
+ * simplex(x / 64, y / 64);
+ */
+export function simplexCreator(rng) {
+  rng = typeof(rng) === "function" ? rng : prngCreator(rng);
+  const perm = createPermutation(rng);
+  const grad3 = noiseGradients[3];
+  const grad4 = noiseGradients[4];
+
+  const F2 = 0.5 * (Math.sqrt(3) - 1), G2 = (3 - Math.sqrt(3)) / 6;
+  const F3 = 1 / 3, G3 = 1 / 6;
+  const F4 = (Math.sqrt(5) - 1) / 4, G4 = (5 - Math.sqrt(5)) / 20;
+
+  function noise1D(x) {
+    let i0 = Math.floor(x);
+    let x0 = x - i0;
+    let x1 = x0 - 1;
+    let out = 0;
+
+    for (let [h, dx] of [[perm[i0 & 255], x0], [perm[(i0 + 1) & 255], x1]]) {
+      let t = 1 - dx * dx;
+      t *= t;
+      let g = 1 + (h & 7);
+      if (h & 8) g = -g;
+      out += t * t * g * dx;
+    }
+
+    return 0.395 * out;
+  }
+
+  function noise2D(x, y) {
+    let s = (x + y) * F2;
+    let i = Math.floor(x + s);
+    let j = Math.floor(y + s);
+    let t = (i + j) * G2;
+    let x0 = x - (i - t);
+    let y0 = y - (j - t);
+
+    let i1 = x0 > y0 ? 1 : 0;
+    let j1 = x0 > y0 ? 0 : 1;
+
+    let corners = [
+      [x0, y0, 0, 0],
+      [x0 - i1 + G2, y0 - j1 + G2, i1, j1],
+      [x0 - 1 + 2 * G2, y0 - 1 + 2 * G2, 1, 1]
+    ];
+
+    let ii = i & 255, jj = j & 255;
+    let out = 0;
+    for (let [cx, cy, ci, cj] of corners) {
+      let r = 0.5 - cx * cx - cy * cy;
+      if (r < 0) continue;
+
+      let g = grad3[perm[ii + ci + perm[jj + cj]] % 12];
+      r *= r;
+      out += r * r * (g[0] * cx + g[1] * cy);
+    }
+
+    return 70 * out;
+  }
+
+  function noise3D(x, y, z) {
+    let s = (x + y + z) * F3;
+    let i = Math.floor(x + s);
+    let j = Math.floor(y + s);
+    let k = Math.floor(z + s);
+    let t = (i + j + k) * G3;
+    let x0 = x - (i - t);
+    let y0 = y - (j - t);
+    let z0 = z - (k - t);
+
+    // Offsets of the second and third corner, depending on which simplex we are in.
+    let o1, o2;
+    if (x0 >= y0) {
+      if (y0 >= z0)      { o1 = [1, 0, 0]; o2 = [1, 1, 0]; }
+      else if (x0 >= z0) { o1 = [1, 0, 0]; o2 = [1, 0, 1]; }
+      else               { o1 = [0, 0, 1]; o2 = [1, 0, 1]; }
+    } else {
+      if (y0 < z0)       { o1 = [0, 0, 1]; o2 = [0, 1, 1]; }
+      else if (x0 < z0)  { o1 = [0, 1, 0]; o2 = [0, 1, 1]; }
+      else               { o1 = [0, 1, 0]; o2 = [1, 1, 0]; }
+    }
+
+    let corners = [
+      [x0, y0, z0, [0, 0, 0]],
+      [x0 - o1[0] + G3, y0 - o1[1] + G3, z0 - o1[2] + G3, o1],
+      [x0 - o2[0] + 2 * G3, y0 - o2[1] + 2 * G3, z0 - o2[2] + 2 * G3, o2],
+      [x0 - 1 + 3 * G3, y0 - 1 + 3 * G3, z0 - 1 + 3 * G3, [1, 1, 1]]
+    ];
+
+    let ii = i & 255, jj = j & 255, kk = k & 255;
+    let out = 0;
+    for (let [cx, cy, cz, o] of corners) {
+      let r = 0.6 - cx * cx - cy * cy - cz * cz;
+      if (r < 0) continue;
+
+      let g = grad3[perm[ii + o[0] + perm[jj + o[1] + perm[kk + o[2]]]] % 12];
+      r *= r;
+      out += r * r * (g[0] * cx + g[1] * cy + g[2] * cz);
+    }
+
+    return 32 * out;
+  }
+
+  function noise4D(x, y, z, w) {
+    let s = (x + y + z + w) * F4;
+    let i = Math.floor(x + s);
+    let j = Math.floor(y + s);
+    let k = Math.floor(z + s);
+    let l = Math.floor(w + s);
+    let t = (i + j + k + l) * G4;
+    let p0 = [x - (i - t), y - (j - t), z - (k - t), w - (l - t)];
+
+    // Ranks the magnitudes of the coordinates to find the simplex we are in.
+    let rank = [0, 0, 0, 0];
+    for (let a = 0; a < 4; a++) {
+      for (let b = a + 1; b < 4; b++) {
+        if (p0[a] > p0[b]) rank[a]++;
+        else rank[b]++;
+      }
+    }
+
+    let ii = i & 255, jj = j & 255, kk = k & 255, ll = l & 255;
+    let out = 0;
+    for (let c = 0; c < 5; c++) {
+      // Corner c is offset by 1 along every axis whose rank is at least 4 - c.
+      let o = rank.map(r => (r >= 4 - c ? 1 : 0));
+      let cp = p0.map((v, d) => v - o[d] + c * G4);
+      let r = 0.6 - cp[0] * cp[0] - cp[1] * cp[1] - cp[2] * cp[2] - cp[3] * cp[3];
+      if (r < 0) continue;
+
+      let g = grad4[perm[ii + o[0] + perm[jj + o[1] + perm[kk + o[2] + perm[ll + o[3]]]]] % 32];
+      r *= r;
+      out += r * r * (g[0] * cp[0] + g[1] * cp[1] + g[2] * cp[2] + g[3] * cp[3]);
+    }
+
+    return 27 * out;
+  }
+
+  return function(...p) {
+    switch (p.length) {
+      case 1: return noise1D(...p);
+      case 2: return noise2D(...p);
+      case 3: return noise3D(...p);
+      case 4: return noise4D(...p);
+      default:
+        throw new Error(`simplex - Supports 1 to 4 dimensions, but got ${p.length} coordinates!`);
+    }
+  };
+}
+
+/**
+ * Creates seeded Worley (cellular) noise for 1 to 4 dimensions.
+ * Every unit cell holds one random feature point, the noise is based on the distances to the closest ones.
+ * 
+ * @param {function|Number|String} [rng] - Generator created by prngCreator, or a seed to create one with.
+ * @param {Object} [options]
+ * @param {String} [options.distance="euclidean"] - Distance metric: "euclidean", "manhattan" or "chebyshev".
+ * @param {String} [options.output="f1"] - "f1" (closest point), "f2" (second closest) or "f2-f1".
+ * @return {function} Noise function (x, [y], [z], [w]) returning distances in cell units (>= 0).
+ * 
+ * @example
+ * let cells = worleyCreator(prngCreator(7), {output: "f2-f1"});
+ * cells(x / 32, y / 32);  // Bright cell borders.
+ */
+export function worleyCreator(rng, options = {}) {
+  rng = typeof(rng) === "function" ? rng : prngCreator(rng);
+  const perm = createPermutation(rng);
+  const offsets = [...Array(256)].map(() => rng());
+
+  const distance = (options.distance ?? "euclidean").toLowerCase();
+  const output = (options.output ?? "f1").toLowerCase();
+  if (!["euclidean", "manhattan", "chebyshev"].includes(distance)) {
+    throw new Error(`worleyCreator - Unknown distance metric "${options.distance}"!`);
+  }
+  if (!["f1", "f2", "f2-f1"].includes(output)) {
+    throw new Error(`worleyCreator - Unknown output "${options.output}"!`);
+  }
+
+  return function(...p) {
+    const n = p.length;
+    if (n < 1 || n > 4) throw new Error(`worley - Supports 1 to 4 dimensions, but got ${n} coordinates!`);
+
+    let cell = p.map(v => Math.floor(v));
+    let f1 = Infinity, f2 = Infinity;
+
+    // Visits the 3^n neighbouring cells.
+    for (let neighbour = 0; neighbour < 3 ** n; neighbour++) {
+      let h = 0;
+      let c = [];
+      for (let d = 0, rest = neighbour; d < n; d++, rest = Math.floor(rest / 3)) {
+        c[d] = cell[d] + (rest % 3) - 1;
+        h = perm[h + (c[d] & 255)];
+      }
+
+      let dist = 0;
+      for (let d = 0; d < n; d++) {
+        let delta = Math.abs(c[d] + offsets[perm[h + d]] - p[d]);
+        if (distance === "euclidean") dist += delta * delta;
+        else if (distance === "manhattan") dist += delta;
+        else dist = Math.max(dist, delta);
+      }
+      if (distance === "euclidean") dist = Math.sqrt(dist);
+
+      if (dist < f1) {
+        f2 = f1;
+        f1 = dist;
+      } else if (dist < f2) {
+        f2 = dist;
+      }
+    }
+
+    if (output === "f1") return f1;
+    if (output === "f2") return f2;
+    return f2 - f1;
+  };
+}
+
+/**
+ * Layers several octaves of a noise function on top of each other.
+ * 
+ * @param {function} noise - Noise function created by perlinCreator, simplexCreator or worleyCreator.
+ * @param {Object} [options]
+ * @param {String} [options.type="fbm"] - "fbm" (fractal brownian motion), "ridged" or "turbulence".
+ * @param {Number} [options.octaves=5] - Amount of layers.
+ * @param {Number} [options.lacunarity=2] - Frequency multiplier between consecutive octaves.
+ * @param {Number} [options.gain=0.5] - Amplitude multiplier between consecutive octaves.
+ * @return {function} Noise function with the same signature; "fbm" keeps the range of noise, "ridged" and "turbulence" return [0, 1].
+ * 
+ * @example
+ * let terrain = fractalCreator(simplexCreator(prngCreator(3)), {octaves: 6, gain: 0.45});
+ * let height = terrain(x / 256, y / 256);
+ */
+export function fractalCreator(noise, options = {}) {
+  const type = (options.type ?? "fbm").toLowerCase();
+  const octaves = options.octaves ?? 5;
+  const lacunarity = options.lacunarity ?? 2;
+  const gain = options.gain ?? 0.5;
+
+  if (!["fbm", "ridged", "turbulence"].includes(type)) {
+    throw new Error(`fractalCreator - Unknown type "${options.type}"!`);
+  }
+
+  return function(...p) {
+    let out = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let amplitudeSum = 0;
+
+    for (let o = 0; o < octaves; o++) {
+      let value = noise(...p.map(v => v * frequency));
+
+      if (type === "ridged") {
+        value = 1 - Math.abs(value);
+        value *= value;
+      } else if (type === "turbulence") {
+        value = Math.abs(value);
+      }
+
+      out += value * amplitude;
+      amplitudeSum += amplitude;
+      amplitude *= gain;
+      frequency *= lacunarity;
+    }
+
+    return out / amplitudeSum;
+  };
+}
+
+/**
+ * Distorts the input coordinates of a noise function by another noise function (domain warping).
+ * 
+ * @param {function} noise - Noise function to be sampled at the warped coordinates.
+ * @param {function} [warp=noise] - Noise function used to offset the coordinates.
+ * @param {Number} [strength=1] - Scale of the offsets.
+ * @return {function} Noise function with the same signature as noise.
+ * 
+ * @example
+ * let fbm = fractalCreator(perlinCreator(prngCreator(9)));
+ * let marble = domainWarpCreator(fbm, fbm, 4);
+ */
+export function domainWarpCreator(noise, warp, strength = 1) {
+  warp = warp ?? noise;
+
+  // Arbitrary shifts so each dimension is warped by a differently looking part of the noise.
+  const shifts = [0, 5.2, 13.1, 8.3];
+
+  return function(...p) {
+    let warped = p.map((v, d) => v + strength * warp(...p.map(c => c + shifts[d])));
+    return noise(...warped);
+  };
+}
+
+// Low-Discrepancy Sequences (quasirandom)
+// Primitive polynomials (degree s, coefficients a) and initial direction numbers m of the Sobol sequence
+// for dimensions 2 to 32, taken from Joe and Kuo's new-joe-kuo-6.21201. Dimension 1 is the van der Corput sequence.
+const sobolPolynomials = [
+  [1, 0, [1]], [2, 1, [1, 3]], [3, 1, [1, 3, 1]], [3, 2, [1, 1, 1]],
+  [4, 1, [1, 1, 3, 3]], [4, 4, [1, 3, 5, 13]], [5, 2, [1, 1, 5, 5, 17]], [5, 4, [1, 1, 5, 5, 5]],
+  [5, 7, [1, 1, 7, 11, 19]], [5, 11, [1, 1, 5, 1, 1]], [5, 13, [1, 1, 1, 3, 11]], [5, 14, [1, 3, 5, 5, 31]],
+  [6, 1, [1, 3, 3, 9, 7, 49]], [6, 13, [1, 1, 1, 15, 21, 21]], [6, 16, [1, 3, 1, 13, 27, 49]], [6, 19, [1, 1, 1, 15, 7, 5]],
+  [6, 22, [1, 3, 1, 15, 13, 25]], [6, 25, [1, 1, 5, 5, 19, 61]], [7, 1, [1, 3, 7, 11, 23, 15, 103]], [7, 4, [1, 3, 7, 13, 13, 15, 69]],
+  [7, 7, [1, 1, 3, 13, 7, 35, 63]], [7, 8, [1, 3, 5, 9, 1, 25, 53]], [7, 14, [1, 3, 1, 13, 9, 35, 107]], [7, 19, [1, 3, 1, 5, 27, 61, 31]],
+  [7, 21, [1, 1, 5, 11, 19, 41, 61]], [7, 28, [1, 3, 5, 3, 3, 13, 69]], [7, 31, [1, 1, 7, 13, 1, 19, 1]], [7, 32, [1, 3, 7, 5, 13, 19, 59]],
+  [7, 37, [1, 1, 3, 9, 25, 29, 41]], [7, 41, [1, 3, 5, 13, 23, 1, 55]], [7, 42, [1, 3, 7, 3, 13, 59, 17]]
+];
+
+/**
+ * Checks the dimensions of a sequence creator and turns its rng option into a generator, if given.
+ * 
+ * @param {String} caller - Name of the creator for error messages.
+ * @param {Number} dimensions - Requested dimensions.
+ * @param {Number} maxDimensions - Supported dimensions.
+ * @param {function|Number|String} [rng] - Generator or seed for the randomization.
+ * @return {function|undefined} Generator, undefined if the sequence stays deterministic.
+ */
+function sequenceSetup(caller, dimensions, maxDimensions, rng) {
+  if (!Number.isInteger(dimensions) || dimensions < 1 || dimensions > maxDimensions) {
+    throw new Error(`${caller} - Supports 1 to ${maxDimensions} dimensions, but got ${dimensions}!`);
+  }
+
+  if (rng === undefined) return undefined;
+  return typeof(rng) === "function" ? rng : prngCreator(rng);
+}
+
+/**
+ * Turns a point function into a sequence: calling it returns the next point, sequence.at(i) any point.
+ * 
+ * @param {function} pointAt - Returns the point at a given index.
+ * @param {Number} skip - Index of the first point.
+ * @return {function} The sequence.
+ */
+function sequenceFrom(pointAt, skip) {
+  let index = skip;
+  let sequence = () => pointAt(index++);
+  sequence.at = pointAt;
+  return sequence;
+}
+
+/**
+ * Creates the Halton sequence, the radical inverses of the index in the first prime bases.
+ * Works best for few dimensions, neighbouring high dimensions correlate for the early points.
+ * 
+ * @param {Number} dimensions - Amount of coordinates per point (1 to 64).
+ * @param {Object} [options]
+ * @param {Number} [options.skip=0] - Index of the first point, the point at index 0 is the origin.
+ * @param {function|Number|String} [options.rng] - Generator or seed for a random shift (Cranley-Patterson rotation) of all points.
+ * @return {function} Sequence returning the next point as Array of numbers in [0, 1), sequence.at(index) returns any point.
+ * 
+ * @example
+ * let halton = haltonCreator(2, {skip: 1});
+ * halton();     // [0.5, 0.333...]
+ * halton.at(4); // [0.125, 0.444...]
+ */
+export function haltonCreator(dimensions, options = {}) {
+  const rng = sequenceSetup("haltonCreator", dimensions, 64, options.rng);
+
+  let bases = [];
+  for (let candidate = 2; bases.length < dimensions; candidate++) {
+    if (bases.every(p => candidate % p !== 0)) bases.push(candidate);
+  }
+  const shifts = bases.map(() => rng === undefined ? 0 : rng());
+
+  return sequenceFrom(function(index) {
+    return bases.map((base, d) => {
+      let value = 0;
+      let factor = 1 / base;
+      for (let i = index; i > 0; i = Math.floor(i / base)) {
+        value += (i % base) * factor;
+        factor /= base;
+      }
+
+      value += shifts[d];
+      return value >= 1 ? value - 1 : value;
+    });
+  }, options.skip ?? 0);
+}
+
+/**
+ * Creates the Sobol sequence with Joe and Kuo's direction numbers, 32-bit resolution (up to 2^32 points).
+ * Every block of 2^m points starting at a multiple of 2^m evenly covers the unit cube,
+ * so power of two sample counts work best.
+ * 
+ * @param {Number} dimensions - Amount of coordinates per point (1 to 32).
+ * @param {Object} [options]
+ * @param {Number} [options.skip=0] - Index of the first point, the point at index 0 is the origin.
+ * @param {function|Number|String} [options.rng] - Generator or seed for a random digital shift of all points, which keeps the even coverage.
+ * @return {function} Sequence returning the next point as Array of numbers in [0, 1), sequence.at(index) returns any point.
+ * 
+ * @example
+ * let sobol = sobolCreator(3, {rng: prngCreator("monte-carlo")});
+ * let samples = [...Array(1024)].map(() => sobol());
+ */
+export function sobolCreator(dimensions, options = {}) {
+  const rng = sequenceSetup("sobolCreator", dimensions, sobolPolynomials.length + 1, options.rng);
+
+  // 32 direction numbers per dimension, as 32-bit fractions.
+  let directions = [[...Array(32)].map((_, k) => (1 << (31 - k)) >>> 0)];
+  for (let d = 1; d < dimensions; d++) {
+    let [s, a, m] = sobolPolynomials[d - 1];
+    let v = [];
+    for (let k = 0; k < 32; k++) {
+      if (k < s) {
+        v[k] = (m[k] << (31 - k)) >>> 0;
+        continue;
+      }
+
+      v[k] = v[k - s] ^ (v[k - s] >>> s);
+      for (let j = 1; j < s; j++) {
+        if ((a >>> (s - 1 - j)) & 1) v[k] ^= v[k - j];
+      }
+      v[k] >>>= 0;
+    }
+    directions.push(v);
+  }
+  const shifts = directions.map(() => rng === undefined ? 0 : Math.floor(rng() * 4294967296));
+
+  return sequenceFrom(function(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= 4294967296) {
+      throw new Error(`sobol - Index needs to be an integer in [0, 2^32), but got ${index}!`);
+    }
+
+    // Gray code order: the point is the XOR of the direction numbers at the set bits of index ^ (index >> 1).
+    let gray = (index ^ (index >>> 1)) >>> 0;
+    return directions.map((v, d) => {
+      let x = shifts[d];
+      for (let k = 0, g = gray; g !== 0; k++, g >>>= 1) {
+        if (g & 1) x ^= v[k];
+      }
+      return (x >>> 0) / 4294967296;
+    });
+  }, options.skip ?? 0);
+}
+
+/**
+ * Creates Martin Roberts' R-sequence, the additive recurrence with the generalized golden ratio.
+ * Unlike Halton and Sobol it has no preferred sample counts and stays even in many dimensions (R1 is the golden ratio sequence, R2 the 2D one).
+ * 
+ * @param {Number} dimensions - Amount of coordinates per point.
+ * @param {Object} [options]
+ * @param {Number} [options.skip=0] - Index of the first point.
+ * @param {function|Number|String} [options.rng] - Generator or seed for a random start, [0.5, 0.5, ..] otherwise.
+ * @return {function} Sequence returning the next point as Array of numbers in [0, 1), sequence.at(index) returns any point.
+ * 
+ * @example
+ * let r2 = rSequenceCreator(2);
+ * let jitter = [...Array(16)].map(() => r2());  // Sub-pixel offsets for anti-aliasing.
+ */
+export function rSequenceCreator(dimensions, options = {}) {
+  const rng = sequenceSetup("rSequenceCreator", dimensions, Infinity, options.rng);
+
+  // The generalized golden ratio is the positive root of x^(d + 1) = x + 1.
+  let phi = 2;
+  for (let i = 0; i < 64; i++) {
+    phi = Math.pow(1 + phi, 1 / (dimensions + 1));
+  }
+  const alphas = [...Array(dimensions)].map((_, d) => Math.pow(1 / phi, d + 1));
+  const starts = alphas.map(() => rng === undefined ? 0.5 : rng());
+
+  return sequenceFrom(function(index) {
+    return alphas.map((alpha, d) => {
+      let value = starts[d] + index * alpha;
+      return value - Math.floor(value);
+    });
+  }, options.skip ?? 0);
+}
+
+// Poisson-Disk Sampling (seeded)
+/**
+ * Scatters points in a 2D or 3D box, no two closer than radius and without gaps larger than 2 * radius (Bridson's algorithm).
+ * 
+ * @param {Array} size - Extent of the box, [width, height] or [width, height, depth], starting at the origin.
+ * @param {Number} radius - Minimal distance between two points.
+ * @param {Object} [options]
+ * @param {function|Number|String} [options.rng] - Generator created by prngCreator, or a seed to create one with.
+ * @param {Number} [options.attempts=30] - Candidates tried around a point before it counts as surrounded.
+ * @param {Array} [options.start] - First point, random if undefined.
+ * @return {Array} Points as Arrays of coordinates, in the order they were found.
+ * 
+ * @example
+ * let trees = poissonDiskSampling([512, 512], 12, {rng: "forest-1"});
+ */
+export function poissonDiskSampling(size, radius, options = {}) {
+  const n = size.length;
+  if (n < 2 || n > 3) {
+    throw new Error(`poissonDiskSampling - Supports 2 or 3 dimensions, but got a size with ${n} entries!`);
+  }
+  if (!(radius > 0) || size.some(s => !(s > 0))) {
+    throw new Error("poissonDiskSampling - radius and size need to be positive!");
+  }
+
+  const rng = typeof(options.rng) === "function" ? options.rng : prngCreator(options.rng);
+  const attempts = options.attempts ?? 30;
+
+  // A cell is small enough to hold at most one point, which lies in at most 2 cells distance of any conflicting point.
+  const cellSize = radius / Math.sqrt(n);
+  const cells = size.map(s => Math.ceil(s / cellSize));
+  const grid = new Int32Array(cells.reduce((a, b) => a * b, 1)).fill(-1);
+  const cellIndex = p => {
+    let index = 0;
+    for (let d = n - 1; d >= 0; d--) {
+      index = index * cells[d] + Math.min(cells[d] - 1, Math.floor(p[d] / cellSize));
+    }
+    return index;
+  };
+
+  let points = [];
+  let active = [];
+
+  const fits = function(p) {
+    for (let d = 0; d < n; d++) {
+      if (p[d] < 0 || p[d] >= size[d]) return false;
+    }
+
+    let c = p.map(v => Math.floor(v / cellSize));
+    let lower = c.map(v => Math.max(0, v - 2));
+    let upper = c.map((v, d) => Math.min(cells[d] - 1, v + 2));
+    for (let z = n === 3 ? lower[2] : 0; z <= (n === 3 ? upper[2] : 0); z++) {
+      for (let y = lower[1]; y <= upper[1]; y++) {
+        for (let x = lower[0]; x <= upper[0]; x++) {
+          let other = grid[(z * cells[1] + y) * cells[0] + x];
+          if (other === -1) continue;
+
+          let distance = 0;
+          for (let d = 0; d < n; d++) {
+            distance += (points[other][d] - p[d]) ** 2;
+          }
+          if (distance < radius * radius) return false;
+        }
+      }
+    }
+    return true;
+  };
+
+  const add = function(p) {
+    grid[cellIndex(p)] = points.length;
+    active.push(points.length);
+    points.push(p);
+  };
+
+  let start = options.start ?? size.map(s => rng() * s);
+  if (start.length !== n || !fits(start)) {
+    throw new Error("poissonDiskSampling - The start point needs to lie inside the box!");
+  }
+  add([...start]);
+
+  while (active.length > 0) {
+    let i = Math.floor(rng() * active.length);
+    let center = points[active[i]];
+    let found = false;
+
+    for (let attempt = 0; attempt < attempts && !found; attempt++) {
+      // Uniform in the shell between radius and 2 * radius.
+      let candidate;
+      if (n === 2) {
+        let angle = 2 * Math.PI * rng();
+        let distance = radius * Math.sqrt(1 + 3 * rng());
+        candidate = [center[0] + distance * Math.cos(angle), center[1] + distance * Math.sin(angle)];
+      } else {
+        let z = 2 * rng() - 1;
+        let angle = 2 * Math.PI * rng();
+        let ring = Math.sqrt(1 - z * z);
+        let distance = radius * Math.cbrt(1 + 7 * rng());
+        candidate = [
+          center[0] + distance * ring * Math.cos(angle),
+          center[1] + distance * ring * Math.sin(angle),
+          center[2] + distance * z
+        ];
+      }
+
+      if (fits(candidate)) {
+        add(candidate);
+        found = true;
+      }
+    }
+
+    if (!found) {
+      active[i] = active[active.length - 1];
+      active.pop();
+    }
+  }
+
+  return points;
+}
+
+/**********************************************
+ * 03 Geometry
+ **********************************************/
+// Geometry Primitives
+// Queries returning a distance along a ray give null for a miss, points are returned as Vec3.
+// Points and directions can be given as Vec3 or Array, they are copied into Vec3s.
+function toVec3(v) {
+  return new Vec3(v[0], v[1], v[2]);
+}
+
+/**
+ * Slab test of a ray against an axis aligned box.
+ * 
+ * @param {Vec3} origin - Start of the ray.
+ * @param {Vec3} direction - Direction of the ray.
+ * @param {Array} min - Smallest corner of the box.
+ * @param {Array} max - Largest corner of the box.
+ * @return {Number|null} Distance to the entry point, 0 if the ray starts inside.
+ */
+function slabIntersection(origin, direction, min, max) {
+  let near = 0, far = Infinity;
+  for (let i = 0; i < 3; i++) {
+    if (direction[i] === 0) {
+      // Parallel to the slab, the ray stays inside or outside of it.
+      if (origin[i] < min[i] || origin[i] > max[i]) return null;
+      continue;
+    }
+
+    let t1 = (min[i] - origin[i]) / direction[i];
+    let t2 = (max[i] - origin[i]) / direction[i];
+    near = Math.max(near, Math.min(t1, t2));
+    far = Math.min(far, Math.max(t1, t2));
+    if (near > far) return null;
+  }
+
+  return near;
+}
+
+/**
+ * Half-line starting at origin, the direction is normalized so distances along the ray are world units.
+ * 
+ * @example
+ * // Picking ray through the mouse position.
+ * let ray = Ray.fromPoints(
+ *   Mat4x4.unproject([mouseX, mouseY, 0], viewProjection, viewport),
+ *   Mat4x4.unproject([mouseX, mouseY, 1], viewProjection, viewport)
+ * );
+ * let t = ray.intersectTriangle(triangle);
+ * if (t !== null) ray.at(t);  // Hit point.
+ */
+export class Ray {
+  /**
+   * @param {Vec3||Array} [origin=[0, 0, 0]] - Start of the ray.
+   * @param {Vec3||Array} [direction=[0, 0, -1]] - Direction of the ray, does not need to be normalized.
+   */
+  constructor(origin = [0, 0, 0], direction = [0, 0, -1]) {
+    this.origin = toVec3(origin);
+    this.direction = toVec3(direction);
+    if (this.direction.magnitude === 0) {
+      throw new Error(`Ray::constructor - The direction can not be a zero vector!`);
+    }
+    this.direction.normalize();
+  }
+
+  toString() {
+    return "Ray";
+  }
+
+  /**
+   * @param {Vec3||Array} start - Origin of the ray.
+   * @param {Vec3||Array} through - Second point on the ray.
+   * @return {Ray}
+   */
+  static fromPoints(start, through) {
+    return new Ray(start, toVec3(through).sub(start));
+  }
+
+  /**
+   * @param {Number} t - Distance along the ray.
+   * @return {Vec3} Point at distance t from the origin.
+   */
+  at(t) {
+    return this.origin.add(this.direction.scale(t, false));
+  }
+
+  /**
+   * @param {Vec3||Array} point
+   * @return {Vec3} Point on the ray closest to point.
+   */
+  closestPoint(point) {
+    return this.at(Math.max(0, toVec3(point).sub(this.origin).dotProduct(this.direction)));
+  }
+
+  /**
+   * @param {Vec3||Array} point
+   * @return {Number}
+   */
+  distanceToPoint(point) {
+    return this.closestPoint(point).sub(point).magnitude;
+  }
+
+  /**
+   * @param {Plane} plane
+   * @return {Number|null} Distance to the intersection, null if the ray is parallel or points away.
+   */
+  intersectPlane(plane) {
+    let denominator = plane.normal.dotProduct(this.direction);
+    if (Math.abs(denominator) < Number.EPSILON) return null;
+
+    let t = -(plane.normal.dotProduct(this.origin) + plane.constant) / denominator;
+    return t >= 0 ? t : null;
+  }
+
+  /**
+   * @param {Sphere} sphere
+   * @return {Number|null} Distance to the first intersection, the exit point if the ray starts inside.
+   */
+  intersectSphere(sphere) {
+    let offset = this.origin.sub(sphere.center);
+    let b = offset.dotProduct(this.direction);
+    let c = offset.dotProduct(offset) - sphere.radius * sphere.radius;
+    let discriminant = b * b - c;
+    if (discriminant < 0) return null;
+
+    let root = Math.sqrt(discriminant);
+    if (-b - root >= 0) return -b - root;
+    if (-b + root >= 0) return -b + root;
+    return null;
+  }
+
+  /**
+   * Slab test.
+   * 
+   * @param {AABB} box
+   * @return {Number|null} Distance to the entry point, 0 if the ray starts inside.
+   */
+  intersectAABB(box) {
+    return slabIntersection(this.origin, this.direction, box.min, box.max);
+  }
+
+  /**
+   * Slab test in the space of the box.
+   * 
+   * @param {OBB} box
+   * @return {Number|null} Distance to the entry point, 0 if the ray starts inside.
+   */
+  intersectOBB(box) {
+    let inverse = box.rotation.conjugate();
+    let origin = inverse.rotate(this.origin.sub(box.center));
+    let direction = inverse.rotate(this.direction);
+    let h = box.halfExtents;
+
+    return slabIntersection(origin, direction, [-h[0], -h[1], -h[2]], h);
+  }
+
+  /**
+   * Möller-Trumbore intersection, the hit point's weights follow from triangle.barycentric(ray.at(t)).
+   * 
+   * @param {Triangle} triangle
+   * @param {Boolean} [cullBackFaces=false] - If true, misses triangles seen from the back (clockwise from the ray's view).
+   * @return {Number|null} Distance to the intersection.
+   */
+  intersectTriangle(triangle, cullBackFaces = false) {
+    let edge1 = triangle.b.sub(triangle.a);
+    let edge2 = triangle.c.sub(triangle.a);
+    let p = this.direction.crossProduct(edge2);
+    let determinant = edge1.dotProduct(p);
+
+    if (cullBackFaces ? determinant < 1e-12 : Math.abs(determinant) < 1e-12) return null;
+
+    let s = this.origin.sub(triangle.a);
+    let u = s.dotProduct(p) / determinant;
+    if (u < 0 || u > 1) return null;
+
+    let q = s.crossProduct(edge1);
+    let v = this.direction.dotProduct(q) / determinant;
+    if (v < 0 || u + v > 1) return null;
+
+    let t = edge2.dotProduct(q) / determinant;
+    return t >= 0 ? t : null;
+  }
+}
+
+/**
+ * Plane of all points p with normal · p + constant = 0.
+ * The distance queries expect a normalized normal, as the static creators return.
+ */
+export class Plane {
+  /**
+   * @param {Vec3||Array} [normal=[0, 1, 0]] - Normal of the plane.
+   * @param {Number} [constant=0] - Negative signed distance of the plane to the origin along normal.
+   */
+  constructor(normal = [0, 1, 0], constant = 0) {
+    this.normal = toVec3(normal);
+    this.constant = constant;
+  }
+
+  toString() {
+    return "Plane";
+  }
+
+  /**
+   * @param {Vec3||Array} normal - Normal of the plane, does not need to be normalized.
+   * @param {Vec3||Array} point - Point on the plane.
+   * @return {Plane}
+   */
+  static fromNormalAndPoint(normal, point) {
+    let n = toVec3(normal).normalize();
+    return new Plane(n, -n.dotProduct(toVec3(point)));
+  }
+
+  /**
+   * @param {Vec3||Array} a
+   * @param {Vec3||Array} b
+   * @param {Vec3||Array} c
+   * @return {Plane} Plane through the points, facing the side they appear counter-clockwise from.
+   */
+  static fromPoints(a, b, c) {
+    let normal = toVec3(b).sub(a).crossProduct(toVec3(c).sub(a));
+    if (normal.magnitude === 0) {
+      throw new Error(`Plane::fromPoints - The points can not be collinear!`);
+    }
+
+    return Plane.fromNormalAndPoint(normal, a);
+  }
+
+  /**
+   * @param {Boolean} [self=true] - If self, change this plane; else create new plane with results.
+   * @return {Plane}
+   */
+  normalize(self = true) {
+    let length = this.normal.magnitude;
+    let out = self ? this : new Plane(this.normal, this.constant);
+    out.normal.scale(1 / length);
+    out.constant /= length;
+
+    return out;
+  }
+
+  /**
+   * @param {Vec3||Array} point
+   * @return {Number} Signed distance, positive on the side the normal points to.
+   */
+  distanceToPoint(point) {
+    return this.normal.dotProduct(toVec3(point)) + this.constant;
+  }
+
+  /**
+   * @param {Vec3||Array} point
+   * @return {Vec3} Orthogonal projection of point onto the plane.
+   */
+  projectPoint(point) {
+    return toVec3(point).sub(this.normal.scale(this.distanceToPoint(point), false));
+  }
+}
+
+export class Sphere {
+  /**
+   * @param {Vec3||Array} [center=[0, 0, 0]]
+   * @param {Number} [radius=1]
+   */
+  constructor(center = [0, 0, 0], radius = 1) {
+    this.center = toVec3(center);
+    this.radius = radius;
+  }
+
+  toString() {
+    return "Sphere";
+  }
+
+  /**
+   * Bounding sphere around the center of the points' bounding box, not necessarily the smallest one.
+   * 
+   * @param {Array} points - Vec3s or Arrays.
+   * @return {Sphere}
+   */
+  static fromPoints(points) {
+    let center = AABB.fromPoints(points).center;
+    let radius = Math.max(...points.map(p => center.sub(p).magnitude));
+
+    return new Sphere(center, radius);
+  }
+
+  /**
+   * @param {Vec3||Array} point
+   * @return {Boolean}
+   */
+  containsPoint(point) {
+    return this.center.sub(point).magnitude <= this.radius;
+  }
+
+  /**
+   * @param {Vec3||Array} point
+   * @return {Number} Signed distance to the surface, negative inside.
+   */
+  distanceToPoint(point) {
+    return this.center.sub(point).magnitude - this.radius;
+  }
+
+  /**
+   * @param {Sphere} sphere
+   * @return {Boolean}
+   */
+  intersectsSphere(sphere) {
+    return this.center.sub(sphere.center).magnitude <= this.radius + sphere.radius;
+  }
+
+  /**
+   * @param {AABB} box
+   * @return {Boolean}
+   */
+  intersectsAABB(box) {
+    return box.distanceToPoint(this.center) <= this.radius;
+  }
+
+  /**
+   * @param {Plane} plane - Normalized plane.
+   * @return {Boolean}
+   */
+  intersectsPlane(plane) {
+    return Math.abs(plane.distanceToPoint(this.center)) <= this.radius;
+  }
+}
+
+// Axis aligned bounding box.
+export class AABB {
+  /**
+   * @param {Vec3||Array} [min=[Infinity, Infinity, Infinity]] - Smallest corner.
+   * @param {Vec3||Array} [max=[-Infinity, -Infinity, -Infinity]] - Largest corner, the defaults make an empty box to expand.
+   */
+  constructor(min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity]) {
+    this.min = toVec3(min);
+    this.max = toVec3(max);
+  }
+
+  toString() {
+    return "AABB";
+  }
+
+  /**
+   * @param {Array} points - Vec3s or Arrays.
+   * @return {AABB} Smallest box containing all points.
+   */
+  static fromPoints(points) {
+    let box = new AABB();
+    for (let point of points) {
+      box.expandByPoint(point);
+    }
+
+    return box;
+  }
+
+  get isEmpty() {
+    return this.min[0] > this.max[0] || this.min[1] > this.max[1] || this.min[2] > this.max[2];
+  }
+
+  get center() {
+    return this.min.add(this.max).scale(0.5);
+  }
+
+  get size() {
+    return this.max.sub(this.min);
+  }
+
+  /**
+   * Grows this box to contain point.
+   * 
+   * @param {Vec3||Array} point
+   * @return {AABB} this
+   */
+  expandByPoint(point) {
+    for (let i = 0; i < 3; i++) {
+      this.min.vArray[i] = Math.min(this.min.vArray[i], point[i]);
+      this.max.vArray[i] = Math.max(this.max.vArray[i], point[i]);
+    }
+
+    return this;
+  }
+
+  /**
+   * @param {AABB} box
+   * @return {AABB} Smallest box containing both boxes.
+   */
+  union(box) {
+    return new AABB(this.min, this.max).expandByPoint(box.min).expandByPoint(box.max);
+  }
+
+  /**
+   * @param {Vec3||Array} point
+   * @return {Boolean}
+   */
+  containsPoint(point) {
+    for (let i = 0; i < 3; i++) {
+      if (point[i] < this.min[i] || point[i] > this.max[i]) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * @param {AABB} box
+   * @return {Boolean}
+   */
+  intersectsAABB(box) {
+    for (let i = 0; i < 3; i++) {
+      if (box.max[i] < this.min[i] || box.min[i] > this.max[i]) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * @param {Sphere} sphere
+   * @return {Boolean}
+   */
+  intersectsSphere(sphere) {
+    return sphere.intersectsAABB(this);
+  }
+
+  /**
+   * @param {Vec3||Array} point
+   * @return {Vec3} Point in or on the box closest to point.
+   */
+  closestPoint(point) {
+    return new Vec3(
+      clamp(point[0], this.min[0], this.max[0]),
+      clamp(point[1], this.min[1], this.max[1]),
+      clamp(point[2], this.min[2], this.max[2])
+    );
+  }
+
+  /**
+   * @param {Vec3||Array} point
+   * @return {Number} 0 for points inside.
+   */
+  distanceToPoint(point) {
+    return this.closestPoint(point).sub(point).magnitude;
+  }
+
+  /**
+   * Bounding box of this box after a transformation, in the layout of Mat4x4.compose and Mat4x4.project.
+   * Affine matrices with the translation in the last column, like those built from Mat4x4.getTranslation,
+   * transform column vectors instead, as in Mat4x4.decompose.
+   * Affine matrices take Arvo's shortcut, projective ones transform all eight corners.
+   * 
+   * @param {Mat4x4} matrix - Transformation, f.e. a model matrix.
+   * @return {AABB}
+   * 
+   * @example
+   * let worldBounds = localBounds.transform(Mat4x4.compose(position, rotation, scale));
+   */
+  transform(matrix) {
+    let m = matrix.mArray;
+    if (this.isEmpty) return new AABB();
+
+    let rowTranslation = m[3][0] !== 0 || m[3][1] !== 0 || m[3][2] !== 0;
+    let columnTranslation = m[0][3] !== 0 || m[1][3] !== 0 || m[2][3] !== 0;
+
+    if (m[3][3] === 1 && !(rowTranslation && columnTranslation)) {
+      // Weight of the input axis i in the output axis j.
+      let weight = columnTranslation ? (i, j) => m[j][i] : (i, j) => m[i][j];
+      let min = columnTranslation ? [m[0][3], m[1][3], m[2][3]] : [m[3][0], m[3][1], m[3][2]];
+      let max = [...min];
+      for (let j = 0; j < 3; j++) {
+        for (let i = 0; i < 3; i++) {
+          let a = weight(i, j) * this.min[i];
+          let b = weight(i, j) * this.max[i];
+          min[j] += Math.min(a, b);
+          max[j] += Math.max(a, b);
+        }
+      }
+
+      return new AABB(min, max);
+    }
+
+    let box = new AABB();
+    for (let corner = 0; corner < 8; corner++) {
+      let p = [0, 1, 2].map(i => (corner >> i) & 1 ? this.max[i] : this.min[i]);
+      let w = p[0] * m[0][3] + p[1] * m[1][3] + p[2] * m[2][3] + m[3][3];
+      box.expandByPoint([0, 1, 2].map(j => (p[0] * m[0][j] + p[1] * m[1][j] + p[2] * m[2][j] + m[3][j]) / w));
+    }
+
+    return box;
+  }
+}
+
+// Oriented bounding box.
+export class OBB {
+  /**
+   * @param {Vec3||Array} [center=[0, 0, 0]]
+   * @param {Vec3||Array} [halfExtents=[1, 1, 1]] - Half the size along the box's own axes.
+   * @param {Quaternion} [rotation] - Orientation of the box, identity if undefined.
+   */
+  constructor(center = [0, 0, 0], halfExtents = [1, 1, 1], rotation = Quaternion.getIdentity()) {
+    this.center = toVec3(center);
+    this.halfExtents = toVec3(halfExtents);
+    this.rotation = rotation.normalize(false);
+  }
+
+  toString() {
+    return "OBB";
+  }
+
+  /**
+   * @return {Array} The box's x-, y- and z-axis as unit Vec3s.
+   */
+  get axes() {
+    return [[1, 0, 0], [0, 1, 0], [0, 0, 1]].map(axis => this.rotation.rotate(axis));
+  }
+
+  /**
+   * @param {Vec3||Array} point
+   * @return {Boolean}
+   */
+  containsPoint(point) {
+    let local = this.rotation.conjugate().rotate(toVec3(point).sub(this.center));
+    for (let i = 0; i < 3; i++) {
+      if (Math.abs(local[i]) > this.halfExtents[i]) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * @param {Vec3||Array} point
+   * @return {Vec3} Point in or on the box closest to point.
+   */
+  closestPoint(point) {
+    let offset = toVec3(point).sub(this.center);
+    let out = toVec3(this.center);
+    this.axes.forEach((axis, i) => {
+      let distance = clamp(offset.dotProduct(axis), -this.halfExtents[i], this.halfExtents[i]);
+      out.add(axis.scale(distance), true);
+    });
+
+    return out;
+  }
+
+  /**
+   * @param {Vec3||Array} point
+   * @return {Number} 0 for points inside.
+   */
+  distanceToPoint(point) {
+    return this.closestPoint(point).sub(point).magnitude;
+  }
+
+  /**
+   * @param {Sphere} sphere
+   * @return {Boolean}
+   */
+  intersectsSphere(sphere) {
+    return this.distanceToPoint(sphere.center) <= sphere.radius;
+  }
+}
+
+export class Segment {
+  /**
+   * @param {Vec3||Array} start
+   * @param {Vec3||Array} end
+   */
+  constructor(start, end) {
+    this.start = toVec3(start);
+    this.end = toVec3(end);
+  }
+
+  toString() {
+    return "Segment";
+  }
+
+  get length() {
+    return this.end.sub(this.start).magnitude;
+  }
+
+  /**
+   * @param {Vec3||Array} point
+   * @return {Vec3} Point on the segment closest to point.
+   */
+  closestPoint(point) {
+    let direction = this.end.sub(this.start);
+    let lengthSquared = direction.dotProduct(direction);
+    if (lengthSquared === 0) return toVec3(this.start);
+
+    let t = clamp(toVec3(point).sub(this.start).dotProduct(direction) / lengthSquared, 0, 1);
+    return this.start.add(direction.scale(t));
+  }
+
+  /**
+   * @param {Vec3||Array} point
+   * @return {Number}
+   */
+  distanceToPoint(point) {
+    return this.closestPoint(point).sub(point).magnitude;
+  }
+}
+
+export class Triangle {
+  /**
+   * @param {Vec3||Array} a
+   * @param {Vec3||Array} b
+   * @param {Vec3||Array} c - Corners, counter-clockwise seen from the front.
+   */
+  constructor(a, b, c) {
+    this.a = toVec3(a);
+    this.b = toVec3(b);
+    this.c = toVec3(c);
+  }
+
+  toString() {
+    return "Triangle";
+  }
+
+  /**
+   * @return {Vec3} Unit normal of the front side.
+   */
+  get normal() {
+    return this.b.sub(this.a).crossProduct(this.c.sub(this.a)).normalize();
+  }
+
+  get area() {
+    return this.b.sub(this.a).crossProduct(this.c.sub(this.a)).magnitude / 2;
+  }
+
+  get plane() {
+    return Plane.fromPoints(this.a, this.b, this.c);
+  }
+
+  /**
+   * @param {Vec3||Array} point - Point in the plane of the triangle.
+   * @return {Vec3} Weights of a, b and c, all in [0, 1] for points inside the triangle.
+   */
+  barycentric(point) {
+    let v0 = this.b.sub(this.a), v1 = this.c.sub(this.a), v2 = toVec3(point).sub(this.a);
+    let d00 = v0.dotProduct(v0), d01 = v0.dotProduct(v1), d11 = v1.dotProduct(v1);
+    let d20 = v2.dotProduct(v0), d21 = v2.dotProduct(v1);
+    let denominator = d00 * d11 - d01 * d01;
+    if (denominator === 0) {
+      throw new Error(`Triangle::barycentric - The triangle is degenerate!`);
+    }
+
+    let v = (d11 * d20 - d01 * d21) / denominator;
+    let w = (d00 * d21 - d01 * d20) / denominator;
+    return new Vec3(1 - v - w, v, w);
+  }
+
+  /**
+   * Closest point by the Voronoi regions of the corners, edges and face (Ericson, Real-Time Collision Detection 5.1.5).
+   * 
+   * @param {Vec3||Array} point
+   * @return {Vec3} Point on the triangle closest to point.
+   */
+  closestPoint(point) {
+    let p = toVec3(point);
+    let ab = this.b.sub(this.a), ac = this.c.sub(this.a), ap = p.sub(this.a);
+
+    let d1 = ab.dotProduct(ap), d2 = ac.dotProduct(ap);
+    if (d1 <= 0 && d2 <= 0) return toVec3(this.a);
+
+    let bp = p.sub(this.b);
+    let d3 = ab.dotProduct(bp), d4 = ac.dotProduct(bp);
+    if (d3 >= 0 && d4 <= d3) return toVec3(this.b);
+
+    let vc = d1 * d4 - d3 * d2;
+    if (vc <= 0 && d1 >= 0 && d3 <= 0) return this.a.add(ab.scale(d1 / (d1 - d3)));
+
+    let cp = p.sub(this.c);
+    let d5 = ab.dotProduct(cp), d6 = ac.dotProduct(cp);
+    if (d6 >= 0 && d5 <= d6) return toVec3(this.c);
+
+    let vb = d5 * d2 - d1 * d6;
+    if (vb <= 0 && d2 >= 0 && d6 <= 0) return this.a.add(ac.scale(d2 / (d2 - d6)));
+
+    let va = d3 * d6 - d5 * d4;
+    if (va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0) {
+      return this.b.add(this.c.sub(this.b).scale((d4 - d3) / ((d4 - d3) + (d5 - d6))));
+    }
+
+    let denominator = 1 / (va + vb + vc);
+    return this.a.add(ab.scale(vb * denominator)).add(ac.scale(vc * denominator), true);
+  }
+
+  /**
+   * @param {Vec3||Array} point
+   * @return {Number}
+   */
+  distanceToPoint(point) {
+    return this.closestPoint(point).sub(point).magnitude;
+  }
+}
+
+/**
+ * View frustum as six inward facing planes (left, right, bottom, top, near, far), used for culling.
+ * 
+ * @example
+ * let frustum = Frustum.fromMatrix(Mat4x4.dotProduct(view, projection));
+ * let visible = objects.filter(o => frustum.intersectsSphere(o.boundingSphere));
+ */
+export class Frustum {
+  /**
+   * @param {Array} planes - Normalized Planes, with normals pointing inside.
+   */
+  constructor(planes) {
+    this.planes = planes;
+  }
+
+  toString() {
+    return "Frustum";
+  }
+
+  /**
+   * Extracts the planes of a (view-)projection matrix (Gribb and Hartmann), in the layout of Mat4x4.project.
+   * The far plane of infinite projections is left out.
+   * 
+   * @param {Mat4x4} viewProjection - Mat4x4.dotProduct(view, projection), or a projection matrix for a frustum in view space.
+   * @param {Boolean} [zeroToOne=false] - Clip space depth in [0, 1] (WebGPU, getReverseZPerspective) instead of [-1, 1].
+   * @return {Frustum}
+   */
+  static fromMatrix(viewProjection, zeroToOne = false) {
+    let m = viewProjection.mArray;
+    let column = j => [m[0][j], m[1][j], m[2][j], m[3][j]];
+    let [x, y, z, w] = [0, 1, 2, 3].map(column);
+    let combine = (a, b, sign) => a.map((v, i) => v + sign * b[i]);
+
+    let coefficients = [
+      combine(w, x, 1), combine(w, x, -1),
+      combine(w, y, 1), combine(w, y, -1),
+      zeroToOne ? z : combine(w, z, 1), combine(w, z, -1)
+    ];
+
+    return new Frustum(coefficients
+      .filter(c => Math.hypot(c[0], c[1], c[2]) > 1e-12)
+      .map(c => new Plane([c[0], c[1], c[2]], c[3]).normalize()));
+  }
+
+  /**
+   * @param {Vec3||Array} point
+   * @return {Boolean}
+   */
+  containsPoint(point) {
+    return this.planes.every(plane => plane.distanceToPoint(point) >= 0);
+  }
+
+  /**
+   * Conservative test, spheres close to the frustum's edges may count as intersecting while being outside.
+   * 
+   * @param {Sphere} sphere
+   * @return {Boolean} False if the sphere is certainly outside.
+   */
+  intersectsSphere(sphere) {
+    return this.planes.every(plane => plane.distanceToPoint(sphere.center) >= -sphere.radius);
+  }
+
+  /**
+   * Conservative test, like intersectsSphere, based on the corner furthest along each plane's normal.
+   * 
+   * @param {AABB} box
+   * @return {Boolean} False if the box is certainly outside.
+   */
+  intersectsAABB(box) {
+    return this.planes.every(plane => {
+      let n = plane.normal;
+      let corner = [0, 1, 2].map(i => n[i] >= 0 ? box.max[i] : box.min[i]);
+      return plane.distanceToPoint(corner) >= 0;
+    });
+  }
+}
+
+// Polygons (2D)
+function toVec2(v) {
+  return new Vec2(v[0], v[1]);
+}
+
+// Twice the signed area of the triangle a, b, c: positive if counter-clockwise, 0 if collinear.
+function orientation(a, b, c) {
+  return (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+}
+
+// Positive if p lies inside the circumcircle of the counter-clockwise triangle a, b, c, negative if outside.
+// Points on the circle up to rounding give exactly 0, so cocircular points are decided the same way every time.
+function inCircle(a, b, c, p) {
+  let adx = a[0] - p[0], ady = a[1] - p[1];
+  let bdx = b[0] - p[0], bdy = b[1] - p[1];
+  let cdx = c[0] - p[0], cdy = c[1] - p[1];
+  let aLift = adx * adx + ady * ady, bLift = bdx * bdx + bdy * bdy, cLift = cdx * cdx + cdy * cdy;
+
+  let det = aLift * (bdx * cdy - cdx * bdy) + bLift * (cdx * ady - adx * cdy) + cLift * (adx * bdy - bdx * ady);
+  let permanent = aLift * (Math.abs(bdx * cdy) + Math.abs(cdx * bdy))
+    + bLift * (Math.abs(cdx * ady) + Math.abs(adx * cdy))
+    + cLift * (Math.abs(adx * bdy) + Math.abs(bdx * ady));
+
+  return Math.abs(det) <= 1e-10 * permanent ? 0 : det;
+}
+
+/**
+ * Keeps the part of a polygon where normal · p <= offset (one step of Sutherland-Hodgman).
+ * 
+ * @param {Array} points - Corners as Arrays or Vec2s.
+ * @param {Array} normal - Normal of the clipping line, pointing to the removed side.
+ * @param {Number} offset - Position of the clipping line along normal.
+ * @return {Array} Corners of the clipped polygon as Vec2s.
+ */
+function clipByHalfPlane(points, normal, offset) {
+  let out = [];
+  for (let i = 0; i < points.length; i++) {
+    let current = points[i];
+    let next = points[(i + 1) % points.length];
+    let dc = normal[0] * current[0] + normal[1] * current[1] - offset;
+    let dn = normal[0] * next[0] + normal[1] * next[1] - offset;
+
+    if (dc <= 0) out.push(toVec2(current));
+    if ((dc < 0 && dn > 0) || (dc > 0 && dn < 0)) {
+      let t = dc / (dc - dn);
+      out.push(new Vec2(current[0] + t * (next[0] - current[0]), current[1] + t * (next[1] - current[1])));
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Finds the outline corner a hole's rightmost corner m can be bridged to without crossing an edge (for Polygon.triangulate).
+ * 
+ * @param {Array} vertices - All corners.
+ * @param {Array} outline - Counter-clockwise indices into vertices.
+ * @param {Vec2} m - Rightmost corner of the hole.
+ * @return {Number} Position of the corner in outline.
+ */
+function bridgeCorner(vertices, outline, m) {
+  // Closest edge hit by the ray from m to the right.
+  let n = outline.length;
+  let closestX = Infinity, edge = -1;
+  for (let i = 0; i < n; i++) {
+    let a = vertices[outline[i]], b = vertices[outline[(i + 1) % n]];
+    // Counter-clockwise outlines run upwards on the right side of the hole.
+    if (!(a[1] <= m[1] && b[1] >= m[1] && a[1] !== b[1])) continue;
+
+    let x = a[0] + (m[1] - a[1]) / (b[1] - a[1]) * (b[0] - a[0]);
+    if (x >= m[0] && x < closestX) {
+      closestX = x;
+      edge = i;
+    }
+  }
+  if (edge === -1) {
+    throw new Error(`Polygon::triangulate - A hole lies outside of the polygon!`);
+  }
+
+  // The edge's corner furthest right is visible, unless reflex corners lie in the triangle m, hit, corner.
+  let a = vertices[outline[edge]], b = vertices[outline[(edge + 1) % n]];
+  let candidate = a[0] > b[0] ? edge : (edge + 1) % n;
+  let p = vertices[outline[candidate]];
+  if (closestX === p[0] && m[1] === p[1]) return candidate;
+
+  let hit = [closestX, m[1]];
+  let triangle = orientation(m, hit, p) > 0 ? [m, hit, p] : [m, p, hit];
+  let bestAngle = Infinity, bestDistance = Infinity;
+  for (let i = 0; i < n; i++) {
+    let q = vertices[outline[i]];
+    let reflex = orientation(vertices[outline[(i + n - 1) % n]], q, vertices[outline[(i + 1) % n]]) <= 0;
+    if (i === candidate || !reflex) continue;
+    if (orientation(triangle[0], triangle[1], q) < 0 || orientation(triangle[1], triangle[2], q) < 0 || orientation(triangle[2], triangle[0], q) < 0) continue;
+
+    // The reflex corner closest in angle to the ray is visible.
+    let angle = Math.abs(Math.atan2(q[1] - m[1], q[0] - m[0]));
+    let distance = Math.hypot(q[0] - m[0], q[1] - m[1]);
+    if (angle < bestAngle || (angle === bestAngle && distance < bestDistance)) {
+      bestAngle = angle;
+      bestDistance = distance;
+      candidate = i;
+    }
+  }
+
+  return candidate;
+}
+
+/**
+ * Simple polygon given by its corners, in a y-up coordinate system counter-clockwise means positive area.
+ * 
+ * @example
+ * let region = new Polygon([[0, 0], [4, 0], [4, 3], [0, 3]]);
+ * region.area;                     // 12
+ * region.containsPoint([1, 1]);   // true
+ * let triangles = region.triangulate([new Polygon([[1, 1], [2, 1], [2, 2]])]);
+ */
+export class Polygon {
+  /**
+   * @param {Array} [points=[]] - Corners as Vec2s or Arrays, without repeating the first one at the end.
+   */
+  constructor(points = []) {
+    this.points = points.map(toVec2);
+  }
+
+  toString() {
+    return "Polygon";
+  }
+
+  /**
+   * Shoelace formula.
+   * 
+   * @return {Number} Positive for counter-clockwise, negative for clockwise corners.
+   */
+  get signedArea() {
+    let sum = 0;
+    for (let i = 0, n = this.points.length; i < n; i++) {
+      sum += this.points[i].crossProduct(this.points[(i + 1) % n]);
+    }
+
+    return sum / 2;
+  }
+
+  get area() {
+    return Math.abs(this.signedArea);
+  }
+
+  /**
+   * @return {Number} 1 for counter-clockwise, -1 for clockwise and 0 for degenerate polygons.
+   */
+  get winding() {
+    return Math.sign(this.signedArea);
+  }
+
+  /**
+   * @return {Vec2} Center of mass of the enclosed area, the average corner for degenerate polygons.
+   */
+  get centroid() {
+    let n = this.points.length;
+    let area = this.signedArea;
+    if (area === 0) {
+      return this.points.reduce((sum, p) => sum.add(p, true), new Vec2(0, 0)).scale(1 / Math.max(n, 1));
+    }
+
+    let x = 0, y = 0;
+    for (let i = 0; i < n; i++) {
+      let p = this.points[i], q = this.points[(i + 1) % n];
+      let cross = p.crossProduct(q);
+      x += (p[0] + q[0]) * cross;
+      y += (p[1] + q[1]) * cross;
+    }
+
+    return new Vec2(x / (6 * area), y / (6 * area));
+  }
+
+  get isConvex() {
+    let n = this.points.length;
+    let sign = 0;
+    for (let i = 0; i < n; i++) {
+      let turn = Math.sign(orientation(this.points[i], this.points[(i + 1) % n], this.points[(i + 2) % n]));
+      if (turn === 0) continue;
+      if (sign !== 0 && turn !== sign) return false;
+      sign = turn;
+    }
+
+    return true;
+  }
+
+  /**
+   * Reverses the order of the corners, which flips the winding.
+   * 
+   * @param {Boolean} [self=false] - If self, change this polygon; else create new polygon with results.
+   * @return {Polygon}
+   */
+  reverse(self = false) {
+    if (self) {
+      this.points.reverse();
+      return this;
+    }
+
+    return new Polygon([...this.points].reverse());
+  }
+
+  /**
+   * Points exactly on the border may count as inside or outside.
+   * 
+   * @param {Vec2||Array} point
+   * @param {String} [rule="nonzero"] - Fill rule for self-intersecting polygons, "nonzero" or "evenodd" like the canvas API.
+   * @return {Boolean}
+   */
+  containsPoint(point, rule = "nonzero") {
+    if (rule !== "nonzero" && rule !== "evenodd") {
+      throw new Error(`Polygon::containsPoint - Unknown fill rule "${rule}"!`);
+    }
+
+    // Winding number: counts the edges crossing the horizontal ray to the right of point, upwards +1 and downwards -1.
+    let windingNumber = 0, crossings = 0;
+    for (let i = 0, n = this.points.length; i < n; i++) {
+      let a = this.points[i], b = this.points[(i + 1) % n];
+      if (a[1] <= point[1]) {
+        if (b[1] > point[1] && orientation(a, b, point) > 0) {
+          windingNumber++;
+          crossings++;
+        }
+      } else if (b[1] <= point[1] && orientation(a, b, point) < 0) {
+        windingNumber--;
+        crossings++;
+      }
+    }
+
+    return rule === "nonzero" ? windingNumber !== 0 : crossings % 2 === 1;
+  }
+
+  /**
+   * Clips this polygon against a convex polygon (Sutherland-Hodgman).
+   * 
+   * @param {Polygon} clipPolygon - Convex polygon of any winding.
+   * @return {Polygon} The part of this polygon inside clipPolygon, concave results may contain zero width bridges.
+   */
+  clip(clipPolygon) {
+    let clipPoints = clipPolygon.points;
+    let winding = clipPolygon.winding;
+    let out = this.points;
+
+    for (let i = 0, n = clipPoints.length; i < n && out.length > 0; i++) {
+      let a = clipPoints[i], b = clipPoints[(i + 1) % n];
+      // Outwards normal of the edge.
+      let normal = [(b[1] - a[1]) * winding, (a[0] - b[0]) * winding];
+      out = clipByHalfPlane(out, normal, normal[0] * a[0] + normal[1] * a[1]);
+    }
+
+    return new Polygon(out);
+  }
+
+  /**
+   * Triangulates this polygon by ear clipping, holes are first bridged into the outline (after David Eberly).
+   * 
+   * @param {Array} [holes=[]] - Polygons inside this one, not touching it or each other.
+   * @return {Array} Triangles as counter-clockwise index triples into [...this.points, ...holes[0].points, ...holes[1].points, ..].
+   * 
+   * @example
+   * let vertices = [...outline.points, ...hole.points];
+   * let indices = outline.triangulate([hole]).flat();  // Ready for an index buffer.
+   */
+  triangulate(holes = []) {
+    let vertices = [...this.points, ...holes.flatMap(h => h.points)];
+    let outline = this.points.map((_, i) => i);
+    if (this.signedArea < 0) outline.reverse();
+
+    // Holes run clockwise and get merged, rightmost first, through a bridge to a visible outline corner.
+    let offset = this.points.length;
+    let holeLoops = holes.map(hole => {
+      let loop = hole.points.map((_, i) => offset + i);
+      offset += hole.points.length;
+      if (hole.signedArea > 0) loop.reverse();
+      return loop;
+    }).filter(loop => loop.length >= 3);
+    let rightmost = loop => loop.reduce((best, i) => vertices[i][0] > vertices[best][0] ? i : best, loop[0]);
+    holeLoops.sort((a, b) => vertices[rightmost(b)][0] - vertices[rightmost(a)][0]);
+
+    for (let loop of holeLoops) {
+      let m = rightmost(loop);
+      let bridge = bridgeCorner(vertices, outline, vertices[m]);
+      let start = loop.indexOf(m);
+      let rotated = [...loop.slice(start), ...loop.slice(0, start), m];
+      outline.splice(bridge + 1, 0, ...rotated, outline[bridge]);
+    }
+
+    // Ear clipping.
+    let triangles = [];
+    let remaining = outline;
+    let isConvex = (i) => {
+      let n = remaining.length;
+      return orientation(vertices[remaining[(i + n - 1) % n]], vertices[remaining[i]], vertices[remaining[(i + 1) % n]]) > 0;
+    };
+
+    let guard = 0;
+    while (remaining.length > 3 && guard < remaining.length) {
+      let n = remaining.length;
+      let found = false;
+
+      for (let i = 0; i < n; i++) {
+        let prev = remaining[(i + n - 1) % n], current = remaining[i], next = remaining[(i + 1) % n];
+        if (!isConvex(i)) continue;
+
+        let a = vertices[prev], b = vertices[current], c = vertices[next];
+        let blocked = remaining.some((j, k) => {
+          if (j === prev || j === current || j === next || isConvex(k)) return false;
+          let p = vertices[j];
+          // Bridge duplicates sitting on a corner of the ear do not block it.
+          if ((p[0] === a[0] && p[1] === a[1]) || (p[0] === b[0] && p[1] === b[1]) || (p[0] === c[0] && p[1] === c[1])) return false;
+          return orientation(a, b, p) >= 0 && orientation(b, c, p) >= 0 && orientation(c, a, p) >= 0;
+        });
+
+        if (!blocked) {
+          triangles.push([prev, current, next]);
+          remaining.splice(i, 1);
+          found = true;
+          break;
+        }
+      }
+
+      if (found) {
+        guard = 0;
+        continue;
+      }
+
+      // No ear left, due to collinear corners or self-intersections: drops a collinear corner, else gives up.
+      let collinear = remaining.findIndex((_, i) => orientation(vertices[remaining[(i + n - 1) % n]], vertices[remaining[i]], vertices[remaining[(i + 1) % n]]) === 0);
+      if (collinear === -1) {
+        console.warn("Polygon::triangulate - The polygon seems to be self-intersecting, the triangulation is incomplete.");
+        break;
+      }
+      remaining.splice(collinear, 1);
+      guard++;
+    }
+
+    if (remaining.length === 3 && orientation(vertices[remaining[0]], vertices[remaining[1]], vertices[remaining[2]]) > 0) {
+      triangles.push([...remaining]);
+    }
+
+    return triangles;
+  }
+
+  /**
+   * Convex hull by Andrew's monotone chain.
+   * 
+   * @param {Array} points - Vec2s or Arrays.
+   * @return {Polygon} Counter-clockwise hull without collinear corners.
+   */
+  static convexHull(points) {
+    let sorted = points.map(toVec2).sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    if (sorted.length < 3) return new Polygon(sorted);
+
+    let chain = (list) => {
+      let out = [];
+      for (let p of list) {
+        while (out.length >= 2 && orientation(out[out.length - 2], out[out.length - 1], p) <= 0) out.pop();
+        out.push(p);
+      }
+      out.pop();
+      return out;
+    };
+
+    return new Polygon([...chain(sorted), ...chain(sorted.reverse())]);
+  }
+
+  /**
+   * @param {Vec2||Array} a - Start of the first segment.
+   * @param {Vec2||Array} b - End of the first segment.
+   * @param {Vec2||Array} c - Start of the second segment.
+   * @param {Vec2||Array} d - End of the second segment.
+   * @return {Vec2|null} Intersection point, for overlapping collinear segments the overlap's end closest to a.
+   */
+  static segmentIntersection(a, b, c, d) {
+    let r = toVec2(b).sub(a);
+    let s = toVec2(d).sub(c);
+    let ac = toVec2(c).sub(a);
+    let denominator = r.crossProduct(s);
+
+    if (denominator === 0) {
+      if (ac.crossProduct(r) !== 0) return null;  // Parallel.
+
+      // Collinear: overlap of c and d projected onto a-b as fractions of r.
+      let lengthSquared = r.dotProduct(r);
+      if (lengthSquared === 0) return toVec2(a).sub(c).magnitude === 0 ? toVec2(a) : null;
+      let t0 = ac.dotProduct(r) / lengthSquared;
+      let t1 = t0 + s.dotProduct(r) / lengthSquared;
+      let start = Math.max(0, Math.min(t0, t1));
+      if (start > Math.min(1, Math.max(t0, t1))) return null;
+
+      return toVec2(a).add(r.scale(start));
+    }
+
+    let t = ac.crossProduct(s) / denominator;
+    let u = ac.crossProduct(r) / denominator;
+    if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+
+    return toVec2(a).add(r.scale(t));
+  }
+
+  /**
+   * Delaunay triangulation by the Bowyer-Watson algorithm: no point lies inside the circumcircle of any triangle.
+   * 
+   * @param {Array} points - Vec2s or Arrays, duplicates are left out of the triangulation.
+   * @return {Array} Triangles as counter-clockwise index triples into points, covering their convex hull.
+   */
+  static delaunay(points) {
+    let n = points.length;
+    let coordinates = points.map(p => [p[0], p[1]]);
+    if (n < 3) return [];
+
+    // Super triangle enclosing all points, removed at the end.
+    let minX = Math.min(...coordinates.map(p => p[0])), maxX = Math.max(...coordinates.map(p => p[0]));
+    let minY = Math.min(...coordinates.map(p => p[1])), maxY = Math.max(...coordinates.map(p => p[1]));
+    let size = Math.max(maxX - minX, maxY - minY, Number.MIN_VALUE) * 1000;
+    let midX = (minX + maxX) / 2, midY = (minY + maxY) / 2;
+    coordinates.push([midX - 2 * size, midY - size], [midX + 2 * size, midY - size], [midX, midY + 2 * size]);
+
+    let triangles = [[n, n + 1, n + 2]];
+    let seen = new Set();
+
+    for (let i = 0; i < n; i++) {
+      let key = `${coordinates[i][0]},${coordinates[i][1]}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      // Triangles whose circumcircle contains the point are removed, their outer edges form the hole to fill.
+      // Points on a circumcircle keep the triangle, which keeps the hole star-shaped around the point.
+      let edges = new Map();
+      triangles = triangles.filter(t => {
+        if (inCircle(...t.map(index => coordinates[index]), coordinates[i]) <= 0) return true;
+
+        for (let e = 0; e < 3; e++) {
+          let a = t[e], b = t[(e + 1) % 3];
+          let shared = `${b},${a}`;
+          if (edges.has(shared)) edges.delete(shared);
+          else edges.set(`${a},${b}`, [a, b]);
+        }
+        return false;
+      });
+
+      for (let [a, b] of edges.values()) {
+        triangles.push([a, b, i]);
+      }
+    }
+
+    let result = triangles.filter(indices => indices.every(index => index < n));
+
+    // Nearly collinear points on the hull can share a circumcircle with the super triangle and go missing with it,
+    // the dents they leave in the boundary are filled up again.
+    let next = new Map();
+    let boundary = new Set(result.flatMap(([a, b, c]) => [`${a},${b}`, `${b},${c}`, `${c},${a}`]));
+    for (let edge of boundary) {
+      let [a, b] = edge.split(",").map(Number);
+      if (!boundary.has(`${b},${a}`)) next.set(a, b);
+    }
+
+    let filled = true;
+    while (filled && next.size > 3) {
+      filled = false;
+      for (let [a, b] of next) {
+        let c = next.get(b);
+        if (orientation(coordinates[a], coordinates[b], coordinates[c]) < 0) {
+          result.push([a, c, b]);
+          next.delete(b);
+          next.set(a, c);
+          filled = true;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Voronoi diagram: every cell holds the area closer to its point than to any other point.
+   * The cells are built by clipping the bounds by the bisectors to the Delaunay neighbours.
+   * 
+   * @param {Array} points - Vec2s or Arrays.
+   * @param {Array} [bounds] - [minX, minY, maxX, maxY] to cut the outer cells off at, the points' bounding box plus 10% by default.
+   * @return {Array} Counter-clockwise Polygon per point, in the order of points (empty for duplicates).
+   */
+  static voronoi(points, bounds) {
+    if (bounds === undefined) {
+      let xs = points.map(p => p[0]), ys = points.map(p => p[1]);
+      let margin = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys), 1) * 0.1;
+      bounds = [Math.min(...xs) - margin, Math.min(...ys) - margin, Math.max(...xs) + margin, Math.max(...ys) + margin];
+    }
+
+    let neighbours = points.map(() => new Set());
+    for (let [a, b, c] of Polygon.delaunay(points)) {
+      neighbours[a].add(b).add(c);
+      neighbours[b].add(a).add(c);
+      neighbours[c].add(a).add(b);
+    }
+
+    // Fewer than 3 points or all collinear: every other point is a neighbour.
+    if (points.length > 1 && neighbours.every(set => set.size === 0)) {
+      neighbours = points.map((_, i) => new Set(points.map((_, j) => j).filter(j => j !== i)));
+    }
+
+    let seen = new Set();
+    return points.map((p, i) => {
+      let key = `${p[0]},${p[1]}`;
+      if (seen.has(key)) return new Polygon([]);
+      seen.add(key);
+
+      let cell = [[bounds[0], bounds[1]], [bounds[2], bounds[1]], [bounds[2], bounds[3]], [bounds[0], bounds[3]]];
+      for (let j of neighbours[i]) {
+        let q = points[j];
+        if (q[0] === p[0] && q[1] === p[1]) continue;
+
+        // Keeps the side of the bisector closer to p.
+        let normal = [q[0] - p[0], q[1] - p[1]];
+        let offset = (normal[0] * (p[0] + q[0]) + normal[1] * (p[1] + q[1])) / 2;
+        cell = clipByHalfPlane(cell, normal, offset);
+      }
+
+      return new Polygon(cell);
+    });
+  }
+}
+
+
+/**********************************************
+ * 04 Easing and Curves
+ **********************************************/
+// Easing Functions
+// Robert Penner's easing equations, normalized to map t in [0, 1] to progress with easing(0) = 0 and easing(1) = 1.
+const backOvershoot = 1.70158;
+
+function bounceOut(t) {
+  if (t < 1 / 2.75) return 7.5625 * t * t;
+  if (t < 2 / 2.75) return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
+  if (t < 2.5 / 2.75) return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
+  return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
+}
+
+/**
+ * @example
+ * let progress = easing.easeInOutCubic(elapsed / duration);
+ * lerp(startPosition, endPosition, progress);
+ */
+export const easing = Object.freeze({
+  linear: t => t,
+
+  easeInQuad: t => t * t,
+  easeOutQuad: t => 1 - (1 - t) * (1 - t),
+  easeInOutQuad: t => t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2,
+
+  easeInCubic: t => t * t * t,
+  easeOutCubic: t => 1 - (1 - t) ** 3,
+  easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2,
+
+  easeInQuart: t => t ** 4,
+  easeOutQuart: t => 1 - (1 - t) ** 4,
+  easeInOutQuart: t => t < 0.5 ? 8 * t ** 4 : 1 - (-2 * t + 2) ** 4 / 2,
+
+  easeInQuint: t => t ** 5,
+  easeOutQuint: t => 1 - (1 - t) ** 5,
+  easeInOutQuint: t => t < 0.5 ? 16 * t ** 5 : 1 - (-2 * t + 2) ** 5 / 2,
+
+  easeInSine: t => 1 - Math.cos(t * Math.PI / 2),
+  easeOutSine: t => Math.sin(t * Math.PI / 2),
+  easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2,
+
+  easeInExpo: t => t === 0 ? 0 : 2 ** (10 * t - 10),
+  easeOutExpo: t => t === 1 ? 1 : 1 - 2 ** (-10 * t),
+  easeInOutExpo: t => t === 0 ? 0 : t === 1 ? 1 : t < 0.5 ? 2 ** (20 * t - 10) / 2 : (2 - 2 ** (-20 * t + 10)) / 2,
+
+  easeInCirc: t => 1 - Math.sqrt(1 - t * t),
+  easeOutCirc: t => Math.sqrt(1 - (t - 1) ** 2),
+  easeInOutCirc: t => t < 0.5 ? (1 - Math.sqrt(1 - (2 * t) ** 2)) / 2 : (Math.sqrt(1 - (-2 * t + 2) ** 2) + 1) / 2,
+
+  // Overshoots by about 10%.
+  easeInBack: t => (backOvershoot + 1) * t ** 3 - backOvershoot * t * t,
+  easeOutBack: t => 1 + (backOvershoot + 1) * (t - 1) ** 3 + backOvershoot * (t - 1) ** 2,
+  easeInOutBack: t => {
+    let c = backOvershoot * 1.525;
+    return t < 0.5
+      ? (2 * t) ** 2 * ((c + 1) * 2 * t - c) / 2
+      : ((2 * t - 2) ** 2 * ((c + 1) * (t * 2 - 2) + c) + 2) / 2;
+  },
+
+  easeInElastic: t => t === 0 || t === 1 ? t : -(2 ** (10 * t - 10)) * Math.sin((t * 10 - 10.75) * 2 * Math.PI / 3),
+  easeOutElastic: t => t === 0 || t === 1 ? t : 2 ** (-10 * t) * Math.sin((t * 10 - 0.75) * 2 * Math.PI / 3) + 1,
+  easeInOutElastic: t => {
+    if (t === 0 || t === 1) return t;
+    let s = Math.sin((20 * t - 11.125) * 2 * Math.PI / 4.5);
+    return t < 0.5 ? -(2 ** (20 * t - 10)) * s / 2 : 2 ** (-20 * t + 10) * s / 2 + 1;
+  },
+
+  easeInBounce: t => 1 - bounceOut(1 - t),
+  easeOutBounce: bounceOut,
+  easeInOutBounce: t => t < 0.5 ? (1 - bounceOut(1 - 2 * t)) / 2 : (1 + bounceOut(2 * t - 1)) / 2
+});
+
+// Curves
+// Size of a number or Vector, used for the arc length.
+function valueLength(v) {
+  return typeof(v) === "number" ? Math.abs(v) : v.magnitude;
+}
+
+/**
+ * Cubic Hermite segment from p0 to p1 with the tangents m0 and m1, for u in [0, 1].
+ * 
+ * @param {Boolean} derivative - If true, returns the derivative with respect to u instead of the point.
+ * @return {Number|Vector}
+ */
+function hermite(p0, p1, m0, m1, u, derivative) {
+  let u2 = u * u, u3 = u2 * u;
+  let weights = derivative
+    ? [6 * u2 - 6 * u, -6 * u2 + 6 * u, 3 * u2 - 4 * u + 1, 3 * u2 - 2 * u]
+    : [2 * u3 - 3 * u2 + 1, -2 * u3 + 3 * u2, u3 - 2 * u2 + u, u3 - u2];
+
+  return weightedSum([p0, p1, m0, m1], weights);
+}
+
+/**
+ * Base of the curves: a parametric curve over t in [0, 1] through numbers, Vectors, Vec2s or Vec3s.
+ * Subclasses evaluate their segments, the base maps t onto them and provides the arc length parameterisation.
+ * 
+ * Moving along t does not move at constant speed. The ...AtDistance methods do, based on a table of arc lengths
+ * that is built on first use; call updateArcLengths after changing the control points.
+ */
+export class Curve {
+  constructor() {
+    this.arcLengths = undefined;
+  }
+
+  toString() {
+    return "Curve";
+  }
+
+  get segmentCount() {
+    return 1;
+  }
+
+  /**
+   * Maps t in [0, 1] to a segment and the parameter within it.
+   * 
+   * @param {Number} t - Clamped to [0, 1].
+   * @return {Array} [segment index, u in [0, 1]]
+   */
+  locate(t) {
+    let scaled = clamp(t, 0, 1) * this.segmentCount;
+    let index = Math.min(Math.floor(scaled), this.segmentCount - 1);
+    return [index, scaled - index];
+  }
+
+  /**
+   * @param {Number} t - Curve parameter in [0, 1].
+   * @return {Number|Vector} Point on the curve.
+   */
+  point(t) {
+    let [index, u] = this.locate(t);
+    return this.segmentPoint(index, u);
+  }
+
+  /**
+   * @param {Number} t - Curve parameter in [0, 1].
+   * @return {Number|Vector} Derivative with respect to t, normalize it for the direction.
+   */
+  tangent(t) {
+    let [index, u] = this.locate(t);
+    return weightedSum([this.segmentTangent(index, u)], [this.segmentCount]);
+  }
+
+  /**
+   * Builds the table of arc lengths by Simpson's rule on the speed |tangent(t)|.
+   * 
+   * @param {Number} [samples=64 * segmentCount] - Intervals of the table.
+   * @return {Curve} this
+   */
+  updateArcLengths(samples = 64 * this.segmentCount) {
+    let lengths = new Float64Array(samples + 1);
+    let speed = t => valueLength(this.tangent(t));
+    let previous = speed(0);
+
+    for (let i = 1; i <= samples; i++) {
+      let a = (i - 1) / samples, b = i / samples;
+      let next = speed(b);
+      lengths[i] = lengths[i - 1] + (b - a) / 6 * (previous + 4 * speed((a + b) / 2) + next);
+      previous = next;
+    }
+
+    this.arcLengths = lengths;
+    return this;
+  }
+
+  get length() {
+    if (this.arcLengths === undefined) this.updateArcLengths();
+    return this.arcLengths[this.arcLengths.length - 1];
+  }
+
+  /**
+   * @param {Number} distance - Distance along the curve from its start, clamped to [0, length].
+   * @return {Number} Curve parameter t at that distance.
+   */
+  tAtDistance(distance) {
+    let lengths = this.arcLengths ?? this.updateArcLengths().arcLengths;
+    let samples = lengths.length - 1;
+    distance = clamp(distance, 0, lengths[samples]);
+
+    // Binary search for the interval, then linear within it.
+    let low = 0, high = samples;
+    while (high - low > 1) {
+      let middle = (low + high) >> 1;
+      if (lengths[middle] < distance) low = middle;
+      else high = middle;
+    }
+
+    let interval = lengths[high] - lengths[low];
+    let fraction = interval > 0 ? (distance - lengths[low]) / interval : 0;
+    return (low + fraction) / samples;
+  }
+
+  /**
+   * @param {Number} distance - Distance along the curve from its start.
+   * @return {Number|Vector}
+   * 
+   * @example
+   * // Constant speed camera ride.
+   * camera.position = path.pointAtDistance(speed * time % path.length);
+   */
+  pointAtDistance(distance) {
+    return this.point(this.tAtDistance(distance));
+  }
+
+  /**
+   * @param {Number} distance - Distance along the curve from its start.
+   * @return {Number|Vector} Derivative with respect to t at that distance.
+   */
+  tangentAtDistance(distance) {
+    return this.tangent(this.tAtDistance(distance));
+  }
+}
+
+/**
+ * Bézier curve of any degree, quadratic for 3 and cubic for 4 control points.
+ * 
+ * @example
+ * let curve = new BezierCurve([new Vec2(0, 0), new Vec2(0, 1), new Vec2(1, 1), new Vec2(1, 0)]);
+ * curve.point(0.5);  // Vec2(0.5, 0.75)
+ */
+export class BezierCurve extends Curve {
+  /**
+   * @param {Array} points - At least 2 control points, numbers or Vectors of the same size.
+   */
+  constructor(points) {
+    super();
+    if (points.length < 2) {
+      throw new Error(`BezierCurve::constructor - Needs at least 2 control points, but got ${points.length}!`);
+    }
+    this.points = points;
+  }
+
+  toString() {
+    return "BezierCurve";
+  }
+
+  get degree() {
+    return this.points.length - 1;
+  }
+
+  segmentPoint(index, u) {
+    return weightedSum(this.points, bernstein(this.degree, u));
+  }
+
+  segmentTangent(index, u) {
+    // n * sum of B(i, n - 1) * (P[i + 1] - P[i]), regrouped by control point.
+    let n = this.degree;
+    let lower = bernstein(n - 1, u);
+    let weights = this.points.map((_, i) => n * ((lower[i - 1] ?? 0) - (lower[i] ?? 0)));
+    return weightedSum(this.points, weights);
+  }
+}
+
+/**
+ * @param {Number} n - Degree.
+ * @param {Number} u - Parameter in [0, 1].
+ * @return {Array} The n + 1 Bernstein polynomials of degree n at u.
+ */
+function bernstein(n, u) {
+  let out = [1];
+  for (let degree = 1; degree <= n; degree++) {
+    let next = new Array(degree + 1).fill(0);
+    for (let i = 0; i < degree; i++) {
+      next[i] += out[i] * (1 - u);
+      next[i + 1] += out[i] * u;
+    }
+    out = next;
+  }
+
+  return out;
+}
+
+/**
+ * Piecewise cubic Hermite curve through the points, with a tangent given for each point.
+ * One segment lies between each pair of consecutive points.
+ */
+export class HermiteCurve extends Curve {
+  /**
+   * @param {Array} points - At least 2 points, numbers or Vectors of the same size.
+   * @param {Array} tangents - Derivative at each point, with respect to the parameter of the adjacent segments.
+   */
+  constructor(points, tangents) {
+    super();
+    if (points.length < 2 || tangents.length !== points.length) {
+      throw new Error(`HermiteCurve::constructor - Needs at least 2 points and one tangent per point!`);
+    }
+
+    // Every segment as [start, end, start tangent, end tangent].
+    this.segments = [];
+    for (let i = 0; i < points.length - 1; i++) {
+      this.segments.push([points[i], points[i + 1], tangents[i], tangents[i + 1]]);
+    }
+  }
+
+  toString() {
+    return "HermiteCurve";
   }
 
-  static dotProduct(A, B) {
-    if (A instanceof Mat2x2 && B instanceof Mat2x2) {
-      let m00, m01;
-      let m10, m11;
+  get segmentCount() {
+    return this.segments.length;
+  }
 
-      m00 = A.mArray[0][0] * B.mArray[0][0] + A.mArray[0][1] * B.mArray[1][0];
-      m01 = A.mArray[0][0] * B.mArray[0][1] + A.mArray[0][1] * B.mArray[1][1];
-      m10 = A.mArray[1][0] * B.mArray[0][0] + A.mArray[1][1] * B.mArray[1][0];
-      m11 = A.mArray[1][0] * B.mArray[0][1] + A.mArray[1][1] * B.mArray[1][1];
+  segmentPoint(index, u) {
+    return hermite(...this.segments[index], u, false);
+  }
 
-      return new Mat2x2(
-        [m00, m01],
-        [m10, m11]
-      );
+  segmentTangent(index, u) {
+    return hermite(...this.segments[index], u, true);
+  }
+}
+
+/**
+ * Catmull-Rom spline through all points, as Hermite segments (after Yuksel et al.).
+ * The centripetal default never forms cusps or self-intersections within a segment, which suits camera paths.
+ * 
+ * @example
+ * let path = new CatmullRomCurve(waypoints.map(p => new Vec3(...p)), {closed: true});
+ * path.pointAtDistance(10);
+ */
+export class CatmullRomCurve extends HermiteCurve {
+  /**
+   * @param {Array} points - At least 2 points, numbers or Vectors of the same size.
+   * @param {Object} [options]
+   * @param {Number} [options.alpha=0.5] - Knot spacing: 0 uniform, 0.5 centripetal, 1 chordal.
+   * @param {Boolean} [options.closed=false] - If true, the curve loops back to the first point.
+   */
+  constructor(points, options = {}) {
+    if (points.length < 2) {
+      throw new Error(`CatmullRomCurve::constructor - Needs at least 2 points, but got ${points.length}!`);
+    }
+    super(points.slice(0, 2), points.slice(0, 2));
+
+    const alpha = options.alpha ?? 0.5;
+    const closed = options.closed ?? false;
+    const n = points.length;
+
+    // Open curves get mirrored end points, so they start and end in the direction of the first and last segment.
+    let at = i => {
+      if (closed) return points[(i + n) % n];
+      if (i < 0) return weightedSum([points[0], points[1]], [2, -1]);
+      if (i >= n) return weightedSum([points[n - 1], points[n - 2]], [2, -1]);
+      return points[i];
+    };
+    let knotDistance = (a, b) => Math.pow(valueLength(weightedSum([a, b], [1, -1])), alpha) || 1;
+
+    this.segments = [];
+    for (let i = 0; i < (closed ? n : n - 1); i++) {
+      let [p0, p1, p2, p3] = [at(i - 1), at(i), at(i + 1), at(i + 2)];
+      let d0 = knotDistance(p0, p1), d1 = knotDistance(p1, p2), d2 = knotDistance(p2, p3);
+
+      // Tangents of the Barry-Goldman pyramid, scaled to the segment's parameter range d1.
+      let m1 = weightedSum([p0, p1, p2], [-d1 / d0 + d1 / (d0 + d1), d1 / d0 - 1, 1 - d1 / (d0 + d1)]);
+      let m2 = weightedSum([p1, p2, p3], [d1 / (d1 + d2) - 1, 1 - d1 / d2, d1 / d2 - d1 / (d1 + d2)]);
+      this.segments.push([p1, p2, m1, m2]);
+    }
+  }
+
+  toString() {
+    return "CatmullRomCurve";
+  }
+}
+
+/**
+ * Clamped uniform B-spline: starts at the first and ends at the last control point, approximating the others.
+ * One segment lies between each pair of consecutive knots.
+ * 
+ * @example
+ * let smooth = new BSplineCurve(controlPoints, {degree: 2});
+ */
+export class BSplineCurve extends Curve {
+  /**
+   * @param {Array} points - Control points, numbers or Vectors of the same size, more than the degree.
+   * @param {Object} [options]
+   * @param {Number} [options.degree=3] - Polynomial degree, 3 gives a C2 continuous curve.
+   */
+  constructor(points, options = {}) {
+    super();
+    const degree = options.degree ?? 3;
+    if (!Number.isInteger(degree) || degree < 1 || points.length <= degree) {
+      throw new Error(`BSplineCurve::constructor - Degree ${degree} needs more than ${degree} control points, but got ${points.length}!`);
+    }
+
+    this.points = points;
+    this.degree = degree;
+
+    // Knot values 0 to spans, repeated at both ends.
+    let spans = points.length - degree;
+    this.knots = [...Array(spans + 2 * degree + 1)].map((_, i) => clamp(i - degree, 0, spans));
+  }
+
+  toString() {
+    return "BSplineCurve";
+  }
+
+  get segmentCount() {
+    return this.points.length - this.degree;
+  }
+
+  /**
+   * Cox-de Boor recursion within one knot span.
+   * 
+   * @param {Number} index - Knot span, the segment index.
+   * @param {Number} x - Knot value in [index, index + 1].
+   * @param {Number} degree - Degree of the basis functions, up to this.degree.
+   * @return {Array} Value of each control point's basis function of that degree at x.
+   */
+  basis(index, x, degree) {
+    const knots = this.knots;
+    let values = new Array(knots.length - 1).fill(0);
+    values[index + this.degree] = 1;
+
+    for (let p = 1; p <= degree; p++) {
+      for (let i = 0; i < knots.length - 1 - p; i++) {
+        let left = knots[i + p] - knots[i];
+        let right = knots[i + p + 1] - knots[i + 1];
+        values[i] = (left > 0 ? (x - knots[i]) / left * values[i] : 0)
+          + (right > 0 ? (knots[i + p + 1] - x) / right * values[i + 1] : 0);
+      }
+    }
+
+    return values;
+  }
+
+  segmentPoint(index, u) {
+    return weightedSum(this.points, this.basis(index, index + u, this.degree));
+  }
+
+  segmentTangent(index, u) {
+    // N'(i, p) = p / (k[i + p] - k[i]) * N(i, p - 1) - p / (k[i + p + 1] - k[i + 1]) * N(i + 1, p - 1)
+    const p = this.degree;
+    const knots = this.knots;
+    let lower = this.basis(index, index + u, p - 1);
+    let weights = this.points.map((_, i) => {
+      let left = knots[i + p] - knots[i];
+      let right = knots[i + p + 1] - knots[i + 1];
+      return (left > 0 ? p / left * lower[i] : 0) - (right > 0 ? p / right * lower[i + 1] : 0);
+    });
+
+    return weightedSum(this.points, weights);
+  }
+}
+
+/**********************************************
+ * 05 Numerics
+ **********************************************/
+// Root Finding
+/**
+ * Bisection: slow but certain, halves the bracket until it is small enough.
+ * 
+ * @param {Function} f - Continuous function of a number.
+ * @param {Number} a - Bracket start.
+ * @param {Number} b - Bracket end, f(a) and f(b) must differ in sign.
+ * @param {Object} [options]
+ * @param {Number} [options.tolerance=1e-12] - Width of the final bracket.
+ * @param {Number} [options.maxIterations=200]
+ * @return {Number} Root of f.
+ */
+export function bisection(f, a, b, options = {}) {
+  const tolerance = options.tolerance ?? 1e-12;
+  const maxIterations = options.maxIterations ?? 200;
+
+  let fa = f(a), fb = f(b);
+  if (fa === 0) return a;
+  if (fb === 0) return b;
+  if (Math.sign(fa) === Math.sign(fb)) {
+    throw new Error(`bisection - f(${a}) and f(${b}) must differ in sign!`);
+  }
+
+  for (let i = 0; i < maxIterations; i++) {
+    let middle = (a + b) / 2;
+    if (Math.abs(b - a) / 2 <= tolerance || middle === a || middle === b) return middle;
+
+    let fm = f(middle);
+    if (fm === 0) return middle;
+    if (Math.sign(fm) === Math.sign(fa)) {
+      a = middle;
+      fa = fm;
     } else {
-      return Matrix.dotProduct(A, B);
+      b = middle;
     }
   }
+
+  console.warn(`bisection - No convergence after ${maxIterations} iterations!`);
+  return (a + b) / 2;
 }
 
-export class Mat3x3 extends Matrix {
-  constructor(in1, in2, in3, in4, in5, in6, in7, in8, in9) {
-    if (typeof(in1) === "number") {
-      return super(3, 3, ...arguments);
+/**
+ * Newton-Raphson: converges quadratically from a good start, but may diverge from a bad one.
+ * 
+ * @param {Function} f - Differentiable function of a number.
+ * @param {Number} x - Starting guess.
+ * @param {Object} [options]
+ * @param {Function} [options.derivative] - f', numerically approximated if omitted.
+ * @param {Number} [options.tolerance=1e-12] - Size of the final step.
+ * @param {Number} [options.maxIterations=100]
+ * @return {Number} Root of f, or NaN if the derivative vanished or no convergence.
+ */
+export function newtonRaphson(f, x, options = {}) {
+  const df = options.derivative ?? (x => derivative(f, x));
+  const tolerance = options.tolerance ?? 1e-12;
+  const maxIterations = options.maxIterations ?? 100;
+
+  for (let i = 0; i < maxIterations; i++) {
+    let fx = f(x);
+    if (fx === 0) return x;
+
+    let slope = df(x);
+    if (slope === 0 || !Number.isFinite(slope)) {
+      console.warn(`newtonRaphson - Derivative at ${x} is ${slope}!`);
+      return NaN;
+    }
+
+    let step = fx / slope;
+    x -= step;
+    if (Math.abs(step) <= tolerance * Math.max(1, Math.abs(x))) return x;
+  }
+
+  console.warn(`newtonRaphson - No convergence after ${maxIterations} iterations!`);
+  return NaN;
+}
+
+/**
+ * Brent's method: as certain as bisection, usually as fast as the secant method.
+ * 
+ * @param {Function} f - Continuous function of a number.
+ * @param {Number} a - Bracket start.
+ * @param {Number} b - Bracket end, f(a) and f(b) must differ in sign.
+ * @param {Object} [options]
+ * @param {Number} [options.tolerance=1e-12]
+ * @param {Number} [options.maxIterations=200] - Multiple roots need more than simple ones.
+ * @return {Number} Root of f.
+ * 
+ * @example
+ * brent(x => x * x - 2, 0, 2);  // 1.4142135623730951
+ */
+export function brent(f, a, b, options = {}) {
+  const tolerance = options.tolerance ?? 1e-12;
+  const maxIterations = options.maxIterations ?? 200;
+
+  let fa = f(a), fb = f(b);
+  if (fa === 0) return a;
+  if (fb === 0) return b;
+  if (Math.sign(fa) === Math.sign(fb)) {
+    throw new Error(`brent - f(${a}) and f(${b}) must differ in sign!`);
+  }
+
+  // b is the best estimate, a the previous one and c the other end of the bracket.
+  let c = a, fc = fa;
+  let d = b - a, e = d;
+
+  for (let i = 0; i < maxIterations; i++) {
+    if (Math.sign(fb) === Math.sign(fc)) {
+      c = a;
+      fc = fa;
+      d = e = b - a;
+    }
+    if (Math.abs(fc) < Math.abs(fb)) {
+      [a, b, c] = [b, c, b];
+      [fa, fb, fc] = [fb, fc, fb];
+    }
+
+    let tol = 2 * Number.EPSILON * Math.abs(b) + tolerance / 2;
+    let middle = (c - b) / 2;
+    if (Math.abs(middle) <= tol || fb === 0) return b;
+
+    if (Math.abs(e) >= tol && Math.abs(fa) > Math.abs(fb)) {
+      // Secant or inverse quadratic interpolation.
+      let p, q, s = fb / fa;
+      if (a === c) {
+        p = 2 * middle * s;
+        q = 1 - s;
+      } else {
+        let r = fb / fc;
+        q = fa / fc;
+        p = s * (2 * middle * q * (q - r) - (b - a) * (r - 1));
+        q = (q - 1) * (r - 1) * (s - 1);
+      }
+      if (p > 0) q = -q;
+      else p = -p;
+
+      if (2 * p < Math.min(3 * middle * q - Math.abs(tol * q), Math.abs(e * q))) {
+        e = d;
+        d = p / q;
+      } else {
+        d = e = middle;
+      }
     } else {
-      return super(...arguments);
+      d = e = middle;
     }
+
+    a = b;
+    fa = fb;
+    b += Math.abs(d) > tol ? d : Math.sign(middle) * tol;
+    fb = f(b);
   }
 
-  toString() {
-    return "Mat3x3";
+  console.warn(`brent - No convergence after ${maxIterations} iterations!`);
+  return b;
+}
+
+// Integration
+/**
+ * Composite Simpson's rule.
+ * 
+ * @param {Function} f - Function of a number.
+ * @param {Number} a - Lower bound.
+ * @param {Number} b - Upper bound.
+ * @param {Number} [intervals=100] - Rounded up to an even number.
+ * @return {Number} Integral of f from a to b.
+ */
+export function simpson(f, a, b, intervals = 100) {
+  intervals = Math.max(2, Math.ceil(intervals / 2) * 2);
+  let h = (b - a) / intervals;
+  let sum = f(a) + f(b);
+
+  for (let i = 1; i < intervals; i++) {
+    sum += (i % 2 === 1 ? 4 : 2) * f(a + i * h);
   }
 
-  static getIdentity() {
-    return new Mat3x3(
-      [1, 0, 0],
-      [0, 1, 0],
-      [0, 0, 1]
-      );
+  return sum * h / 3;
+}
+
+// Gauss-Legendre nodes and weights per point count, computed on first use.
+const gaussLegendreRules = new Map();
+
+function gaussLegendreRule(n) {
+  if (gaussLegendreRules.has(n)) return gaussLegendreRules.get(n);
+
+  let nodes = new Float64Array(n), weights = new Float64Array(n);
+  for (let i = 0; i < Math.ceil(n / 2); i++) {
+    // Newton's method on P_n, starting from an approximation of the i-th root.
+    let x = Math.cos(Math.PI * (i + 0.75) / (n + 0.5));
+    let dp;
+    for (let iteration = 0; iteration < 100; iteration++) {
+      // Legendre recurrence for P_n(x) and its derivative.
+      let p0 = 1, p1 = x;
+      for (let k = 2; k <= n; k++) {
+        [p0, p1] = [p1, ((2 * k - 1) * x * p1 - (k - 1) * p0) / k];
+      }
+      if (n === 1) [p0, p1] = [1, x];
+      dp = n * (x * p1 - p0) / (x * x - 1);
+
+      let step = p1 / dp;
+      x -= step;
+      if (Math.abs(step) < 1e-15) break;
+    }
+
+    nodes[i] = -x;
+    nodes[n - 1 - i] = x;
+    weights[i] = weights[n - 1 - i] = 2 / ((1 - x * x) * dp * dp);
   }
 
-  static getTranslation(x = 0, y = 0) {
-    return new Mat3x3(
-      [1, 0, x],
-      [0, 1, y],
-      [0, 0, 1]
-      );
+  let rule = {nodes, weights};
+  gaussLegendreRules.set(n, rule);
+  return rule;
+}
+
+/**
+ * Gauss-Legendre quadrature, exact for polynomials up to degree 2 * points - 1 on each segment.
+ * 
+ * @param {Function} f - Smooth function of a number.
+ * @param {Number} a - Lower bound.
+ * @param {Number} b - Upper bound.
+ * @param {Object} [options]
+ * @param {Number} [options.points=5] - Nodes per segment.
+ * @param {Number} [options.segments=1] - Number of equal parts [a, b] is split into.
+ * @return {Number} Integral of f from a to b.
+ */
+export function gaussLegendre(f, a, b, options = {}) {
+  const points = options.points ?? 5;
+  const segments = options.segments ?? 1;
+  if (!Number.isInteger(points) || points < 1) {
+    throw new Error(`gaussLegendre - points must be a positive integer, but got ${points}!`);
   }
-  
-  static getScaling(x = 1, y = 1) {
-    return new Mat3x3(
-      [x, 0, 0],
-      [0, y, 0],
-      [0, 0, 1]
-      );
+
+  let {nodes, weights} = gaussLegendreRule(points);
+  let width = (b - a) / segments;
+  let sum = 0;
+
+  for (let s = 0; s < segments; s++) {
+    let center = a + (s + 0.5) * width;
+    for (let i = 0; i < points; i++) {
+      sum += weights[i] * f(center + nodes[i] * width / 2);
+    }
   }
 
-  static getRotation(angle) {
-    return new Mat3x3(
-      [Math.cos(angle), -Math.sin(angle), 0],
-      [Math.sin(angle), Math.cos(angle),  0],
-      [0,               0,                1]
-      );
+  return sum * width / 2;
+}
+
+/**
+ * Adaptive Simpson quadrature: refines only where the integrand needs it.
+ * 
+ * @param {Function} f - Function of a number.
+ * @param {Number} a - Lower bound.
+ * @param {Number} b - Upper bound.
+ * @param {Object} [options]
+ * @param {Number} [options.tolerance=1e-10] - Absolute error target.
+ * @param {Number} [options.maxDepth=50] - Bisections of the interval at most.
+ * @return {Number} Integral of f from a to b.
+ */
+export function adaptiveQuadrature(f, a, b, options = {}) {
+  const tolerance = options.tolerance ?? 1e-10;
+  const maxDepth = options.maxDepth ?? 50;
+  let exceeded = false;
+
+  let recurse = (a, b, fa, fm, fb, whole, tolerance, depth) => {
+    let m = (a + b) / 2;
+    let lm = (a + m) / 2, rm = (m + b) / 2;
+    let flm = f(lm), frm = f(rm);
+    let left = (m - a) / 6 * (fa + 4 * flm + fm);
+    let right = (b - m) / 6 * (fm + 4 * frm + fb);
+    let difference = left + right - whole;
+
+    if (depth >= maxDepth) exceeded = true;
+    if (depth >= maxDepth || Math.abs(difference) <= 15 * tolerance) {
+      return left + right + difference / 15;
+    }
+
+    return recurse(a, m, fa, flm, fm, left, tolerance / 2, depth + 1)
+      + recurse(m, b, fm, frm, fb, right, tolerance / 2, depth + 1);
+  };
+
+  let fa = f(a), fm = f((a + b) / 2), fb = f(b);
+  let result = recurse(a, b, fa, fm, fb, (b - a) / 6 * (fa + 4 * fm + fb), tolerance, 0);
+  if (exceeded) console.warn(`adaptiveQuadrature - Reached maxDepth ${maxDepth}, the result may be inaccurate!`);
+
+  return result;
+}
+
+// Differentiation
+/**
+ * Central difference derivative, with the step size balancing truncation and rounding error.
+ * 
+ * @param {Function} f - Function of a number.
+ * @param {Number} x
+ * @param {Object} [options]
+ * @param {Number} [options.order=1] - 1 for f', 2 for f''.
+ * @param {Number} [options.h] - Step size, chosen from x if omitted.
+ * @return {Number}
+ */
+export function derivative(f, x, options = {}) {
+  const order = options.order ?? 1;
+  const scale = Math.max(1, Math.abs(x));
+
+  switch (order) {
+    case 1: {
+      const h = options.h ?? Math.cbrt(Number.EPSILON) * scale;
+      return (f(x + h) - f(x - h)) / (2 * h);
+    }
+    case 2: {
+      const h = options.h ?? Math.pow(Number.EPSILON, 1 / 4) * scale;
+      return (f(x + h) - 2 * f(x) + f(x - h)) / (h * h);
+    }
+    default:
+      throw new Error(`derivative - Order ${order} is not supported, use 1 or 2!`);
   }
+}
 
-  static getProjection(w, h) {
-    return new Mat3x3(
-      [2 / w, 0     , 0],
-      [0    , -2 / h, 0],
-      [-1   , 1     , 1]
-      );
+/**
+ * Central difference gradient of a scalar field.
+ * 
+ * @param {Function} f - Function of a Vector, Vec2 or Vec3 returning a number.
+ * @param {Vector} point
+ * @param {Number} [h] - Step size, chosen per component if omitted.
+ * @return {Vector} Same type as point.
+ * 
+ * @example
+ * gradient(p => p.x * p.x + p.y, new Vec2(3, 1));  // Vec2(6, 1)
+ */
+export function gradient(f, point, h) {
+  let components = [...point.vArray];
+  let out = components.map((x, i) => {
+    let step = h ?? Math.cbrt(Number.EPSILON) * Math.max(1, Math.abs(x));
+    let shifted = [...components];
+    shifted[i] = x + step;
+    let forward = f(new point.constructor(shifted));
+    shifted[i] = x - step;
+    let backward = f(new point.constructor(shifted));
+    return (forward - backward) / (2 * step);
+  });
+
+  return new point.constructor(out);
+}
+
+// Ordinary Differential Equations
+// The state y is a number or a Vector, and f(t, y) returns its derivative in the same type.
+/**
+ * Explicit Euler step, first order. Gains energy on oscillators.
+ * 
+ * @param {Function} f - Derivative f(t, y).
+ * @param {Number} t - Current time.
+ * @param {Number|Vector} y - Current state.
+ * @param {Number} dt - Time step.
+ * @return {Number|Vector} State at t + dt.
+ */
+export function eulerStep(f, t, y, dt) {
+  return weightedSum([y, f(t, y)], [1, dt]);
+}
+
+/**
+ * Semi-implicit (symplectic) Euler step for second order systems: updates the velocity first and moves with the new one.
+ * Same cost as explicit Euler, but orbits and springs keep their energy.
+ * 
+ * @param {Function} acceleration - acceleration(t, position, velocity).
+ * @param {Number} t - Current time.
+ * @param {Number|Vector} position
+ * @param {Number|Vector} velocity
+ * @param {Number} dt - Time step.
+ * @return {Array} [position, velocity] at t + dt.
+ * 
+ * @example
+ * [body.position, body.velocity] = semiImplicitEulerStep((t, x, v) => gravity, t, body.position, body.velocity, dt);
+ */
+export function semiImplicitEulerStep(acceleration, t, position, velocity, dt) {
+  let nextVelocity = weightedSum([velocity, acceleration(t, position, velocity)], [1, dt]);
+  let nextPosition = weightedSum([position, nextVelocity], [1, dt]);
+  return [nextPosition, nextVelocity];
+}
+
+/**
+ * Classic fourth order Runge-Kutta step.
+ * 
+ * @param {Function} f - Derivative f(t, y).
+ * @param {Number} t - Current time.
+ * @param {Number|Vector} y - Current state.
+ * @param {Number} dt - Time step.
+ * @return {Number|Vector} State at t + dt.
+ */
+export function rk4Step(f, t, y, dt) {
+  let k1 = f(t, y);
+  let k2 = f(t + dt / 2, weightedSum([y, k1], [1, dt / 2]));
+  let k3 = f(t + dt / 2, weightedSum([y, k2], [1, dt / 2]));
+  let k4 = f(t + dt, weightedSum([y, k3], [1, dt]));
+
+  return weightedSum([y, k1, k2, k3, k4], [1, dt / 6, dt / 3, dt / 3, dt / 6]);
+}
+
+// Dormand-Prince 5(4) tableau.
+const dormandPrince = {
+  c: [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1],
+  a: [
+    [],
+    [1 / 5],
+    [3 / 40, 9 / 40],
+    [44 / 45, -56 / 15, 32 / 9],
+    [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+    [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+    [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+  ],
+  // Fifth order weights minus the embedded fourth order ones.
+  error: [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40]
+};
+
+/**
+ * Dormand-Prince step: fifth order, with an embedded fourth order solution estimating the error.
+ * 
+ * @param {Function} f - Derivative f(t, y).
+ * @param {Number} t - Current time.
+ * @param {Number|Vector} y - Current state.
+ * @param {Number} dt - Time step.
+ * @return {Array} [state at t + dt, error estimate as the largest absolute component]
+ */
+export function rk45Step(f, t, y, dt) {
+  const {c, a, error} = dormandPrince;
+  let k = [];
+
+  for (let stage = 0; stage < 7; stage++) {
+    let state = weightedSum([y, ...k], [1, ...a[stage].map(w => w * dt)]);
+    k.push(f(t + c[stage] * dt, state));
   }
 
-  get array2D() {
-    return this.mArray;
+  let next = weightedSum([y, ...k.slice(0, 6)], [1, ...a[6].map(w => w * dt)]);
+  let difference = weightedSum(k, error.map(w => w * dt));
+  let estimate = typeof(difference) === "number"
+    ? Math.abs(difference)
+    : Math.max(...difference.vArray.map(Math.abs));
+
+  return [next, estimate];
+}
+
+/**
+ * Integrates y' = f(t, y) from t0 to t1.
+ * 
+ * @param {Function} f - Derivative f(t, y).
+ * @param {Number|Vector} y0 - State at t0.
+ * @param {Number} t0 - Start time.
+ * @param {Number} t1 - End time, may be before t0.
+ * @param {Object} [options]
+ * @param {String} [options.method="rk45"] - "euler", "rk4" or the adaptive "rk45".
+ * @param {Number} [options.dt] - Fixed step for euler and rk4, initial step for rk45. Defaults to (t1 - t0) / 100.
+ * @param {Number} [options.tolerance=1e-8] - Error per step for rk45, relative to the state's size, absolute below 1.
+ * @param {Number} [options.maxSteps=100000]
+ * @param {Function} [options.onStep] - Called with (t, y) after every accepted step.
+ * @return {Number|Vector} State at t1.
+ * 
+ * @example
+ * // Harmonic oscillator as [position, velocity].
+ * solveODE((t, y) => new Vector([y[1], -y[0]]), new Vector([1, 0]), 0, Math.PI);  // ≈ Vector(-1, 0)
+ */
+export function solveODE(f, y0, t0, t1, options = {}) {
+  const method = options.method ?? "rk45";
+  const tolerance = options.tolerance ?? 1e-8;
+  const maxSteps = options.maxSteps ?? 100000;
+  const onStep = options.onStep;
+  const direction = Math.sign(t1 - t0);
+  let dt = Math.abs(options.dt ?? (t1 - t0) / 100) * direction;
+
+  let t = t0, y = y0;
+  let step = {euler: eulerStep, rk4: rk4Step}[method];
+  if (step === undefined && method !== "rk45") {
+    throw new Error(`solveODE - Unknown method "${method}", use "euler", "rk4" or "rk45"!`);
   }
 
-  get array() {
-    return [
-      ...this.mArray[0],
-      ...this.mArray[1],
-      ...this.mArray[2]
-    ];
+  for (let count = 0; count < maxSteps; count++) {
+    if (t === t1) return y;
+
+    // The last step lands exactly on t1.
+    let remaining = t1 - t;
+    let last = Math.abs(dt) >= Math.abs(remaining);
+    if (last) dt = remaining;
+
+    if (step !== undefined) {
+      y = step(f, t, y, dt);
+      t = last ? t1 : t + dt;
+      onStep?.(t, y);
+      continue;
+    }
+
+    let [next, error] = rk45Step(f, t, y, dt);
+    let size = typeof(next) === "number" ? Math.abs(next) : Math.max(...next.vArray.map(Math.abs));
+    let allowed = tolerance * Math.max(1, size);
+
+    if (error <= allowed) {
+      t = last ? t1 : t + dt;
+      y = next;
+      onStep?.(t, y);
+    } else if (Math.abs(dt) <= Math.abs(t) * Number.EPSILON * 4 || !Number.isFinite(error)) {
+      throw new Error(`solveODE - Step size underflow at t = ${t}!`);
+    }
+
+    // Standard step size control, with growth and shrinkage limited.
+    dt *= error === 0 ? 5 : clamp(0.9 * Math.pow(allowed / error, 1 / 5), 0.2, 5);
   }
 
-  static dotProduct(A, B) {
-    if (A instanceof Mat3x3 && B instanceof Mat3x3) {
-      let m00, m01, m02;
-      let m10, m11, m12;
-      let m20, m21, m22;
+  console.warn(`solveODE - Reached maxSteps ${maxSteps} at t = ${t}!`);
+  return y;
+}
+
+/**********************************************
+ * 06 Statistics
+ **********************************************/
+// Functions take Arrays, typed arrays or Vectors of numbers.
+// Empty input gives NaN for single values, an empty Array for mode and no counts for histograms.
+function toValues(data, caller) {
+  if (data instanceof Vector) return data.vArray;
+  if (Array.isArray(data) || ArrayBuffer.isView(data)) return data;
+  throw new Error(`${caller} - data needs to be an Array or Vector, but is of type "${typeof(data)}"!`);
+}
+
+function pairedValues(x, y, caller) {
+  x = toValues(x, caller);
+  y = toValues(y, caller);
+  if (x.length !== y.length) {
+    throw new Error(`${caller} - x and y need the same length, but have ${x.length} and ${y.length}!`);
+  }
+
+  return [x, y];
+}
 
-      m00 = A.mArray[0][0] * B.mArray[0][0] + A.mArray[0][1] * B.mArray[1][0] + A.mArray[0][2] * B.mArray[2][0];
-      m01 = A.mArray[0][0] * B.mArray[0][1] + A.mArray[0][1] * B.mArray[1][1] + A.mArray[0][2] * B.mArray[2][1];
-      m02 = A.mArray[0][0] * B.mArray[0][2] + A.mArray[0][1] * B.mArray[1][2] + A.mArray[0][2] * B.mArray[2][2];
+/**
+ * @param {Array||Vector} data
+ * @return {Number} Arithmetic mean, NaN for no data.
+ */
+export function mean(data) {
+  data = toValues(data, "mean");
+  let sum = 0;
+  for (let i = 0; i < data.length; i++) sum += data[i];
 
-      m10 = A.mArray[1][0] * B.mArray[0][0] + A.mArray[1][1] * B.mArray[1][0] + A.mArray[1][2] * B.mArray[2][0];
-      m11 = A.mArray[1][0] * B.mArray[0][1] + A.mArray[1][1] * B.mArray[1][1] + A.mArray[1][2] * B.mArray[2][1];
-      m12 = A.mArray[1][0] * B.mArray[0][2] + A.mArray[1][1] * B.mArray[1][2] + A.mArray[1][2] * B.mArray[2][2];
+  return data.length === 0 ? NaN : sum / data.length;
+}
 
-      m20 = A.mArray[2][0] * B.mArray[0][0] + A.mArray[2][1] * B.mArray[1][0] + A.mArray[2][2] * B.mArray[2][0];
-      m21 = A.mArray[2][0] * B.mArray[0][1] + A.mArray[2][1] * B.mArray[1][1] + A.mArray[2][2] * B.mArray[2][1];
-      m22 = A.mArray[2][0] * B.mArray[0][2] + A.mArray[2][1] * B.mArray[1][2] + A.mArray[2][2] * B.mArray[2][2];
+/**
+ * @param {Array||Vector} data
+ * @return {Number} Middle value, the mean of both middle values for an even count and NaN for no data.
+ */
+export function median(data) {
+  return quantile(data, 0.5);
+}
 
-      return new Mat3x3(
-        [m00, m01, m02],
-        [m10, m11, m12],
-        [m20, m21, m22]
-      );
-    } else {
-      return Matrix.dotProduct(A, B);
-    }
+/**
+ * @param {Array||Vector} data
+ * @return {Array} Most frequent values in order of first appearance, all of them if tied.
+ * 
+ * @example
+ * mode([1, 2, 2, 3, 3]);  // [2, 3]
+ */
+export function mode(data) {
+  data = toValues(data, "mode");
+  let counts = new Map();
+  let highest = 0;
+
+  for (let value of data) {
+    let count = (counts.get(value) ?? 0) + 1;
+    counts.set(value, count);
+    highest = Math.max(highest, count);
   }
+
+  return [...counts].filter(([, count]) => count === highest).map(([value]) => value);
 }
 
-export class Mat4x4 extends Matrix {
-  constructor(in1, in2, in3, in4, in5, in6, in7, in8, in9, in10, in11, in12, in13, in14, in15, in16) {
-    if (typeof(in1) === "number") {
-      return super(4, 4, ...arguments);
-    } else {
-      return super(...arguments);
-    }
-  }
+/**
+ * Streaming mean and variance after Welford, numerically stable for long streams and large offsets.
+ * 
+ * @example
+ * let frameTimes = new RunningStatistics();
+ * frameTimes.push(dt);
+ * frameTimes.mean; frameTimes.standardDeviation();
+ */
+export class RunningStatistics {
+  constructor(data = []) {
+    this.count = 0;
+    this.mean = NaN;
+    this.min = NaN;
+    this.max = NaN;
+    // Sum of squared differences from the mean.
+    this.m2 = 0;
 
-  toString() {
-    return "Mat4x4";
+    for (let value of toValues(data, "RunningStatistics::constructor")) this.push(value);
   }
 
-  static getIdentity() {
-    return new Mat4x4(
-      [1, 0, 0, 0],
-      [0, 1, 0, 0],
-      [0, 0, 1, 0],
-      [0, 0, 0, 1]
-      );
+  toString() {
+    return "RunningStatistics";
   }
 
-  static getTranslation(x = 0, y = 0, z = 0) {
-    return new Mat4x4(
-      [1, 0, 0, x],
-      [0, 1, 0, y],
-      [0, 0, 1, z],
-      [0, 0, 0, 1]
-      );
-  }
-  
-  static getScaling(x = 1, y = 1, z = 1) {
-    return new Mat4x4(
-      [x, 0, 0, 0],
-      [0, y, 0, 0],
-      [0, 0, z, 0],
-      [0, 0, 0, 1]
-      );
-  }
+  /**
+   * @param {Number} value
+   * @return {RunningStatistics} this
+   */
+  push(value) {
+    this.count++;
+    if (this.count === 1) {
+      this.mean = this.min = this.max = value;
+      return this;
+    }
 
-  static getXRotation(angle) {
-    let c = Math.cos(angle);
-    let s = Math.sin(angle);
+    let delta = value - this.mean;
+    this.mean += delta / this.count;
+    this.m2 += delta * (value - this.mean);
+    this.min = Math.min(this.min, value);
+    this.max = Math.max(this.max, value);
 
-    return new Mat4x4(
-      [1, 0, 0, 0],
-      [0, c, s, 0],
-      [0, -s, c, 0],
-      [0, 0, 0, 1]
-      );
+    return this;
   }
 
-  static getYRotation(angle) {
-    let c = Math.cos(angle);
-    let s = Math.sin(angle);
+  /**
+   * Combines both streams as if all values had been pushed into one (Chan et al.).
+   * 
+   * @param {RunningStatistics} other
+   * @param {Boolean} [self=false] - If true, merges into this, otherwise returns a new RunningStatistics.
+   * @return {RunningStatistics}
+   */
+  merge(other, self = false) {
+    let out = self ? this : Object.assign(new RunningStatistics(), this);
+    if (other.count === 0) return out;
+    if (out.count === 0) return Object.assign(out, other);
 
-    return new Mat4x4(
-      [c, 0, -s, 0],
-      [0, 1, 0, 0],
-      [s, 0, c, 0],
-      [0, 0, 0, 1]
-      );
-  }
-  
-  static getZRotation(angle) {
-    let c = Math.cos(angle);
-    let s = Math.sin(angle);
+    let count = out.count + other.count;
+    let delta = other.mean - out.mean;
+    out.m2 += other.m2 + delta * delta * out.count * other.count / count;
+    out.mean += delta * other.count / count;
+    out.count = count;
+    out.min = Math.min(out.min, other.min);
+    out.max = Math.max(out.max, other.max);
 
-    return new Mat4x4(
-      [c, s, 0, 0],
-      [-s, c, 0, 0],
-      [0, 0, 1, 0],
-      [0, 0, 0, 1]
-      );
+    return out;
   }
 
-  static getXYZRotation(xAngle, yAngle, zAngle) {
-    return Mat4x4.dotProduct(Mat4x4.dotProduct(Mat4x4.getZRotation(zAngle), Mat4x4.getYRotation(yAngle)), Mat4x4.getXRotation(xAngle));
+  /**
+   * @param {Boolean} [sample=false] - If true, divides by count - 1 for the unbiased estimate from a sample.
+   * @return {Number} NaN for no data, or a single value of a sample.
+   */
+  variance(sample = false) {
+    let divisor = sample ? this.count - 1 : this.count;
+    return divisor > 0 ? this.m2 / divisor : NaN;
   }
 
-  // orthographic projection matrix
-  static getOrthographic(left, right, bottom, top, near, far) {
-    return new Mat4x4(
-      [2 / (right - left),              0,                               0,                           0],
-      [0,                               2 / (top - bottom),              0,                           0],
-      [0,                               0,                               2 / (near - far),            0],
-      [(left + right) / (left - right), (bottom + top) / (bottom - top), (near + far) / (near - far), 1]
-    );
+  /**
+   * @param {Boolean} [sample=false]
+   * @return {Number}
+   */
+  standardDeviation(sample = false) {
+    return Math.sqrt(this.variance(sample));
   }
+}
 
-  static getPerspective(fieldOfViewRadians, aspect, near, far) {
-    let f = Math.tan(Math.PI * 0.5 - fieldOfViewRadians * 0.5);
-    let rangeInv = 1.0 / (near - far);
+/**
+ * @param {Array||Vector} data
+ * @param {Boolean} [sample=false] - If true, divides by n - 1 for the unbiased estimate from a sample.
+ * @return {Number} NaN for no data, or a single value of a sample.
+ */
+export function variance(data, sample = false) {
+  return new RunningStatistics(toValues(data, "variance")).variance(sample);
+}
 
-    return new Mat4x4(
-      [f / aspect, 0, 0,                         0],
-      [0,          f, 0,                         0],
-      [0,          0, (near + far) * rangeInv,  -1],
-      [0,          0, near * far * rangeInv * 2, 0]
-    );
-  }
+/**
+ * @param {Array||Vector} data
+ * @param {Boolean} [sample=false]
+ * @return {Number}
+ */
+export function standardDeviation(data, sample = false) {
+  return Math.sqrt(variance(data, sample));
+}
 
-  get array2D() {
-    return this.mArray;
-  }
+/**
+ * Linear interpolation between the closest ranks, like numpy's and Excel's default.
+ * 
+ * @param {Array||Vector} data
+ * @param {Number||Array} q - Quantile in [0, 1], or several at once.
+ * @return {Number||Array} NaN for no data.
+ * 
+ * @example
+ * let [q1, q3] = quantile(data, [0.25, 0.75]);
+ */
+export function quantile(data, q) {
+  let sorted = Float64Array.from(toValues(data, "quantile")).sort();
 
-  get array() {
-    return [
-      ...this.mArray[0],
-      ...this.mArray[1],
-      ...this.mArray[2],
-      ...this.mArray[3],
-    ];
-  }
+  let single = q => {
+    if (!(q >= 0 && q <= 1)) {
+      throw new Error(`quantile - q needs to be within [0, 1], but is ${q}!`);
+    }
+    if (sorted.length === 0) return NaN;
 
-  static dotProduct(A, B) {
-    if (A instanceof Mat4x4 && B instanceof Mat4x4) {
-      let m00, m01, m02, m03;
-      let m10, m11, m12, m13;
-      let m20, m21, m22, m23;
-      let m30, m31, m32, m33;
+    let position = q * (sorted.length - 1);
+    let low = Math.floor(position);
+    let high = Math.min(low + 1, sorted.length - 1);
+    return sorted[low] + (sorted[high] - sorted[low]) * (position - low);
+  };
 
-      m00 = A.mArray[0][0] * B.mArray[0][0] + A.mArray[0][1] * B.mArray[1][0] + A.mArray[0][2] * B.mArray[2][0] + A.mArray[0][3] * B.mArray[3][0];
-      m01 = A.mArray[0][0] * B.mArray[0][1] + A.mArray[0][1] * B.mArray[1][1] + A.mArray[0][2] * B.mArray[2][1] + A.mArray[0][3] * B.mArray[3][1];
-      m02 = A.mArray[0][0] * B.mArray[0][2] + A.mArray[0][1] * B.mArray[1][2] + A.mArray[0][2] * B.mArray[2][2] + A.mArray[0][3] * B.mArray[3][2];
-      m03 = A.mArray[0][0] * B.mArray[0][3] + A.mArray[0][1] * B.mArray[1][3] + A.mArray[0][2] * B.mArray[2][3] + A.mArray[0][3] * B.mArray[3][3];
+  return Array.isArray(q) ? q.map(single) : single(q);
+}
 
-      m10 = A.mArray[1][0] * B.mArray[0][0] + A.mArray[1][1] * B.mArray[1][0] + A.mArray[1][2] * B.mArray[2][0] + A.mArray[1][3] * B.mArray[3][0];
-      m11 = A.mArray[1][0] * B.mArray[0][1] + A.mArray[1][1] * B.mArray[1][1] + A.mArray[1][2] * B.mArray[2][1] + A.mArray[1][3] * B.mArray[3][1];
-      m12 = A.mArray[1][0] * B.mArray[0][2] + A.mArray[1][1] * B.mArray[1][2] + A.mArray[1][2] * B.mArray[2][2] + A.mArray[1][3] * B.mArray[3][2];
-      m13 = A.mArray[1][0] * B.mArray[0][3] + A.mArray[1][1] * B.mArray[1][3] + A.mArray[1][2] * B.mArray[2][3] + A.mArray[1][3] * B.mArray[3][3];
+/**
+ * @param {Array||Vector} data
+ * @param {Number||Array} p - Percentile in [0, 100], or several at once.
+ * @return {Number||Array}
+ */
+export function percentile(data, p) {
+  return quantile(data, Array.isArray(p) ? p.map(p => p / 100) : p / 100);
+}
 
-      m20 = A.mArray[2][0] * B.mArray[0][0] + A.mArray[2][1] * B.mArray[1][0] + A.mArray[2][2] * B.mArray[2][0] + A.mArray[2][3] * B.mArray[3][0];
-      m21 = A.mArray[2][0] * B.mArray[0][1] + A.mArray[2][1] * B.mArray[1][1] + A.mArray[2][2] * B.mArray[2][1] + A.mArray[2][3] * B.mArray[3][1];
-      m22 = A.mArray[2][0] * B.mArray[0][2] + A.mArray[2][1] * B.mArray[1][2] + A.mArray[2][2] * B.mArray[2][2] + A.mArray[2][3] * B.mArray[3][2];
-      m23 = A.mArray[2][0] * B.mArray[0][3] + A.mArray[2][1] * B.mArray[1][3] + A.mArray[2][2] * B.mArray[2][3] + A.mArray[2][3] * B.mArray[3][3];
+/**
+ * Counts the values per bin. Bins include their lower edge, the last one also its upper edge.
+ * 
+ * @param {Array||Vector} data
+ * @param {Object} [options]
+ * @param {Number||String||Array} [options.bins=10] - Bin count, "sturges", "scott", "freedman-diaconis" or the edges in ascending order.
+ * @param {Array} [options.range] - [min, max] of the bins, the data's range if omitted, [0, 1] without data. Values outside are ignored.
+ * @return {Object} {edges, counts} with edges.length === counts.length + 1.
+ * 
+ * @example
+ * let {edges, counts} = histogram(frameTimes, {bins: "freedman-diaconis"});
+ */
+export function histogram(data, options = {}) {
+  let values = toValues(data, "histogram");
+  let bins = options.bins ?? 10;
+  let edges;
 
-      m30 = A.mArray[3][0] * B.mArray[0][0] + A.mArray[3][1] * B.mArray[1][0] + A.mArray[3][2] * B.mArray[2][0] + A.mArray[3][3] * B.mArray[3][0];
-      m31 = A.mArray[3][0] * B.mArray[0][1] + A.mArray[3][1] * B.mArray[1][1] + A.mArray[3][2] * B.mArray[2][1] + A.mArray[3][3] * B.mArray[3][1];
-      m32 = A.mArray[3][0] * B.mArray[0][2] + A.mArray[3][1] * B.mArray[1][2] + A.mArray[3][2] * B.mArray[2][2] + A.mArray[3][3] * B.mArray[3][2];
-      m33 = A.mArray[3][0] * B.mArray[0][3] + A.mArray[3][1] * B.mArray[1][3] + A.mArray[3][2] * B.mArray[2][3] + A.mArray[3][3] * B.mArray[3][3];
+  if (Array.isArray(bins)) {
+    edges = [...bins];
+    if (edges.length < 2 || edges.some((edge, i) => i > 0 && edge <= edges[i - 1])) {
+      throw new Error(`histogram - Edges need at least 2 strictly ascending values!`);
+    }
+  } else {
+    let [min, max] = options.range ?? [Infinity, -Infinity];
+    if (options.range === undefined) {
+      for (let value of values) {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+      }
+      if (values.length === 0) [min, max] = [0, 1];
+    }
+    if (min === max) {
+      min -= 0.5;
+      max += 0.5;
+    }
 
-      return new Mat4x4(
-        [m00, m01, m02, m03],
-        [m10, m11, m12, m13],
-        [m20, m21, m22, m23],
-        [m30, m31, m32, m33]
-      );
-    } else {
-      return Matrix.dotProduct(A, B);
+    if (typeof(bins) === "string") {
+      // Bin widths of the common rules, as a count over the range.
+      let n = values.length;
+      let width;
+      switch (bins) {
+        case "sturges":
+          bins = Math.ceil(Math.log2(Math.max(n, 1))) + 1;
+          break;
+        case "scott":
+          width = 3.49 * standardDeviation(values) / Math.cbrt(n);
+          break;
+        case "freedman-diaconis": {
+          let [q1, q3] = quantile(values, [0.25, 0.75]);
+          width = 2 * (q3 - q1) / Math.cbrt(n);
+          break;
+        }
+        default:
+          throw new Error(`histogram - Unknown binning rule "${bins}", use "sturges", "scott" or "freedman-diaconis"!`);
+      }
+      if (width !== undefined) bins = width > 0 ? Math.ceil((max - min) / width) : 1;
     }
+
+    if (!Number.isInteger(bins) || bins < 1) {
+      throw new Error(`histogram - bins needs to be a positive integer, but is ${bins}!`);
+    }
+    edges = [...Array(bins + 1)].map((_, i) => i === bins ? max : min + (max - min) * i / bins);
+  }
+
+  let counts = new Array(edges.length - 1).fill(0);
+  let last = edges.length - 1;
+  for (let value of values) {
+    if (!(value >= edges[0] && value <= edges[last])) continue;
+
+    // Binary search for the last edge not above the value.
+    let low = 0, high = last;
+    while (high - low > 1) {
+      let middle = (low + high) >> 1;
+      if (edges[middle] <= value) low = middle;
+      else high = middle;
+    }
+    counts[low]++;
   }
+
+  return {edges, counts};
 }
 
-/**********************************************
- * 02 Randomness and Noise
- **********************************************/
-// Pseudorandom Number Generator (seeded)
 /**
- * Creates and returns the PRNG.
- * List of available algorithms can be found through the availableAlgorithms getter.
- * 
- * @param {Number} [seed] - Number to be used as seed, randomized seed if undefined.
- * @param {String} [algo="sfc32"] - Algorithm to be used.
- * @return {function} Pseudorandom number generator based on the seed and algo.
+ * @param {Array||Vector} x
+ * @param {Array||Vector} y - Same length as x.
+ * @param {Boolean} [sample=false] - If true, divides by n - 1.
+ * @return {Number} NaN for no data.
  */
-export function prngCreator(seed, algo) {
-  seed = seed === undefined || typeof(seed) !== "number" ? Math.floor(Math.random() * 1337 ^ 0xDEADBEEF) : seed;
-  seed >>>= 0;  // Casts the seed to an unsigned Integer.
+export function covariance(x, y, sample = false) {
+  [x, y] = pairedValues(x, y, "covariance");
+  let meanX = mean(x), meanY = mean(y);
+  let sum = 0;
+  for (let i = 0; i < x.length; i++) sum += (x[i] - meanX) * (y[i] - meanY);
 
-  const availableAlgos = ["sfc32", "Mulberry32", "xoshiro128**"];  // TODO: more implementations.
+  let divisor = sample ? x.length - 1 : x.length;
+  return divisor > 0 ? sum / divisor : NaN;
+}
 
-  if (algo === undefined || typeof(algo) !== "string" || availableAlgos.some(a => a.toLowerCase() === algo.toLowerCase())) {
-    if (algo !== undefined) console.warn(`prngCreator - the supplied value for the algo parameter "${algo}" is not available and has been changed to "sfc32".`);
-    algo = "sfc32";
+/**
+ * Pearson correlation coefficient.
+ * 
+ * @param {Array||Vector} x
+ * @param {Array||Vector} y - Same length as x.
+ * @return {Number} In [-1, 1], NaN for no data or if x or y is constant.
+ */
+export function correlation(x, y) {
+  [x, y] = pairedValues(x, y, "correlation");
+  let r = covariance(x, y) / Math.sqrt(variance(x) * variance(y));
+  return Number.isFinite(r) ? clamp(r, -1, 1) : NaN;
+}
+
+// Coefficient of determination of predictions for y.
+function rSquared(y, predict, x) {
+  let meanY = mean(y);
+  let residual = 0, total = 0;
+  for (let i = 0; i < y.length; i++) {
+    residual += (y[i] - predict(x[i])) ** 2;
+    total += (y[i] - meanY) ** 2;
   }
 
-  let rng;
+  // A constant y is explained perfectly by a fit hitting it.
+  if (total === 0) return residual === 0 ? 1 : 0;
+  return 1 - residual / total;
+}
 
-  switch(algo.toLowerCase()) {
-    case "sfc32":
-      // Creates a 32-bit pseudorandom number and squishes it into the [0, 1) range.
-      // Seed-padding-numbers: 
-      // a: phi = 0x1.61803398875..
-      // b: pi = 0x3.243F6A8884C3C..
-      // c: e = 0x2.B7E132B55E..
-      {let a = 0x9E3779B8, b = 0x243F6A88, c = 0xB7E132B5, d = seed;
-      rng = function() {
-        a >>>= 0, b >>>= 0, c >>>= 0, d >>>= 0;
-        let t = (a + b) | 0;
-        a = b ^ b >>> 9;
-        b = c + (c << 3) | 0;
-        c = (c << 21 | c >>> 11);
-        d = d + 1 | 0;
-        t = t + d | 0;
-        c = c + t | 0;
-        return (t >>> 0) / 4294967296;  // 4294967296 = 32-bit-max-int + 1.
-      };}
-      break;
+/**
+ * Ordinary least squares line y = slope * x + intercept.
+ * 
+ * @param {Array||Vector} x
+ * @param {Array||Vector} y - Same length as x.
+ * @return {Object} {slope, intercept, r2, predict(x)}, NaN values for fewer than 2 distinct x.
+ * 
+ * @example
+ * let {slope, intercept, r2} = linearRegression(sizes, timings);
+ */
+export function linearRegression(x, y) {
+  [x, y] = pairedValues(x, y, "linearRegression");
+  let slope = covariance(x, y) / variance(x);
+  if (!Number.isFinite(slope)) slope = NaN;
 
-    case "mulberry32":
-      // Creates a 32-bit pseudorandom number and squishes it into the [0, 1) range.
-      rng = function() {
-        let z = (seed += 0x6D2B79F5);
-        z = Math.imul(z ^ (z >>> 15), z | 1);
-        z ^= z + Math.imul(z ^ (z >> 7), z | 61);
-        return ((z ^ (z >>> 14)) >>> 0) / 4294967296;
-      };
-      break;
+  let intercept = mean(y) - slope * mean(x);
+  let predict = x => slope * x + intercept;
 
-    case "xoshiro128**":
-      // Creates a 32-bit pseudorandom number and squishes it into the [0, 1) range.
-      // Seed-padding-numbers: 
-      // a: phi = 0x1.61803398875..
-      // b: pi = 0x3.243F6A8884C3C..
-      // c: e = 0x2.B7E132B55E..
-      {let a = 0x9E3779B8, b = 0x243F6A88, c = 0xB7E132B5, d = seed;
-      rng = function() {
-        let t = b << 9;
-        let r = a * 5;
-        r = (r << 7 | r >>> 25) * 9;
-        c ^= a;
-        d ^= b;
-        b ^= c;
-        a ^= d;
-        c ^= t;
-        d = d << 11 | d >>> 21;
-        return (r >>> 0) / 4294967296;
-      };}
-      break;
-    default:
-      throw new Error("prngCreator - Should not happen! If it still does, bad sourcecode on my part.. Sorry!");
+  return {slope, intercept, r2: Number.isNaN(slope) ? NaN : rSquared(y, predict, x), predict};
+}
+
+/**
+ * Least squares polynomial through QR decomposition.
+ * 
+ * @param {Array||Vector} x
+ * @param {Array||Vector} y - Same length as x.
+ * @param {Number} [degree=2]
+ * @return {Object} {coefficients, r2, predict(x)}, coefficients from the constant term upwards, NaN values for at most degree distinct x.
+ */
+export function polynomialRegression(x, y, degree = 2) {
+  [x, y] = pairedValues(x, y, "polynomialRegression");
+  if (!Number.isInteger(degree) || degree < 0) {
+    throw new Error(`polynomialRegression - degree needs to be a non-negative integer, but is ${degree}!`);
+  }
+  if (new Set(x).size <= degree) {
+    return {coefficients: Array(degree + 1).fill(NaN), r2: NaN, predict: () => NaN};
   }
 
-  return rng;
-}
+  // Vandermonde matrix, one row of powers per x.
+  let rows = [...x].map(value => [...Array(degree + 1)].map((_, power) => value ** power));
+  let coefficients = [...Matrix.leastSquares(new Matrix(rows), [...y]).vArray];
 
+  // Horner's scheme.
+  let predict = x => coefficients.reduceRight((sum, coefficient) => sum * x + coefficient, 0);
+
+  return {coefficients, r2: rSquared(y, predict, x), predict};
+}
 
 /**********************************************
  * -1 Dev-Console availabilities
  **********************************************/
 // 00
 window.clamp = clamp;
+window.lerp = lerp;
+window.inverseLerp = inverseLerp;
+window.smoothstep = smoothstep;
+window.smootherstep = smootherstep;
 
 // 01
-// window.Vec2 = Vec2;
+window.Vec2 = Vec2;
 window.Vec3 = Vec3;
 window.Mat2x2 = Mat2x2;
 window.Mat3x3 = Mat3x3;
 window.Matrix = Matrix;
 window.Vector = Vector;
+window.Quaternion = Quaternion;
 
 // 02
-// window.perlin = perlin;
-window.prngCreator = prngCreator;
\ No newline at end of file
+window.prngCreator = prngCreator;
+window.Random = Random;
+window.logGamma = logGamma;
+window.perlinCreator = perlinCreator;
+window.simplexCreator = simplexCreator;
+window.worleyCreator = worleyCreator;
+window.fractalCreator = fractalCreator;
+window.domainWarpCreator = domainWarpCreator;
+window.haltonCreator = haltonCreator;
+window.sobolCreator = sobolCreator;
+window.rSequenceCreator = rSequenceCreator;
+window.poissonDiskSampling = poissonDiskSampling;
+
+// 03
+window.Ray = Ray;
+window.Plane = Plane;
+window.Sphere = Sphere;
+window.AABB = AABB;
+window.OBB = OBB;
+window.Segment = Segment;
+window.Triangle = Triangle;
+window.Frustum = Frustum;
+window.Polygon = Polygon;
+
+// 04
+window.easing = easing;
+window.Curve = Curve;
+window.BezierCurve = BezierCurve;
+window.HermiteCurve = HermiteCurve;
+window.CatmullRomCurve = CatmullRomCurve;
+window.BSplineCurve = BSplineCurve;
+
+// 05
+window.bisection = bisection;
+window.newtonRaphson = newtonRaphson;
+window.brent = brent;
+window.simpson = simpson;
+window.gaussLegendre = gaussLegendre;
+window.adaptiveQuadrature = adaptiveQuadrature;
+window.derivative = derivative;
+window.gradient = gradient;
+window.eulerStep = eulerStep;
+window.semiImplicitEulerStep = semiImplicitEulerStep;
+window.rk4Step = rk4Step;
+window.rk45Step = rk45Step;
+window.solveODE = solveODE;
+
+// 06
+window.mean = mean;
+window.median = median;
+window.mode = mode;
+window.RunningStatistics = RunningStatistics;
+window.variance = variance;
+window.standardDeviation = standardDeviation;
+window.quantile = quantile;
+window.percentile = percentile;
+window.histogram = histogram;
+window.covariance = covariance;
+window.correlation = correlation;
+window.linearRegression = linearRegression;
+window.polynomialRegression = polynomialRegression;
\ No newline at end of file
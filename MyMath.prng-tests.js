@@ -0,0 +1,373 @@
+/**
+ * Statistical tests and known-answer vectors for the generators of prngCreator.
+ * Run everything with "node MyMath.prng-tests.js", or only some algorithms with
+ * "node MyMath.prng-tests.js PCG32 sfc32". The exit code is 1 if anything fails.
+ * testPRNG and knownAnswerTests can be imported to check other generators as well.
+ */
+globalThis.window = globalThis.window ?? globalThis;
+const {prngCreator, logGamma} = await import("./MyMath.js");
+
+/**********************************************
+ * Distributions for the p-values
+ **********************************************/
+/**
+ * Regularized upper incomplete Gamma function Q(a, x), series or continued fraction (Numerical Recipes 6.2).
+ *
+ * @param {Number} a - Shape, positive.
+ * @param {Number} x - Upper bound of the integral.
+ * @return {Number} Q(a, x) in [0, 1].
+ */
+function gammaQ(a, x) {
+  if (x <= 0) return 1;
+
+  let prefix = Math.exp(a * Math.log(x) - x - logGamma(a));
+
+  if (x < a + 1) {
+    let term = 1 / a, sum = term;
+    for (let n = 1; n < 10000 && term > sum * 1e-16; n++) {
+      term *= x / (a + n);
+      sum += term;
+    }
+    return Math.max(0, 1 - sum * prefix);
+  }
+
+  // Modified Lentz's method.
+  let b = x + 1 - a, c = 1e300, d = 1 / b, h = d;
+  for (let i = 1; i < 10000; i++) {
+    let an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    c = b + an / c;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    h *= d * c;
+    if (Math.abs(d * c - 1) < 1e-16) break;
+  }
+  return prefix * h;
+}
+
+/**
+ * @param {Number} chiSquare - Statistic.
+ * @param {Number} degreesOfFreedom
+ * @return {Number} Probability of a statistic at least as large.
+ */
+function chiSquarePValue(chiSquare, degreesOfFreedom) {
+  return gammaQ(degreesOfFreedom / 2, chiSquare / 2);
+}
+
+/**
+ * @param {Number} z - Standard normal statistic.
+ * @return {Number} Probability of a statistic at least as far from 0, erfc(|z| / sqrt(2)).
+ */
+function normalPValue(z) {
+  return gammaQ(0.5, z * z / 2);
+}
+
+/**
+ * Asymptotic Kolmogorov distribution with Stephens' correction for finite n.
+ *
+ * @param {Number} d - Largest distance between the empirical and the expected CDF.
+ * @param {Number} n - Sample size.
+ * @return {Number} Probability of a distance at least as large.
+ */
+function kolmogorovPValue(d, n) {
+  let lambda = (Math.sqrt(n) + 0.12 + 0.11 / Math.sqrt(n)) * d;
+  if (lambda < 0.2) return 1;
+
+  let sum = 0;
+  for (let k = 1; k <= 100; k++) {
+    let term = Math.exp(-2 * k * k * lambda * lambda);
+    sum += k % 2 ? term : -term;
+    if (term < 1e-16) break;
+  }
+  return Math.min(1, Math.max(0, 2 * sum));
+}
+
+/**
+ * Chi-square statistic of observed against expected counts.
+ *
+ * @param {Array} observed
+ * @param {Array} expected
+ * @return {Number}
+ */
+function chiSquare(observed, expected) {
+  let sum = 0;
+  for (let i = 0; i < observed.length; i++) {
+    sum += (observed[i] - expected[i]) ** 2 / expected[i];
+  }
+  return sum;
+}
+
+/**********************************************
+ * Statistical tests
+ **********************************************/
+// Every test draws about n numbers from rng and returns {statistic, pValue}.
+// For a good generator the p-values are uniformly distributed in [0, 1].
+const tests = {
+  /**
+   * Counts of the numbers in 256 equally sized bins.
+   */
+  "chi-square": function(rng, n) {
+    const bins = 256;
+    let observed = new Array(bins).fill(0);
+    for (let i = 0; i < n; i++) {
+      observed[Math.floor(rng() * bins)]++;
+    }
+
+    let statistic = chiSquare(observed, new Array(bins).fill(n / bins));
+    return {statistic: statistic, pValue: chiSquarePValue(statistic, bins - 1)};
+  },
+
+  /**
+   * Largest distance between the empirical CDF and the one of U(0, 1).
+   */
+  "kolmogorov-smirnov": function(rng, n) {
+    let samples = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+      samples[i] = rng();
+    }
+    samples.sort();
+
+    let d = 0;
+    for (let i = 0; i < n; i++) {
+      d = Math.max(d, (i + 1) / n - samples[i], samples[i] - i / n);
+    }
+    return {statistic: d, pValue: kolmogorovPValue(d, n)};
+  },
+
+  /**
+   * Wald-Wolfowitz test on the amount of runs above and below 0.5.
+   */
+  "runs": function(rng, n) {
+    let above = 0, runs = 0, previous;
+    for (let i = 0; i < n; i++) {
+      let current = rng() >= 0.5;
+      if (current) above++;
+      if (current !== previous) runs++;
+      previous = current;
+    }
+
+    let below = n - above;
+    let mean = 2 * above * below / n + 1;
+    let variance = (mean - 1) * (mean - 2) / (n - 1);
+    let z = (runs - mean) / Math.sqrt(variance);
+    return {statistic: z, pValue: normalPValue(z)};
+  },
+
+  /**
+   * Knuth's gap test: lengths of the gaps between numbers in [0, 0.1) are geometrically distributed.
+   */
+  "gap": function(rng, n) {
+    const p = 0.1, longest = 50;  // Gaps of at least longest are counted together.
+    let observed = new Array(longest + 1).fill(0);
+    let gaps = 0, gap = 0;
+    for (let i = 0; i < n; i++) {
+      if (rng() < p) {
+        observed[Math.min(gap, longest)]++;
+        gaps++;
+        gap = 0;
+      } else {
+        gap++;
+      }
+    }
+
+    let expected = observed.map((_, r) => gaps * (r < longest ? p * (1 - p) ** r : (1 - p) ** longest));
+    let statistic = chiSquare(observed, expected);
+    return {statistic: statistic, pValue: chiSquarePValue(statistic, longest)};
+  },
+
+  /**
+   * Marsaglia's birthday spacings: 512 birthdays in a year of 2^24 days,
+   * the amount of repeated spacings between them is Poisson distributed with lambda = 2.
+   */
+  "birthday-spacings": function(rng, n) {
+    const birthdays = 512, days = 2 ** 24, lambda = birthdays ** 3 / (4 * days), classes = 6;
+    let repetitions = Math.max(1, Math.floor(n / birthdays));
+    let observed = new Array(classes).fill(0);
+    let dates = new Uint32Array(birthdays), spacings = new Uint32Array(birthdays);
+
+    for (let r = 0; r < repetitions; r++) {
+      for (let i = 0; i < birthdays; i++) {
+        dates[i] = Math.floor(rng() * days);
+      }
+      dates.sort();
+
+      spacings[0] = dates[0];
+      for (let i = 1; i < birthdays; i++) {
+        spacings[i] = dates[i] - dates[i - 1];
+      }
+      spacings.sort();
+
+      let repeated = 0;
+      for (let i = 1; i < birthdays; i++) {
+        if (spacings[i] === spacings[i - 1]) repeated++;
+      }
+      observed[Math.min(repeated, classes - 1)]++;
+    }
+
+    // Poisson probabilities, the last class takes the rest.
+    let expected = [];
+    let probability = Math.exp(-lambda), rest = 1;
+    for (let k = 0; k < classes - 1; k++) {
+      expected.push(repetitions * probability);
+      rest -= probability;
+      probability *= lambda / (k + 1);
+    }
+    expected.push(repetitions * rest);
+
+    let statistic = chiSquare(observed, expected);
+    return {statistic: statistic, pValue: chiSquarePValue(statistic, classes - 1)};
+  },
+
+  /**
+   * Correlation between consecutive numbers, sqrt(n) * r is about standard normal.
+   */
+  "serial-correlation": function(rng, n) {
+    let first = rng(), previous = first;
+    let sumXY = 0, sumX = 0, sumXX = 0;
+    for (let i = 1; i < n; i++) {
+      let current = rng();
+      sumXY += previous * current;
+      sumX += previous;
+      sumXX += previous * previous;
+      previous = current;
+    }
+
+    // Sums over the pairs (x[i], x[i + 1]) of the circular sequence.
+    sumXY += previous * first;
+    sumX += previous;
+    sumXX += previous * previous;
+
+    let r = (n * sumXY - sumX * sumX) / (n * sumXX - sumX * sumX);
+    let z = r * Math.sqrt(n);
+    return {statistic: r, pValue: normalPValue(z)};
+  }
+};
+
+/**
+ * Runs all statistical tests on a generator.
+ * A test fails if its p-value lies outside [alpha, 1 - alpha], as results too good to be true are suspicious as well.
+ *
+ * @param {function} rng - Generator returning floats in [0, 1).
+ * @param {Object} [options]
+ * @param {Number} [options.samples=100000] - Amount of numbers drawn per test.
+ * @param {Number} [options.alpha=0.0001] - Significance level of each tail.
+ * @return {Array} Results as {test, statistic, pValue, passed}.
+ *
+ * @example
+ * testPRNG(prngCreator(1337, "JSF32")).every(result => result.passed);  // true
+ * testPRNG(Math.random, {samples: 1000000});
+ */
+export function testPRNG(rng, {samples = 100000, alpha = 0.0001} = {}) {
+  if (typeof(rng) !== "function") {
+    throw new Error("testPRNG - The generator needs to be a function!");
+  }
+
+  return Object.entries(tests).map(([name, test]) => {
+    let {statistic, pValue} = test(rng, samples);
+    return {test: name, statistic: statistic, pValue: pValue, passed: pValue >= alpha && pValue <= 1 - alpha};
+  });
+}
+
+/**********************************************
+ * Known-answer vectors
+ **********************************************/
+// Outputs of the reference C implementations for the same seeds.
+// 32-bit outputs are compared to rng() * 2^32, 64-bit outputs by their upper 53 bits to rng() * 2^53.
+const knownAnswers = [
+  // PractRand's sfc32 with a = 0x9E3779B8, b = 0x243F6A88, c = 0xB7E132B5 and counter = 1338.
+  {algo: "sfc32", seed: 1337, bits: 32, outputs: [3262572922, 2602058453, 1500435733, 2867007103, 2415122463]},
+  {algo: "Mulberry32", seed: 1337, bits: 32, outputs: [792042790, 815997621, 3480950701, 2764880138, 1850162886]},
+  // xoshiro128starstar.c with s = {0x9E3779B8, 0x243F6A88, 0xB7E132B5, 1337}, plain and after jump() / long_jump().
+  {algo: "xoshiro128**", seed: 1337, bits: 32, outputs: [2463954730, 4252119474, 3867760706, 1276905456, 2376185456]},
+  {algo: "xoshiro128**", seed: 1337, bits: 32, jump: "jump", outputs: [900584215, 3826412965, 3556200873, 45750154]},
+  {algo: "xoshiro128**", seed: 1337, bits: 32, jump: "longJump", outputs: [2810894745, 1831427706, 3594741448, 2387658060]},
+  // pcg32-demo of pcg-c-basic, pcg32_srandom(42, 54).
+  {algo: "PCG32", seed: [0, 42, 0, 54], bits: 32, outputs: [2707161783, 2068313097, 3122475824, 2211639955, 3215226955, 3421331566]},
+  {algo: "xorshift128+", seed: [0x01234567, 0x89ABCDEF, 0xFEDCBA98, 0x76543210], bits: 53, outputs: [9007199254740991, 2627093008795686, 2507172016069216, 313623173998304]},
+  {algo: "SplitMix32", seed: 1337, bits: 32, outputs: [1225747897, 1829388979, 3226345298, 268931369, 2474398691]},
+  {algo: "SplitMix64", seed: [0, 1234567], bits: 53, outputs: [3153236189995295, 1564046978124417, 4793697232518735, 2242861585998575]},
+  // Bob Jenkins' raninit(x, 1337).
+  {algo: "JSF32", seed: 1337, bits: 32, outputs: [4229623728, 1307233345, 4139119594, 2509258117, 3722478794]},
+  // mt19937ar.c, init_genrand(5489) and init_by_array({0x123, 0x234, 0x345, 0x456}, 4).
+  {algo: "MT19937", seed: 5489, bits: 32, outputs: [3499211612, 581869302, 3890346734]},
+  {algo: "MT19937", seed: [0x123, 0x234, 0x345, 0x456], bits: 32, outputs: [1067595299, 955945823, 477289528, 4107218783, 4228976476]}
+];
+
+/**
+ * Compares the algorithms of prngCreator to the outputs of their reference implementations.
+ *
+ * @param {Array} [algos=prngCreator.availableAlgorithms] - Algorithms to check (case insensitive).
+ * @return {Array} Results as {algo, seed, jump, expected, actual, passed}.
+ */
+export function knownAnswerTests(algos = prngCreator.availableAlgorithms) {
+  let selected = algos.map(a => a.toLowerCase());
+
+  return knownAnswers.filter(vector => selected.includes(vector.algo.toLowerCase())).map(vector => {
+    let rng = prngCreator(vector.seed, vector.algo);
+    if (vector.jump !== undefined) rng[vector.jump]();
+
+    let actual = vector.outputs.map(() => rng() * 2 ** vector.bits);
+    return {
+      algo: vector.algo,
+      seed: vector.seed,
+      jump: vector.jump,
+      expected: vector.outputs,
+      actual: actual,
+      passed: actual.every((output, i) => output === vector.outputs[i])
+    };
+  });
+}
+
+/**********************************************
+ * Command line
+ **********************************************/
+/**
+ * Runs the known-answer vectors and the statistical tests of the given algorithms and logs a report.
+ *
+ * @param {Array} [algos=prngCreator.availableAlgorithms] - Algorithms to check (case insensitive).
+ * @param {Object} [options] - Options of testPRNG.
+ * @return {Boolean} True if everything passed.
+ */
+export function reportPRNGs(algos = prngCreator.availableAlgorithms, options = {}) {
+  let passed = true;
+  const mark = ok => ok ? "PASS" : "FAIL";
+
+  console.log("Known-answer vectors");
+  for (let result of knownAnswerTests(algos)) {
+    passed &&= result.passed;
+    let label = `${result.algo} ${JSON.stringify(result.seed)}${result.jump ? ` after ${result.jump}()` : ""}`;
+    console.log(`  ${mark(result.passed)}  ${label}`);
+    if (!result.passed) {
+      console.log(`        expected ${result.expected.join(" ")}\n        actual   ${result.actual.join(" ")}`);
+    }
+  }
+
+  console.log(`\nStatistical tests (${options.samples ?? 100000} samples, alpha ${options.alpha ?? 0.0001})`);
+  for (let algo of algos) {
+    console.log(algo);
+    for (let result of testPRNG(prngCreator(1337, algo), options)) {
+      passed &&= result.passed;
+      console.log(`  ${mark(result.passed)}  ${result.test.padEnd(20)} statistic ${result.statistic.toFixed(4).padStart(10)}   p ${result.pValue.toFixed(4)}`);
+    }
+  }
+
+  console.log(passed ? "\nAll tests passed." : "\nSome tests FAILED.");
+  return passed;
+}
+
+if (globalThis.process?.argv?.[1] !== undefined) {
+  const {pathToFileURL} = await import("node:url");
+
+  if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    let requested = process.argv.slice(2);
+    let algos = prngCreator.availableAlgorithms.filter(a => requested.length === 0 || requested.some(r => r.toLowerCase() === a.toLowerCase()));
+    if (algos.length === 0) {
+      console.error(`Unknown algorithms, available are: ${prngCreator.availableAlgorithms.join(", ")}`);
+      process.exitCode = 1;
+    } else if (!reportPRNGs(algos)) {
+      process.exitCode = 1;
+    }
+  }
+}
@@ -0,0 +1,250 @@
+/**
+ * Regression cases for MyMath.js.
+ * Run with "node MyMath.tests.js", or only some cases with "node MyMath.tests.js typed-add-sub".
+ * The exit code is 1 if anything fails.
+ */
+globalThis.window = globalThis.window ?? globalThis;
+const {Vector, Matrix, Mat2x2, Mat3x3, Mat4x4, Quaternion, AABB, Polygon, linearRegression, polynomialRegression} = await import("./MyMath.js");
+
+/**********************************************
+ * Assertions
+ **********************************************/
+/**
+ * Throws unless both are equal up to tolerance, element-wise for arrays, vectors and matrices.
+ *
+ * @param {Number||Array||Vector||Matrix} actual
+ * @param {Number||Array||Vector||Matrix} expected
+ * @param {Number} [tolerance=1e-9] - Largest absolute difference per element.
+ */
+function assertClose(actual, expected, tolerance = 1e-9) {
+  let flat = x => typeof(x) === "number" ? [x] : x instanceof Vector ? [...x.vArray] : [...x];
+  let a = flat(actual), e = flat(expected);
+  if (a.length !== e.length || a.some((v, i) => !(Math.abs(v - e[i]) <= tolerance))) {
+    throw new Error(`expected [${e.join(", ")}], but got [${a.join(", ")}]`);
+  }
+}
+
+/**
+ * Throws unless fn throws an error whose message includes text.
+ *
+ * @param {function} fn
+ * @param {String} text - Part of the expected message.
+ */
+function assertThrows(fn, text) {
+  try {
+    fn();
+  } catch (error) {
+    if (error.message.includes(text)) return;
+    throw new Error(`expected an error with "${text}", but got "${error.message}"`);
+  }
+
+  throw new Error(`expected an error with "${text}", but nothing was thrown`);
+}
+
+/**********************************************
+ * Cases
+ **********************************************/
+const cases = {
+  "typed-add-sub": () => {
+    let plain = Mat4x4.getLookAt([3, 4, 5], [0, 0, 0]);
+    let typed = plain.toTyped(Float64Array);
+
+    let sum = Matrix.add(typed, typed);
+    assertClose(sum.array, Matrix.add(plain, plain).array);
+    if (!(sum instanceof Mat4x4) || !(sum.mBuffer instanceof Float64Array)) {
+      throw new Error(`expected a typed Mat4x4, but got ${sum}`);
+    }
+    assertClose(Matrix.sub(sum, typed).array, plain.array);
+    assertClose(Matrix.sub(typed, plain).array, new Array(16).fill(0));
+  },
+
+  "typed-dot-product": () => {
+    let view = Mat4x4.getLookAt([3, 4, 5], [0, 0, 0]);
+    let projection = Mat4x4.getPerspective(1, 16 / 9, 0.1, 100);
+    let expected = Mat4x4.dotProduct(view, projection).array;
+
+    let out = Mat4x4.getIdentity().toTyped(Float64Array);
+    assertClose(Mat4x4.dotProduct(view.toTyped(Float64Array), projection.toTyped(Float64Array), out).array, expected);
+
+    // out aliasing an input.
+    let a = view.toTyped(Float64Array);
+    assertClose(Mat4x4.dotProduct(a, projection.toTyped(Float64Array), a).array, expected);
+    let b = projection.toTyped(Float64Array);
+    assertClose(Mat4x4.dotProduct(view.toTyped(Float64Array), b, b).array, expected);
+  },
+
+  "matrix-vector-out": () => {
+    let m = new Matrix([[1, 2, 3], [4, 5, 6]]);
+    let v = new Vector([1, 0, -1]);
+    let out = new Vector([0, 0]);
+
+    assertClose(Matrix.dotProduct(m, v), [-2, -2]);
+    if (Matrix.dotProduct(m, v, out) !== out) throw new Error("expected out to be returned");
+    assertClose(out, [-2, -2]);
+    assertThrows(() => Matrix.dotProduct(m, v, new Vector([0, 0, 0])), "length 2");
+
+    // Vector.add and Vector.sub check their out-parameter the same way.
+    assertClose(Vector.add(v, v, v), [2, 0, -2]);
+    assertClose(Vector.sub(v, new Vector([1, 1, 1]), v), [1, -1, -3]);
+    assertThrows(() => Vector.add(v, new Vector([1, 2]), v), "Vector::add - v1, v2 and out need to be of the same length, but have 3, 2 and 3");
+    assertThrows(() => Vector.sub(v, v, new Vector([0, 0, 0, 0])), "Vector::sub");
+  },
+
+  "singular-fixed-size": () => {
+    // Singular in exact arithmetic, but the closed-form determinants round to about 1e-17.
+    let rows3 = [[0.1, 0.2, 0.3], [0.4, 0.5, 0.6], [0.7, 0.8, 0.9]];
+    let rows4 = [...Array(4)].map((_, i) => [...Array(4)].map((_, j) => (4 * i + j + 1) / 10));
+    let rows2 = [[0.1, 0.3], [0.1 / 3, 0.1]];
+
+    for (let [Type, rows] of [[Mat2x2, rows2], [Mat3x3, rows3], [Mat4x4, rows4]]) {
+      let m = new Type(rows);
+      assertThrows(() => m.inverse(), "singular");
+      assertThrows(() => new Matrix(rows).inverse(), "singular");
+      assertClose(m.determinant, new Matrix(rows).determinant, 0);
+      assertClose(m.determinant, 0, 0);
+    }
+
+    // Small but regular scales stay invertible, like in Matrix.inverse.
+    let small = Mat4x4.getScaling(1e-6, 1e-6, 1e-6);
+    assertClose(Mat4x4.dotProduct(small, small.inverse()).array, Mat4x4.getIdentity().array);
+    assertClose(small.determinant, 1e-18, 1e-30);
+  },
+
+  "aabb-transform": () => {
+    let box = new AABB([-1, -2, -0.5], [1, 2, 3]);
+    let corners = [...Array(8)].map((_, c) => [0, 1, 2].map(i => (c >> i) & 1 ? box.max[i] : box.min[i]));
+    let bounds = points => [0, 1, 2].map(i => Math.min(...points.map(p => p[i])))
+      .concat([0, 1, 2].map(i => Math.max(...points.map(p => p[i]))));
+
+    assertClose(new AABB([-1, -1, -1], [1, 1, 1]).transform(Mat4x4.getTranslation(5, 0, 0)).min, [4, -1, -1]);
+    assertClose(new AABB([-1, -1, -1], [1, 1, 1]).transform(Mat4x4.getTranslation(5, 0, 0)).max, [6, 1, 1]);
+
+    // Translation in the last column: the matrix transforms column vectors.
+    let model = Mat4x4.dotProduct(Mat4x4.dotProduct(Mat4x4.getTranslation(4, 5, 6), Mat4x4.getScaling(2, 3, 4)), Mat4x4.getXYZRotation(0.1, 0.2, 0.3));
+    let m = model.mArray;
+    let expected = bounds(corners.map(p => [0, 1, 2].map(i => m[i][0] * p[0] + m[i][1] * p[1] + m[i][2] * p[2] + m[i][3])));
+    let actual = box.transform(model);
+    assertClose([...actual.min, ...actual.max], expected);
+
+    // Translation in the last row: the matrix transforms row vectors.
+    let composed = Mat4x4.compose([4, 5, 6], Quaternion.fromEuler(0.1, 0.2, 0.3), [2, 3, 4]);
+    m = composed.mArray;
+    expected = bounds(corners.map(p => [0, 1, 2].map(j => p[0] * m[0][j] + p[1] * m[1][j] + p[2] * m[2][j] + m[3][j])));
+    actual = box.transform(composed);
+    assertClose([...actual.min, ...actual.max], expected);
+  },
+
+  "interpolate-layout": () => {
+    let column = Mat4x4.dotProduct(Mat4x4.dotProduct(Mat4x4.getTranslation(4, 5, 6), Mat4x4.getScaling(2, 3, 4)), Mat4x4.getXYZRotation(0.1, 0.2, 0.3));
+    let row = Mat4x4.compose([4, 5, 6], [0.1, 0.2, 0.3], [2, 3, 4]);
+
+    assertClose(Mat4x4.interpolate(column, column, 0.5).array, column.array);
+    assertClose(Mat4x4.interpolate(row, row, 0.5).array, row.array);
+    if (column.decompose().layout !== "column" || row.decompose().layout !== "row") {
+      throw new Error("expected decompose to report the layouts");
+    }
+
+    // Rebuilding from the components, halfway towards an untranslated matrix.
+    let {translation, rotation, scale, shear, layout} = column.decompose();
+    assertClose(Mat4x4.compose(translation, rotation, scale, shear, layout).array, column.array);
+    let half = Mat4x4.interpolate(column, Mat4x4.getScaling(2, 3, 4), 0.5).mArray;
+    assertClose([half[0][3], half[1][3], half[2][3], ...half[3]], [2, 2.5, 3, 0, 0, 0, 1]);
+
+    assertThrows(() => Mat4x4.interpolate(column, row, 0.5), "last column");
+  },
+
+  "regression-too-few-x": () => {
+    let values = fit => [fit.slope ?? fit.coefficients, fit.intercept ?? [], fit.r2, fit.predict(1)].flat();
+    let fits = [linearRegression([], []), polynomialRegression([], []), polynomialRegression([1, 2, 1], [1, 2, 3], 2)];
+    for (let fit of fits) {
+      if (!values(fit).every(Number.isNaN)) throw new Error(`expected NaN values, but got [${values(fit).join(", ")}]`);
+    }
+    if (fits[1].coefficients.length !== 3) throw new Error("expected a coefficient per power");
+
+    assertClose(polynomialRegression([0, 1, 2], [1, 2, 5], 2).coefficients, [1, 0, 1]);
+  },
+
+  "delaunay-cocircular": () => {
+    for (let n of [12, 30]) {
+      let points = [...Array(n)].map((_, i) => [Math.cos(i * 2 * Math.PI / n), Math.sin(i * 2 * Math.PI / n)]);
+      let triangles = Polygon.delaunay(points);
+      if (triangles.length !== n - 2) throw new Error(`expected ${n - 2} triangles, but got ${triangles.length}`);
+
+      // Counter-clockwise triangles covering the regular polygon.
+      let areas = triangles.map(indices => new Polygon(indices.map(i => points[i])).signedArea);
+      if (areas.some(area => area <= 0)) throw new Error(`expected counter-clockwise triangles, but got areas ${areas}`);
+      assertClose(areas.reduce((sum, area) => sum + area, 0), new Polygon(points).area);
+    }
+  },
+
+  "voronoi-cocircular": () => {
+    let points = [...[...Array(12)].map((_, i) => [Math.cos(i * Math.PI / 6), Math.sin(i * Math.PI / 6)]), [0, 0]];
+    let cells = Polygon.voronoi(points, [-2, -2, 2, 2]);
+
+    assertClose(cells.reduce((sum, cell) => sum + cell.area, 0), 16);
+    cells.forEach((cell, i) => {
+      if (!cell.containsPoint(points[i])) throw new Error(`expected cell ${i} to contain its point`);
+    });
+    // The centre's cell is the regular 12-gon through the midpoints to the ring.
+    assertClose(cells[12].area, 12 * 0.5 ** 2 * Math.tan(Math.PI / 12));
+  },
+
+  "project-zero-to-one": () => {
+    let view = Mat4x4.getLookAt([0, 0, 5], [0, 0, 0]);
+    let reverseZ = Mat4x4.dotProduct(view, Mat4x4.getReverseZPerspective(1, 16 / 9, 0.1, 100));
+    let viewport = [0, 0, 1600, 900];
+
+    // Depth 1 is the near plane, 0 the far plane.
+    assertClose(Mat4x4.project([0, 0, 4.9], reverseZ, viewport, true), [800, 450, 1]);
+    assertClose(Mat4x4.project([0, 0, -95], reverseZ, viewport, true), [800, 450, 0], 1e-12);
+    assertClose(Mat4x4.unproject([800, 450, 1], reverseZ, viewport, true), [0, 0, 4.9]);
+    assertClose(Mat4x4.unproject([800, 450, 0], reverseZ, viewport, true), [0, 0, -95], 1e-9);
+    assertClose(Mat4x4.unproject(Mat4x4.project([1, 2, -3], reverseZ, viewport, true), reverseZ, viewport, true), [1, 2, -3]);
+
+    // The [-1, 1] default is unchanged.
+    let perspective = Mat4x4.dotProduct(view, Mat4x4.getPerspective(1, 16 / 9, 0.1, 100));
+    assertClose(Mat4x4.unproject([800, 450, 0], perspective, viewport), [0, 0, 4.9]);
+    assertClose(Mat4x4.unproject(Mat4x4.project([1, 2, -3], perspective, viewport), perspective, viewport), [1, 2, -3]);
+  }
+};
+
+/**********************************************
+ * Command line
+ **********************************************/
+/**
+ * Runs the given cases and logs a report.
+ *
+ * @param {Array} [names] - Cases to run, all by default.
+ * @return {Boolean} True if everything passed.
+ */
+export function runTests(names = Object.keys(cases)) {
+  let passed = true;
+
+  for (let name of names) {
+    try {
+      cases[name]();
+      console.log(`  PASS  ${name}`);
+    } catch (error) {
+      passed = false;
+      console.log(`  FAIL  ${name}\n        ${error.message}`);
+    }
+  }
+
+  console.log(passed ? "\nAll tests passed." : "\nSome tests FAILED.");
+  return passed;
+}
+
+if (globalThis.process?.argv?.[1] !== undefined) {
+  const {pathToFileURL} = await import("node:url");
+
+  if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    let requested = process.argv.slice(2);
+    let unknown = requested.filter(name => !(name in cases));
+    if (unknown.length > 0) {
+      console.error(`Unknown cases ${unknown.join(", ")}, available are: ${Object.keys(cases).join(", ")}`);
+      process.exitCode = 1;
+    } else if (!runTests(requested.length > 0 ? requested : undefined)) {
+      process.exitCode = 1;
+    }
+  }
+}
@@ -1,10 +1,12 @@
 /**
  * Generator similar to python's range().
- * Iterates over [start,end) with an step-size of step.
+ * Iterates over [start,end) with an step-size of step, or over (end,start] for negative steps.
+ * Values are computed from their index instead of summed up, and rounded to the decimals of the arguments,
+ * so range(0, 1, 0.1) yields 0.3 rather than 0.30000000000000004.
  * 
  * @param {Number} [start=0] - First value to be returned.
  * @param {Number} [end=10] - Finish-condition.
- * @param {Number} [step=1] - Step-size between consecutive numbers.
+ * @param {Number} [step=1] - Step-size between consecutive numbers, must not be 0.
  * 
  * @example
  * // logs: 0, 1, 2, 3, 4
@@ -12,6 +14,9 @@
  * @example
  * // logs: 2, 2.5, 3, 3.5, 4, 4.5
  * for (let i of range(2, 5, 0.5)) console.log(i);
+ * @example
+ * // logs: 5, 4, 3, 2, 1
+ * for (let i of range(5, 0, -1)) console.log(i);
  */
 export function* range(start, end, step) {
   let i, e;
@@ -27,10 +32,719 @@ export function* range(start, end, step) {
   }
   
   step = step ?? 1;
+  if (step === 0 || Number.isNaN(step)) {
+    throw new Error(`range - step must be a non-zero number, but is ${step}!`);
+  }
+
+  // Counting in integers of the finest decimal place keeps 0.1 steps exact.
+  let decimals = Math.max(decimalPlaces(i), decimalPlaces(e), decimalPlaces(step));
+  let count;
+  if (decimals <= 15 && Number.isFinite(e)) {
+    let scale = 10 ** decimals;
+    count = Math.ceil((Math.round(e * scale) - Math.round(i * scale)) / Math.round(step * scale));
+  } else {
+    count = Math.ceil((e - i) / step);
+  }
+
+  for (let k = 0; k < count; k++) {
+    let value = i + k * step;
+    yield decimals > 0 && decimals <= 15 ? Number(value.toFixed(decimals)) : value;
+  }
+}
+
+// Digits after the decimal point, including those of exponent notation like 1e-7.
+function decimalPlaces(x) {
+  if (!Number.isFinite(x)) return 0;
+  let [mantissa, exponent] = String(x).split("e");
+  let fraction = mantissa.split(".")[1]?.length ?? 0;
+  return Math.max(0, fraction - Number(exponent ?? 0));
+}
+
+/**
+ * Wraps an iterable in a LazyIterator, or an AsyncLazyIterator for async iterables.
+ * 
+ * @param {Iterable||AsyncIterable} iterable - range(), an Array, Map, generator or anything else iterable.
+ * @returns {LazyIterator||AsyncLazyIterator}
+ * 
+ * @example
+ * // [0, 4, 16, 36, 64], without ever creating the array of 1e9 numbers.
+ * lazy(range(1e9)).filter(x => x % 2 === 0).map(x => x * x).take(5).toArray();
+ */
+export function lazy(iterable) {
+  if (iterable?.[Symbol.iterator] !== undefined) return new LazyIterator(iterable);
+  if (iterable?.[Symbol.asyncIterator] !== undefined) return new AsyncLazyIterator(iterable);
+  throw new Error(`lazy - Expected an iterable or async iterable, but got ${iterable}!`);
+}
+
+// Chain steps wrap generator functions, so a LazyIterator can be iterated again whenever its source can.
+function fromGenerator(generator) {
+  return new LazyIterator({[Symbol.iterator]: generator});
+}
+
+function fromAsyncGenerator(generator) {
+  return new AsyncLazyIterator({[Symbol.asyncIterator]: generator});
+}
+
+function checkSize(size, caller) {
+  if (!Number.isInteger(size) || size < 1) {
+    throw new Error(`${caller} - size must be a positive integer, but is ${size}!`);
+  }
+}
+
+/**
+ * Chainable, lazy operations on an iterable. Nothing is computed until the result is iterated,
+ * and only as many values are pulled from the source as the chain needs.
+ * Create it with lazy().
+ */
+export class LazyIterator {
+  constructor(iterable) {
+    this.iterable = iterable;
+  }
+
+  toString() {
+    return "LazyIterator";
+  }
+
+  [Symbol.iterator]() {
+    return this.iterable[Symbol.iterator]();
+  }
+
+  /**
+   * @param {Function} fn - Called with (value, index).
+   * @returns {LazyIterator}
+   */
+  map(fn) {
+    let source = this;
+    return fromGenerator(function* () {
+      let index = 0;
+      for (let value of source) yield fn(value, index++);
+    });
+  }
+
+  /**
+   * @param {Function} fn - Called with (value, index), keeps the values it returns something truthy for.
+   * @returns {LazyIterator}
+   */
+  filter(fn) {
+    let source = this;
+    return fromGenerator(function* () {
+      let index = 0;
+      for (let value of source) {
+        if (fn(value, index++)) yield value;
+      }
+    });
+  }
+
+  /**
+   * @param {Function} fn - Called with (value, index), returns an iterable whose values are yielded one by one.
+   * @returns {LazyIterator}
+   */
+  flatMap(fn) {
+    let source = this;
+    return fromGenerator(function* () {
+      let index = 0;
+      for (let value of source) yield* fn(value, index++);
+    });
+  }
+
+  /**
+   * @param {Number} count - Values to keep, the source is closed afterwards.
+   * @returns {LazyIterator}
+   */
+  take(count) {
+    let source = this;
+    return fromGenerator(function* () {
+      if (count <= 0) return;
+      let taken = 0;
+      for (let value of source) {
+        yield value;
+        if (++taken >= count) return;
+      }
+    });
+  }
+
+  /**
+   * @param {Number} count - Values to drop from the start.
+   * @returns {LazyIterator}
+   */
+  skip(count) {
+    let source = this;
+    return fromGenerator(function* () {
+      let skipped = 0;
+      for (let value of source) {
+        if (skipped++ >= count) yield value;
+      }
+    });
+  }
+
+  /**
+   * @param {Number} [start=0] - First index.
+   * @returns {LazyIterator} [index, value] pairs.
+   */
+  enumerate(start = 0) {
+    return this.map((value, index) => [start + index, value]);
+  }
+
+  /**
+   * Combines values at the same position, stopping with the shortest iterable.
+   * 
+   * @param {...Iterable} others
+   * @returns {LazyIterator} [value, ...values of others] arrays.
+   */
+  zip(...others) {
+    let source = this;
+    return fromGenerator(function* () {
+      let iterators = [source, ...others].map(iterable => iterable[Symbol.iterator]());
+      try {
+        while (true) {
+          let results = iterators.map(iterator => iterator.next());
+          if (results.some(result => result.done)) return;
+          yield results.map(result => result.value);
+        }
+      } finally {
+        for (let iterator of iterators) iterator.return?.();
+      }
+    });
+  }
+
+  /**
+   * @param {Number} size - Values per chunk.
+   * @returns {LazyIterator} Consecutive arrays of size values, the last one may be shorter.
+   */
+  chunk(size) {
+    checkSize(size, "LazyIterator::chunk");
+    let source = this;
+    return fromGenerator(function* () {
+      let chunk = [];
+      for (let value of source) {
+        chunk.push(value);
+        if (chunk.length === size) {
+          yield chunk;
+          chunk = [];
+        }
+      }
+      if (chunk.length > 0) yield chunk;
+    });
+  }
+
+  /**
+   * Sliding window over the values. Fewer values than size give no window at all.
+   * 
+   * @param {Number} size - Values per window.
+   * @param {Number} [step=1] - Values the window moves each time.
+   * @returns {LazyIterator} Arrays of size values.
+   * 
+   * @example
+   * // [[1, 2], [2, 3], [3, 4]]
+   * lazy([1, 2, 3, 4]).window(2).toArray();
+   */
+  window(size, step = 1) {
+    checkSize(size, "LazyIterator::window");
+    checkSize(step, "LazyIterator::window");
+    let source = this;
+    return fromGenerator(function* () {
+      let window = [];
+      // Values still to drop before the next window, when step exceeds size.
+      let skip = 0;
+      for (let value of source) {
+        if (skip > 0) {
+          skip--;
+          continue;
+        }
+        window.push(value);
+        if (window.length === size) {
+          yield [...window];
+          window.splice(0, step);
+          skip = Math.max(0, step - size);
+        }
+      }
+    });
+  }
+
+  /**
+   * @param {Function} fn - Called with (accumulator, value, index).
+   * @param {*} [initial] - Starting accumulator, the first value if omitted.
+   * @returns {*}
+   */
+  reduce(fn, ...initial) {
+    let iterator = this[Symbol.iterator]();
+    let accumulator, index = 0;
+    if (initial.length > 0) {
+      accumulator = initial[0];
+    } else {
+      let first = iterator.next();
+      if (first.done) throw new Error(`LazyIterator::reduce - Empty iterator without an initial value!`);
+      accumulator = first.value;
+      index = 1;
+    }
+
+    for (let result = iterator.next(); !result.done; result = iterator.next()) {
+      accumulator = fn(accumulator, result.value, index++);
+    }
+
+    return accumulator;
+  }
+
+  /**
+   * @returns {Array} All values, consuming the iterator.
+   */
+  toArray() {
+    return [...this];
+  }
+
+  /**
+   * @returns {AsyncLazyIterator} The same values as an async chain, for mixing in async steps.
+   */
+  async() {
+    let source = this;
+    return fromAsyncGenerator(async function* () {
+      yield* source;
+    });
+  }
+}
+
+/**
+ * LazyIterator for async iterables like streams or paginated requests. The callbacks may return promises,
+ * which are awaited one value at a time.
+ * 
+ * @example
+ * for await (let page of lazy(fetchPages()).map(page => page.json()).filter(page => page.items.length > 0)) {
+ *   render(page);
+ * }
+ */
+export class AsyncLazyIterator {
+  constructor(iterable) {
+    this.iterable = iterable;
+  }
+
+  toString() {
+    return "AsyncLazyIterator";
+  }
+
+  [Symbol.asyncIterator]() {
+    if (this.iterable[Symbol.asyncIterator] !== undefined) return this.iterable[Symbol.asyncIterator]();
+
+    // Sync iterables work as well.
+    let source = this.iterable;
+    return (async function* () {
+      yield* source;
+    })();
+  }
+
+  map(fn) {
+    let source = this;
+    return fromAsyncGenerator(async function* () {
+      let index = 0;
+      for await (let value of source) yield await fn(value, index++);
+    });
+  }
+
+  filter(fn) {
+    let source = this;
+    return fromAsyncGenerator(async function* () {
+      let index = 0;
+      for await (let value of source) {
+        if (await fn(value, index++)) yield value;
+      }
+    });
+  }
+
+  flatMap(fn) {
+    let source = this;
+    return fromAsyncGenerator(async function* () {
+      let index = 0;
+      for await (let value of source) {
+        for await (let inner of await fn(value, index++)) yield inner;
+      }
+    });
+  }
+
+  take(count) {
+    let source = this;
+    return fromAsyncGenerator(async function* () {
+      if (count <= 0) return;
+      let taken = 0;
+      for await (let value of source) {
+        yield value;
+        if (++taken >= count) return;
+      }
+    });
+  }
+
+  skip(count) {
+    let source = this;
+    return fromAsyncGenerator(async function* () {
+      let skipped = 0;
+      for await (let value of source) {
+        if (skipped++ >= count) yield value;
+      }
+    });
+  }
+
+  enumerate(start = 0) {
+    return this.map((value, index) => [start + index, value]);
+  }
+
+  /**
+   * @param {...(Iterable||AsyncIterable)} others
+   * @returns {AsyncLazyIterator}
+   */
+  zip(...others) {
+    let source = this;
+    return fromAsyncGenerator(async function* () {
+      let iterators = [source, ...others].map(iterable => {
+        return iterable[Symbol.asyncIterator] !== undefined ? iterable[Symbol.asyncIterator]() : iterable[Symbol.iterator]();
+      });
+      try {
+        while (true) {
+          let results = await Promise.all(iterators.map(iterator => iterator.next()));
+          if (results.some(result => result.done)) return;
+          yield results.map(result => result.value);
+        }
+      } finally {
+        await Promise.all(iterators.map(iterator => iterator.return?.()));
+      }
+    });
+  }
+
+  chunk(size) {
+    checkSize(size, "AsyncLazyIterator::chunk");
+    let source = this;
+    return fromAsyncGenerator(async function* () {
+      let chunk = [];
+      for await (let value of source) {
+        chunk.push(value);
+        if (chunk.length === size) {
+          yield chunk;
+          chunk = [];
+        }
+      }
+      if (chunk.length > 0) yield chunk;
+    });
+  }
+
+  window(size, step = 1) {
+    checkSize(size, "AsyncLazyIterator::window");
+    checkSize(step, "AsyncLazyIterator::window");
+    let source = this;
+    return fromAsyncGenerator(async function* () {
+      let window = [];
+      let skip = 0;
+      for await (let value of source) {
+        if (skip > 0) {
+          skip--;
+          continue;
+        }
+        window.push(value);
+        if (window.length === size) {
+          yield [...window];
+          window.splice(0, step);
+          skip = Math.max(0, step - size);
+        }
+      }
+    });
+  }
+
+  /**
+   * @param {Function} fn - Called with (accumulator, value, index), may return a promise.
+   * @param {*} [initial] - Starting accumulator, the first value if omitted.
+   * @returns {Promise}
+   */
+  async reduce(fn, ...initial) {
+    let iterator = this[Symbol.asyncIterator]();
+    let accumulator, index = 0;
+    if (initial.length > 0) {
+      accumulator = initial[0];
+    } else {
+      let first = await iterator.next();
+      if (first.done) throw new Error(`AsyncLazyIterator::reduce - Empty iterator without an initial value!`);
+      accumulator = first.value;
+      index = 1;
+    }
+
+    for (let result = await iterator.next(); !result.done; result = await iterator.next()) {
+      accumulator = await fn(accumulator, result.value, index++);
+    }
+
+    return accumulator;
+  }
+
+  /**
+   * @returns {Promise} Resolves to an array of all values.
+   */
+  async toArray() {
+    let out = [];
+    for await (let value of this) out.push(value);
+    return out;
+  }
+}
+
+/**
+ * @param {Number||BigInt} n - Non-negative integer, BigInt for exact results beyond 170!.
+ * @returns {Number||BigInt} n!, of the same type as n.
+ */
+export function factorial(n) {
+  checkCount(n, "factorial");
+  let one = typeof(n) === "bigint" ? 1n : 1;
+  let out = one;
+  for (let i = one + one; i <= n; i++) out *= i;
+
+  return out;
+}
+
+/**
+ * Number of ways to choose k of n items, the count of combinations(n items, k).
+ * 
+ * @param {Number||BigInt} n - Non-negative integer, BigInt for exact results beyond 2 ** 53.
+ * @param {Number||BigInt} k - Non-negative integer, 0 for k above n.
+ * @returns {Number||BigInt} Of the same type as n.
+ * 
+ * @example
+ * binomial(52, 5);  // 2598960 poker hands
+ */
+export function binomial(n, k) {
+  checkCount(n, "binomial");
+  checkCount(k, "binomial", "k");
+  let one = typeof(n) === "bigint" ? 1n : 1;
+  k = typeof(n) === "bigint" ? BigInt(k) : Number(k);
+  if (k > n) return one - one;
+
+  // Multiplying before dividing keeps every intermediate result an integer.
+  if (k > n - k) k = n - k;
+  let out = one;
+  for (let i = one; i <= k; i++) out = out * (n - k + i) / i;
+
+  return out;
+}
+
+function checkCount(n, caller, name = "n") {
+  if (typeof(n) === "bigint" ? n < 0n : !(Number.isInteger(n) && n >= 0)) {
+    throw new Error(`${caller} - ${name} must be a non-negative integer, but is ${n}!`);
+  }
+}
+
+/**
+ * Ordered arrangements of r items, like python's itertools.permutations.
+ * Items are distinguished by position, not value. There are factorial(n) / factorial(n - r) of them.
+ * 
+ * @param {Iterable} iterable - Finite items.
+ * @param {Number} [r] - Non-negative integer, items per permutation, all of them by default.
+ * 
+ * @example
+ * // logs: [1, 2], [1, 3], [2, 1], [2, 3], [3, 1], [3, 2]
+ * for (let p of permutations([1, 2, 3], 2)) console.log(p);
+ */
+export function* permutations(iterable, r) {
+  let pool = [...iterable];
+  let n = pool.length;
+  r = r ?? n;
+  checkCount(r, "permutations", "r");
+  if (r > n) return;
+
+  // Indices of the current permutation, and per position the countdown until its index rotates back.
+  let indices = [...range(n)];
+  let cycles = [...range(n, n - r, -1)];
+  yield indices.slice(0, r).map(i => pool[i]);
+
+  while (n > 0) {
+    let i = r - 1;
+    for (; i >= 0; i--) {
+      cycles[i]--;
+      if (cycles[i] === 0) {
+        indices.push(...indices.splice(i, 1));
+        cycles[i] = n - i;
+      } else {
+        let j = n - cycles[i];
+        [indices[i], indices[j]] = [indices[j], indices[i]];
+        yield indices.slice(0, r).map(i => pool[i]);
+        break;
+      }
+    }
+    if (i < 0) return;
+  }
+}
+
+/**
+ * Subsets of r items in the order of the iterable, like python's itertools.combinations.
+ * There are binomial(n, r) of them.
+ * 
+ * @param {Iterable} iterable - Finite items.
+ * @param {Number} r - Non-negative integer, items per combination.
+ * 
+ * @example
+ * // logs: "ab", "ac", "bc"
+ * for (let c of combinations("abc", 2)) console.log(c.join(""));
+ */
+export function* combinations(iterable, r) {
+  let pool = [...iterable];
+  let n = pool.length;
+  checkCount(r, "combinations", "r");
+  if (r > n) return;
+
+  let indices = [...range(r)];
+  yield indices.map(i => pool[i]);
+
+  while (true) {
+    // Rightmost index that can still move up.
+    let i = r - 1;
+    while (i >= 0 && indices[i] === i + n - r) i--;
+    if (i < 0) return;
+
+    indices[i]++;
+    for (let j = i + 1; j < r; j++) indices[j] = indices[j - 1] + 1;
+    yield indices.map(i => pool[i]);
+  }
+}
+
+/**
+ * Multisets of r items in the order of the iterable, each item usable repeatedly.
+ * There are binomial(n + r - 1, r) of them.
+ * 
+ * @param {Iterable} iterable - Finite items.
+ * @param {Number} r - Non-negative integer, items per combination.
+ * 
+ * @example
+ * // logs: "aa", "ab", "bb"
+ * for (let c of combinationsWithReplacement("ab", 2)) console.log(c.join(""));
+ */
+export function* combinationsWithReplacement(iterable, r) {
+  let pool = [...iterable];
+  let n = pool.length;
+  checkCount(r, "combinationsWithReplacement", "r");
+  if (n === 0 && r > 0) return;
+
+  let indices = new Array(r).fill(0);
+  yield indices.map(i => pool[i]);
+
+  while (true) {
+    let i = r - 1;
+    while (i >= 0 && indices[i] === n - 1) i--;
+    if (i < 0) return;
+
+    indices.fill(indices[i] + 1, i);
+    yield indices.map(i => pool[i]);
+  }
+}
+
+/**
+ * Cartesian product, the last iterable changing fastest like nested for loops.
+ * 
+ * @param {...Iterable} iterables - Finite items, each read once.
+ * 
+ * @example
+ * // logs: [0, "x"], [0, "y"], [1, "x"], [1, "y"]
+ * for (let p of product(range(2), "xy")) console.log(p);
+ */
+export function* product(...iterables) {
+  let pools = iterables.map(iterable => [...iterable]);
+  if (pools.some(pool => pool.length === 0)) return;
+
+  let indices = new Array(pools.length).fill(0);
+  while (true) {
+    yield indices.map((index, i) => pools[i][index]);
+
+    // Increment like an odometer.
+    let i = pools.length - 1;
+    while (i >= 0 && ++indices[i] === pools[i].length) {
+      indices[i] = 0;
+      i--;
+    }
+    if (i < 0) return;
+  }
+}
+
+/**
+ * All subsets from the empty one upwards by size, 2 ** n of them.
+ * 
+ * @param {Iterable} iterable - Finite items.
+ */
+export function* powerset(iterable) {
+  let pool = [...iterable];
+  for (let r = 0; r <= pool.length; r++) yield* combinations(pool, r);
+}
+
+/**
+ * Repeats the values of the iterable endlessly, saving them on the first pass.
+ * 
+ * @param {Iterable} iterable
+ * 
+ * @example
+ * // ["red", "green", "red", "green", "red"]
+ * lazy(cycle(["red", "green"])).take(5).toArray();
+ */
+export function* cycle(iterable) {
+  let saved = [];
+  for (let value of iterable) {
+    saved.push(value);
+    yield value;
+  }
+
+  while (saved.length > 0) yield* saved;
+}
+
+/**
+ * @param {*} value - Yielded as is, so objects are shared.
+ * @param {Number} [times=Infinity]
+ */
+export function* repeat(value, times = Infinity) {
+  for (let i = 0; i < times; i++) yield value;
+}
+
+/**
+ * @param {...Iterable} iterables - Iterated one after the other.
+ */
+export function* chain(...iterables) {
+  for (let iterable of iterables) yield* iterable;
+}
+
+/**
+ * Groups consecutive values with the same key, like python's itertools.groupby.
+ * Sort the values by key first to get one group per key.
+ * 
+ * @param {Iterable} iterable
+ * @param {Function} [key] - Called with each value, the value itself by default. Keys are compared with Object.is.
+ * 
+ * @example
+ * // logs: "a" ["apple", "avocado"], "b" ["banana"], "a" ["apricot"]
+ * for (let [letter, words] of groupby(["apple", "avocado", "banana", "apricot"], w => w[0])) console.log(letter, words);
+ */
+export function* groupby(iterable, key = value => value) {
+  let group = [], groupKey;
+  for (let value of iterable) {
+    let k = key(value);
+    if (group.length > 0 && !Object.is(k, groupKey)) {
+      yield [groupKey, group];
+      group = [];
+    }
+    groupKey = k;
+    group.push(value);
+  }
+
+  if (group.length > 0) yield [groupKey, group];
+}
+
+/**
+ * Running results of fn, like python's itertools.accumulate.
+ * 
+ * @param {Iterable} iterable
+ * @param {Function} [fn] - Called with (accumulator, value), a sum by default.
+ * @param {*} [initial] - Yielded first and used as the starting accumulator if given.
+ * 
+ * @example
+ * // [1, 3, 6, 10]
+ * [...accumulate([1, 2, 3, 4])];
+ * // [1, 1, 2, 6, 24]
+ * [...accumulate(range(1, 5), (a, b) => a * b, 1)];
+ */
+export function* accumulate(iterable, fn = (a, b) => a + b, ...initial) {
+  let started = initial.length > 0;
+  let accumulator = initial[0];
+  if (started) yield accumulator;
 
-  while(i < e) {
-    yield i;
-    i += step;
+  for (let value of iterable) {
+    accumulator = started ? fn(accumulator, value) : value;
+    started = true;
+    yield accumulator;
   }
 }
 
@@ -38,6 +752,7 @@ export function* range(start, end, step) {
  * Sleeps an async function in an non-blocking manner.
  * 
  * @param {Number} ms - Time to sleep in milliseconds.
+ * @param {AbortSignal} [signal] - Aborting rejects with signal.reason and clears the timer.
  * @returns {Promise}
  * 
  * @example
@@ -46,7 +761,772 @@ export function* range(start, end, step) {
  *   await sleep(5000);
  *   console.log("hello");
  * }
+ * @example
+ * // Stops waiting as soon as the user leaves.
+ * let controller = new AbortController();
+ * leaveButton.onclick = () => controller.abort();
+ * await sleep(5000, controller.signal);
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    let onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    let timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, {once: true});
+  });
+}
+
+function timeoutError(caller, ms) {
+  return new DOMException(`${caller} - Timed out after ${ms}ms!`, "TimeoutError");
+}
+
+/**
+ * Rejects with a "TimeoutError" DOMException if the promise does not settle in time.
+ * 
+ * @param {Promise||Function} promise - Or a function called with an AbortSignal that is aborted on timeout,
+ * so the work itself can stop as well.
+ * @param {Number} ms - Time limit in milliseconds.
+ * @returns {Promise} Settles like the promise.
+ * 
+ * @example
+ * let response = await withTimeout(signal => fetch(url, {signal}), 5000);
+ */
+export function withTimeout(promise, ms) {
+  let controller = new AbortController();
+  if (typeof(promise) === "function") promise = promise(controller.signal);
+
+  let timer;
+  let timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      let error = timeoutError("withTimeout", ms);
+      controller.abort(error);
+      reject(error);
+    }, ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Calls fn until it succeeds, waiting longer after every failure.
+ * 
+ * @param {Function} fn - Called with (attempt, signal) starting at attempt 1, may return a promise.
+ * @param {Object} [options]
+ * @param {Number} [options.attempts=3] - Calls in total, the last error is thrown after them.
+ * @param {String||Function} [options.backoff="exponential"] - "exponential", "linear", "constant" or a function of the attempt returning ms.
+ * @param {Number} [options.delay=100] - Wait after the first failure in milliseconds.
+ * @param {Number} [options.factor=2] - Growth per attempt for exponential backoff.
+ * @param {Number} [options.maxDelay=30000] - Upper limit of a single wait.
+ * @param {Boolean||String} [options.jitter=false] - "full" (or true) waits random in [0, delay], "equal" in [delay / 2, delay].
+ * Spreads out clients that failed at the same time.
+ * @param {Function} [options.retryIf] - Called with (error, attempt), return false to give up early.
+ * @param {Function} [options.onRetry] - Called with (error, attempt, delay) before waiting.
+ * @param {AbortSignal} [options.signal] - Stops retrying, rejecting with signal.reason.
+ * @param {Function} [options.random=Math.random] - Source of the jitter.
+ * @returns {Promise} Resolves to the result of fn.
+ * 
+ * @example
+ * let data = await retry(() => fetch(url).then(r => r.json()), {attempts: 5, jitter: "full"});
+ */
+export async function retry(fn, options = {}) {
+  const attempts = options.attempts ?? 3;
+  const backoff = options.backoff ?? "exponential";
+  const delay = options.delay ?? 100;
+  const factor = options.factor ?? 2;
+  const maxDelay = options.maxDelay ?? 30000;
+  const jitter = options.jitter === true ? "full" : options.jitter ?? false;
+  const random = options.random ?? Math.random;
+  const signal = options.signal;
+
+  let wait;
+  switch (backoff) {
+    case "exponential": wait = attempt => delay * factor ** (attempt - 1); break;
+    case "linear": wait = attempt => delay * attempt; break;
+    case "constant": wait = () => delay; break;
+    default:
+      if (typeof(backoff) !== "function") {
+        throw new Error(`retry - Unknown backoff "${backoff}", use "exponential", "linear", "constant" or a function!`);
+      }
+      wait = backoff;
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    signal?.throwIfAborted();
+    try {
+      return await fn(attempt, signal);
+    } catch (error) {
+      if (attempt >= attempts || signal?.aborted || options.retryIf?.(error, attempt) === false) throw error;
+
+      let ms = Math.min(wait(attempt), maxDelay);
+      if (jitter === "full") ms = random() * ms;
+      else if (jitter === "equal") ms = ms / 2 + random() * ms / 2;
+
+      options.onRetry?.(error, attempt, ms);
+      await sleep(ms, signal);
+    }
+  }
+}
+
+/**
+ * Delays calls of fn until they stopped for ms, for search fields or resize handlers.
+ * 
+ * @param {Function} fn
+ * @param {Number} ms - Quiet time in milliseconds.
+ * @param {Object} [options]
+ * @param {Boolean} [options.leading=false] - Also call at the start of a burst.
+ * @param {Boolean} [options.trailing=true] - Call with the latest arguments once the burst ended.
+ * @returns {Function} Debounced fn, with cancel() dropping and flush() immediately making a pending call.
+ * 
+ * @example
+ * input.addEventListener("input", debounce(event => search(event.target.value), 300));
+ */
+export function debounce(fn, ms, options = {}) {
+  const leading = options.leading ?? false;
+  const trailing = options.trailing ?? true;
+  let timer, pendingArgs, pendingThis;
+
+  let invoke = () => {
+    let args = pendingArgs, context = pendingThis;
+    pendingArgs = pendingThis = undefined;
+    fn.apply(context, args);
+  };
+
+  function debounced(...args) {
+    let burstStart = timer === undefined;
+    clearTimeout(timer);
+
+    if (burstStart && leading) {
+      fn.apply(this, args);
+    } else if (trailing) {
+      pendingArgs = args;
+      pendingThis = this;
+    }
+
+    timer = setTimeout(() => {
+      timer = undefined;
+      if (pendingArgs !== undefined) invoke();
+    }, ms);
+  }
+
+  debounced.cancel = () => {
+    clearTimeout(timer);
+    timer = pendingArgs = pendingThis = undefined;
+  };
+  debounced.flush = () => {
+    clearTimeout(timer);
+    timer = undefined;
+    if (pendingArgs !== undefined) invoke();
+  };
+
+  return debounced;
+}
+
+/**
+ * Calls fn at most once every ms, for scroll or pointer handlers.
+ * 
+ * @param {Function} fn
+ * @param {Number} ms - Minimum time between calls in milliseconds.
+ * @param {Object} [options]
+ * @param {Boolean} [options.leading=true] - Call immediately on the first call.
+ * @param {Boolean} [options.trailing=true] - Call with the latest arguments at the end of the interval if calls were dropped.
+ * @returns {Function} Throttled fn, with cancel() dropping a pending call.
+ */
+export function throttle(fn, ms, options = {}) {
+  const leading = options.leading ?? true;
+  const trailing = options.trailing ?? true;
+  let timer, pendingArgs, pendingThis;
+
+  // Runs at the end of every interval, a pending call starts the next one.
+  let endInterval = () => {
+    timer = undefined;
+    if (trailing && pendingArgs !== undefined) {
+      let args = pendingArgs, context = pendingThis;
+      pendingArgs = pendingThis = undefined;
+      fn.apply(context, args);
+      timer = setTimeout(endInterval, ms);
+    }
+  };
+
+  function throttled(...args) {
+    if (timer === undefined) {
+      timer = setTimeout(endInterval, ms);
+      if (leading) {
+        fn.apply(this, args);
+        return;
+      }
+    }
+
+    pendingArgs = args;
+    pendingThis = this;
+  }
+
+  throttled.cancel = () => {
+    clearTimeout(timer);
+    timer = pendingArgs = pendingThis = undefined;
+  };
+
+  return throttled;
+}
+
+/**
+ * Checks until a condition holds, waiting in between with sleep.
+ * 
+ * @param {Function} until - Called with (attempt, signal) starting at attempt 1, may return a promise. Polling ends on a truthy result.
+ * The signal aborts on timeout or when options.signal aborts, and poll rejects then even if until never settles.
+ * @param {Object} [options]
+ * @param {Number} [options.interval=100] - Wait between checks in milliseconds.
+ * @param {Number} [options.timeout=Infinity] - Rejects with a "TimeoutError" DOMException when exceeded.
+ * @param {AbortSignal} [options.signal] - Stops polling, rejecting with signal.reason.
+ * @returns {Promise} Resolves to the truthy result of until.
+ * 
+ * @example
+ * let job = await poll(async (attempt, signal) => {
+ *   let job = await fetch(`/jobs/${id}`, {signal}).then(r => r.json());
+ *   return job.done && job;
+ * }, {interval: 1000, timeout: 60000});
  */
-export function sleep(ms) {
-  return new Promise(resolve => {setTimeout(resolve, ms)});
+export async function poll(until, options = {}) {
+  const interval = options.interval ?? 100;
+  const timeout = options.timeout ?? Infinity;
+  const signal = options.signal;
+
+  // One signal for both, so a timeout also cancels the current sleep.
+  let controller = new AbortController();
+  let abort = () => controller.abort(signal.reason);
+  signal?.addEventListener("abort", abort, {once: true});
+  if (signal?.aborted) abort();
+
+  let timer;
+  if (timeout !== Infinity) {
+    timer = setTimeout(() => controller.abort(timeoutError("poll", timeout)), timeout);
+  }
+
+  // Raced against every check, so one that hangs cannot outlast the timeout.
+  let aborted = new Promise((_, reject) => {
+    controller.signal.addEventListener("abort", () => reject(controller.signal.reason), {once: true});
+  });
+  aborted.catch(() => {});
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      controller.signal.throwIfAborted();
+      let result = await Promise.race([until(attempt, controller.signal), aborted]);
+      if (result) return result;
+
+      await sleep(interval, controller.signal);
+    }
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", abort);
+  }
+}
+
+/**
+ * Runs async functions with at most concurrency of them at once, higher priorities first and in order of adding otherwise.
+ * Dispatches a "progress" event whenever a task finished or got cancelled, and "idle" once nothing is queued or running.
+ * Both carry {completed, failed, cancelled, queued, running} as the event's detail.
+ * 
+ * @example
+ * let pool = new TaskPool({concurrency: 8});
+ * pool.addEventListener("progress", event => bar.value = event.detail.completed / urls.length);
+ * let pages = await Promise.all(urls.map(url => pool.add(signal => fetch(url, {signal}))));
+ */
+export class TaskPool extends EventTarget {
+  /**
+   * @param {Object} [options]
+   * @param {Number} [options.concurrency=4] - Tasks running at once.
+   * @param {Boolean} [options.paused=false] - Start paused, tasks only queue up until resume().
+   */
+  constructor(options = {}) {
+    super();
+    this.concurrency = options.concurrency ?? 4;
+    this.paused = options.paused ?? false;
+    this.queue = [];
+    this.running = 0;
+    this.completed = 0;
+    this.failed = 0;
+    this.cancelled = 0;
+
+    if (!(this.concurrency >= 1)) {
+      throw new Error(`TaskPool::constructor - concurrency must be at least 1, but is ${this.concurrency}!`);
+    }
+  }
+
+  toString() {
+    return "TaskPool";
+  }
+
+  // Tasks waiting to start.
+  get size() {
+    return this.queue.length;
+  }
+
+  /**
+   * @param {Function} fn - Called with an AbortSignal once a slot is free, may return a promise.
+   * @param {Object} [options]
+   * @param {Number} [options.priority=0] - Higher runs earlier.
+   * @param {AbortSignal} [options.signal] - Removes a queued task, or aborts the signal fn got for a running one.
+   * Either way the returned promise rejects with signal.reason right away, but a running task keeps its slot until fn settles.
+   * @returns {Promise} Settles like fn.
+   */
+  add(fn, options = {}) {
+    const priority = options.priority ?? 0;
+    const signal = options.signal;
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      let task = {fn, priority, resolve, reject, signal, controller: new AbortController()};
+      task.onAbort = () => {
+        let index = this.queue.indexOf(task);
+        if (index !== -1) this.queue.splice(index, 1);
+        task.controller.abort(signal.reason);
+        this.cancelled++;
+        reject(signal.reason);
+        reportProgress(this);
+      };
+      signal?.addEventListener("abort", task.onAbort, {once: true});
+
+      // Behind every task of the same or a higher priority.
+      let index = this.queue.findIndex(queued => queued.priority < priority);
+      this.queue.splice(index === -1 ? this.queue.length : index, 0, task);
+      startTasks(this);
+    });
+  }
+
+  /**
+   * Stops starting tasks, running ones finish.
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+    startTasks(this);
+  }
+
+  /**
+   * Rejects all queued tasks with an "AbortError" DOMException, running ones finish.
+   */
+  clear() {
+    let queue = this.queue;
+    this.queue = [];
+    for (let task of queue) {
+      task.signal?.removeEventListener("abort", task.onAbort);
+      this.cancelled++;
+      task.reject(new DOMException("TaskPool::clear - Task was removed from the queue!", "AbortError"));
+    }
+
+    if (queue.length > 0) reportProgress(this);
+  }
+
+  /**
+   * @returns {Promise} Resolves once nothing is queued or running, immediately if that is already the case.
+   * A paused pool with queued tasks is not idle.
+   */
+  onIdle() {
+    if (this.queue.length === 0 && this.running === 0) return Promise.resolve();
+    return new Promise(resolve => this.addEventListener("idle", () => resolve(), {once: true}));
+  }
+}
+
+function startTasks(pool) {
+  while (!pool.paused && pool.running < pool.concurrency && pool.queue.length > 0) {
+    runTask(pool, pool.queue.shift());
+  }
+}
+
+async function runTask(pool, task) {
+  pool.running++;
+  let signal = task.controller.signal;
+
+  try {
+    let result = await task.fn(signal);
+    // A cancelled task was already rejected and counted.
+    if (!signal.aborted) {
+      pool.completed++;
+      task.resolve(result);
+    }
+  } catch (error) {
+    if (!signal.aborted) {
+      pool.failed++;
+      task.reject(error);
+    }
+  } finally {
+    task.signal?.removeEventListener("abort", task.onAbort);
+    pool.running--;
+    startTasks(pool);
+    reportProgress(pool);
+  }
+}
+
+function reportProgress(pool) {
+  let detail = () => ({
+    completed: pool.completed,
+    failed: pool.failed,
+    cancelled: pool.cancelled,
+    queued: pool.queue.length,
+    running: pool.running
+  });
+
+  pool.dispatchEvent(new CustomEvent("progress", {detail: detail()}));
+  if (pool.queue.length === 0 && pool.running === 0) {
+    pool.dispatchEvent(new CustomEvent("idle", {detail: detail()}));
+  }
+}
+
+/**
+ * Token bucket: allows bursts of up to capacity calls, refilling at rate tokens per interval.
+ * Waiting callers are served in order.
+ * 
+ * @example
+ * // At most 10 requests per second, on average.
+ * let limiter = new RateLimiter({rate: 10});
+ * for (let url of urls) pool.add(async () => {
+ *   await limiter.acquire();
+ *   return fetch(url);
+ * });
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {Number} options.rate - Tokens added per interval.
+   * @param {Number} [options.interval=1000] - In milliseconds.
+   * @param {Number} [options.capacity=rate] - Maximum tokens, the largest burst. The bucket starts full.
+   */
+  constructor(options = {}) {
+    this.rate = options.rate;
+    this.interval = options.interval ?? 1000;
+    this.capacity = options.capacity ?? this.rate;
+    if (!(this.rate > 0 && this.interval > 0 && this.capacity > 0)) {
+      throw new Error(`RateLimiter::constructor - rate, interval and capacity must be positive numbers!`);
+    }
+
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.waiting = [];
+    // Whether serveWaiting runs, and the controller to cut its sleep short.
+    this.serving = false;
+    this.wakeUp = undefined;
+  }
+
+  toString() {
+    return "RateLimiter";
+  }
+
+  /**
+   * Takes tokens only if they are available right now, and nobody is waiting for them.
+   * 
+   * @param {Number} [tokens=1]
+   * @returns {Boolean} Whether the tokens were taken.
+   */
+  tryAcquire(tokens = 1) {
+    refill(this);
+    if (this.waiting.length > 0 || this.tokens < tokens) return false;
+
+    this.tokens -= tokens;
+    return true;
+  }
+
+  /**
+   * Waits until the tokens are available and takes them.
+   * 
+   * @param {Number} [tokens=1] - At most capacity.
+   * @param {AbortSignal} [signal] - Gives up waiting, rejecting with signal.reason.
+   * @returns {Promise}
+   */
+  acquire(tokens = 1, signal) {
+    if (tokens > this.capacity) {
+      return Promise.reject(new Error(`RateLimiter::acquire - Cannot take ${tokens} tokens from a bucket of ${this.capacity}!`));
+    }
+    if (signal?.aborted) return Promise.reject(signal.reason);
+    if (this.tryAcquire(tokens)) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      let waiter = {tokens, resolve, signal};
+      waiter.onAbort = () => {
+        this.waiting.splice(this.waiting.indexOf(waiter), 1);
+        reject(signal.reason);
+        // The next waiter may need fewer tokens.
+        this.wakeUp?.abort();
+      };
+      signal?.addEventListener("abort", waiter.onAbort, {once: true});
+
+      this.waiting.push(waiter);
+      if (!this.serving) serveWaiting(this);
+    });
+  }
+
+  /**
+   * @param {Function} fn
+   * @param {Number} [tokens=1] - Cost of each call.
+   * @returns {Function} Async version of fn, waiting for tokens before each call.
+   */
+  wrap(fn, tokens = 1) {
+    let limiter = this;
+    return async function(...args) {
+      await limiter.acquire(tokens);
+      return fn.apply(this, args);
+    };
+  }
+}
+
+function refill(limiter) {
+  let now = Date.now();
+  limiter.tokens = Math.min(limiter.capacity, limiter.tokens + (now - limiter.lastRefill) * limiter.rate / limiter.interval);
+  limiter.lastRefill = now;
+}
+
+// Hands out tokens in order, sleeping until enough have been added for the first waiter.
+async function serveWaiting(limiter) {
+  limiter.serving = true;
+
+  while (limiter.waiting.length > 0) {
+    refill(limiter);
+    let waiter = limiter.waiting[0];
+    if (limiter.tokens >= waiter.tokens) {
+      limiter.waiting.shift();
+      limiter.tokens -= waiter.tokens;
+      waiter.signal?.removeEventListener("abort", waiter.onAbort);
+      waiter.resolve();
+      continue;
+    }
+
+    limiter.wakeUp = new AbortController();
+    let missing = waiter.tokens - limiter.tokens;
+    await sleep(Math.ceil(missing * limiter.interval / limiter.rate), limiter.wakeUp.signal).catch(() => {});
+  }
+
+  limiter.wakeUp = undefined;
+  limiter.serving = false;
+}
+
+/**
+ * Clock of a GameLoop driven by requestAnimationFrame, for browsers.
+ * A clock has now() in milliseconds, request(callback) scheduling the next frame and returning a handle, and cancel(handle).
+ * 
+ * @returns {Object} Clock
+ */
+export function animationFrameClock() {
+  return {
+    now: () => performance.now(),
+    request: callback => requestAnimationFrame(callback),
+    cancel: handle => cancelAnimationFrame(handle)
+  };
+}
+
+/**
+ * Clock of a GameLoop driven by setTimeout, for Node or background work.
+ * 
+ * @param {Number} [interval=1000/60] - Time between frames in milliseconds.
+ * @returns {Object} Clock
+ */
+export function timerClock(interval = 1000 / 60) {
+  return {
+    now: () => performance.now(),
+    request: callback => setTimeout(callback, interval),
+    cancel: handle => clearTimeout(handle)
+  };
+}
+
+/**
+ * Clock of a GameLoop that only moves when told to, for deterministic tests and headless simulations.
+ * Frames happen at exact multiples of frame, independent of the machine's speed.
+ * 
+ * @param {Number} [frame=1000/60] - Time between frames in milliseconds.
+ * @returns {Object} Clock with advance(ms), running every frame within the next ms.
+ * 
+ * @example
+ * let clock = manualClock();
+ * let loop = new GameLoop({update: world.update, clock}).start();
+ * clock.advance(1000);  // One simulated second, exactly 60 updates.
+ */
+export function manualClock(frame = 1000 / 60) {
+  let time = 0;
+  let callbacks = new Map();
+  let nextHandle = 1;
+
+  return {
+    now: () => time,
+    request: callback => {
+      callbacks.set(nextHandle, callback);
+      return nextHandle++;
+    },
+    cancel: handle => callbacks.delete(handle),
+    advance(ms) {
+      // Frame times from their count rather than summed up, the last one landing exactly on the end.
+      let start = time;
+      let count = Math.ceil(ms / frame - 1e-9);
+      for (let i = 1; i <= count; i++) {
+        time = i === count ? start + ms : start + i * frame;
+        let pending = [...callbacks.values()];
+        callbacks.clear();
+        for (let callback of pending) callback();
+      }
+    }
+  };
+}
+
+/**
+ * Game loop with a fixed update step and a render per frame (after Glenn Fiedler's "Fix Your Timestep!").
+ * Updates always advance the simulation by step, so it behaves the same at any frame rate.
+ * Render gets alpha in [0, 1), how far the real time is between the last and the next update,
+ * to interpolate positions without stutter.
+ * 
+ * @example
+ * // Draws between the last two simulated positions, lerp from MyMath.js.
+ * let previous = ball.position, current = ball.position;
+ * let loop = new GameLoop({
+ *   update: dt => [previous, current] = [current, ball.move(dt)],
+ *   render: alpha => draw(lerp(previous, current, alpha))
+ * }).start();
+ */
+export class GameLoop {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.update] - Called with (step, time) per update, time being the simulated milliseconds before it.
+   * @param {Function} [options.render] - Called with (alpha, frameTime) once per frame.
+   * @param {Number} [options.step=1000/60] - Simulated milliseconds per update.
+   * @param {Number} [options.maxFrameTime=250] - Longer frames, like after a background tab, count as this long.
+   * @param {Number} [options.maxUpdates=10] - Updates per frame at most. If update is too slow to keep up,
+   * the remaining time is dropped instead of piling up further (the spiral of death).
+   * @param {Function} [options.onPanic] - Called with the dropped milliseconds when that happens.
+   * @param {Object} [options.clock] - animationFrameClock() if available, timerClock() otherwise.
+   */
+  constructor(options = {}) {
+    this.update = options.update ?? (() => {});
+    this.render = options.render ?? (() => {});
+    this.onPanic = options.onPanic;
+    this.step = options.step ?? 1000 / 60;
+    this.maxFrameTime = options.maxFrameTime ?? 250;
+    this.maxUpdates = options.maxUpdates ?? 10;
+    this.clock = options.clock ?? (typeof(requestAnimationFrame) === "function" ? animationFrameClock() : timerClock());
+
+    if (!(this.step > 0)) {
+      throw new Error(`GameLoop::constructor - step must be a positive number of milliseconds, but is ${this.step}!`);
+    }
+
+    this.running = false;
+    this.paused = false;
+    // Simulated time, and real time not yet simulated.
+    this.time = 0;
+    this.accumulator = 0;
+    this.frames = 0;
+    this.updates = 0;
+
+    this.lastTime = undefined;
+    this.handle = undefined;
+    this.onFrame = () => runFrame(this);
+  }
+
+  toString() {
+    return "GameLoop";
+  }
+
+  get alpha() {
+    return this.accumulator / this.step;
+  }
+
+  /**
+   * @returns {GameLoop} this
+   */
+  start() {
+    if (this.running) return this;
+
+    this.running = true;
+    this.lastTime = this.clock.now();
+    this.handle = this.clock.request(this.onFrame);
+    return this;
+  }
+
+  /**
+   * @returns {GameLoop} this
+   */
+  stop() {
+    this.running = false;
+    this.clock.cancel(this.handle);
+    this.handle = undefined;
+    return this;
+  }
+
+  /**
+   * Stops updating but keeps rendering. Time passing while paused is not caught up on afterwards.
+   * 
+   * @returns {GameLoop} this
+   */
+  pause() {
+    this.paused = true;
+    return this;
+  }
+
+  /**
+   * @returns {GameLoop} this
+   */
+  resume() {
+    this.paused = false;
+    return this;
+  }
+
+  /**
+   * Pauses and runs exactly one update and render, for stepping through a simulation while debugging.
+   * Works on a stopped loop as well.
+   * 
+   * @returns {GameLoop} this
+   */
+  stepOnce() {
+    this.pause();
+    runUpdate(this);
+    this.render(this.alpha, 0);
+    return this;
+  }
+}
+
+function runUpdate(loop) {
+  loop.update(loop.step, loop.time);
+  loop.time += loop.step;
+  loop.updates++;
+}
+
+function runFrame(loop) {
+  if (!loop.running) return;
+
+  let now = loop.clock.now();
+  let frameTime = Math.min(now - loop.lastTime, loop.maxFrameTime);
+  loop.lastTime = now;
+  loop.frames++;
+
+  if (!loop.paused) {
+    loop.accumulator += frameTime;
+
+    // The tolerance keeps frames as long as step from sometimes updating 0 and sometimes 2 times through rounding.
+    let threshold = loop.step * (1 - 1e-9);
+    for (let count = 0; loop.running && !loop.paused && loop.accumulator >= threshold; count++) {
+      if (count === loop.maxUpdates) {
+        let dropped = loop.accumulator;
+        loop.accumulator = 0;
+        loop.onPanic?.(dropped);
+        break;
+      }
+
+      runUpdate(loop);
+      loop.accumulator = Math.max(0, loop.accumulator - loop.step);
+    }
+  }
+
+  loop.render(loop.alpha, frameTime);
+  if (loop.running) loop.handle = loop.clock.request(loop.onFrame);
 }
\ No newline at end of file
@@ -0,0 +1,330 @@
+/**
+ * Regression cases for Utility.js.
+ * Run with "node Utility.tests.js", or only some cases with "node Utility.tests.js sleep-abort".
+ * The exit code is 1 if anything fails.
+ * Every case runs on fake timers, so nothing waits in real time and the results do not depend on the machine's speed.
+ */
+const {sleep, withTimeout, poll, TaskPool, RateLimiter} = await import("./Utility.js");
+
+/**********************************************
+ * Fake timers
+ **********************************************/
+/**
+ * Replaces setTimeout, clearTimeout and Date.now by a clock that only moves on advance.
+ *
+ * @returns {Object} Clock with advance(ms), restore() and the count of pending timers.
+ */
+function installFakeTimers() {
+  let real = {setTimeout: globalThis.setTimeout, clearTimeout: globalThis.clearTimeout, now: Date.now};
+  let now = 0;
+  let nextId = 1;
+  let timers = new Map();
+
+  // Promise callbacks all run before the next real macrotask.
+  let flush = () => new Promise(resolve => real.setTimeout(resolve, 0));
+
+  globalThis.setTimeout = (fn, ms = 0, ...args) => {
+    timers.set(nextId, {at: now + Math.max(0, ms), fn: () => fn(...args)});
+    return nextId++;
+  };
+  globalThis.clearTimeout = id => {
+    timers.delete(id);
+  };
+  Date.now = () => now;
+
+  return {
+    get now() {
+      return now;
+    },
+
+    get pending() {
+      return timers.size;
+    },
+
+    /**
+     * Moves the clock forward, firing due timers in order and settling the promises they resolve on the way.
+     *
+     * @param {Number} ms
+     * @returns {Promise}
+     */
+    async advance(ms) {
+      let end = now + ms;
+      await flush();
+
+      while (true) {
+        let due = [...timers].filter(([, timer]) => timer.at <= end);
+        if (due.length === 0) break;
+
+        let [id, timer] = due.reduce((first, entry) => entry[1].at < first[1].at ? entry : first);
+        timers.delete(id);
+        now = timer.at;
+        timer.fn();
+        await flush();
+      }
+
+      now = end;
+      await flush();
+    },
+
+    restore() {
+      globalThis.setTimeout = real.setTimeout;
+      globalThis.clearTimeout = real.clearTimeout;
+      Date.now = real.now;
+    }
+  };
+}
+
+/**********************************************
+ * Assertions
+ **********************************************/
+/**
+ * Follows a promise, so a case can check whether it settled yet without awaiting it.
+ *
+ * @param {Promise} promise
+ * @returns {Object} {status, value, reason}, status "pending", "fulfilled" or "rejected".
+ */
+function track(promise) {
+  let state = {status: "pending"};
+  promise.then(
+    value => Object.assign(state, {status: "fulfilled", value}),
+    reason => Object.assign(state, {status: "rejected", reason})
+  );
+
+  return state;
+}
+
+/**
+ * Throws unless the tracked promise is in the status, for "rejected" with an error named name.
+ *
+ * @param {Object} state - As returned by track.
+ * @param {String} status
+ * @param {String} [name] - Expected error name.
+ */
+function assertStatus(state, status, name) {
+  if (state.status !== status) {
+    throw new Error(`expected the promise to be ${status}, but it is ${state.status}`);
+  }
+  if (name !== undefined && state.reason?.name !== name) {
+    throw new Error(`expected a ${name}, but got ${state.reason}`);
+  }
+}
+
+/**
+ * Throws unless both are equal, element-wise for arrays.
+ *
+ * @param {*} actual
+ * @param {*} expected
+ */
+function assertEqual(actual, expected) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}`);
+  }
+}
+
+/**********************************************
+ * Cases
+ **********************************************/
+const cases = {
+  "sleep-abort": async clock => {
+    let slept = track(sleep(100));
+    await clock.advance(99);
+    assertStatus(slept, "pending");
+    await clock.advance(1);
+    assertStatus(slept, "fulfilled");
+
+    let controller = new AbortController();
+    let aborted = track(sleep(100, controller.signal));
+    await clock.advance(50);
+    controller.abort();
+    await clock.advance(0);
+    assertStatus(aborted, "rejected", "AbortError");
+    // The timer is cleared rather than left to fire.
+    assertEqual(clock.pending, 0);
+
+    // An already aborted signal rejects without starting a timer.
+    let early = track(sleep(100, controller.signal));
+    await clock.advance(0);
+    assertStatus(early, "rejected", "AbortError");
+    assertEqual(clock.pending, 0);
+  },
+
+  "with-timeout": async clock => {
+    let workSignal;
+    let timedOut = track(withTimeout(signal => {
+      workSignal = signal;
+      return new Promise(() => {});
+    }, 100));
+
+    await clock.advance(99);
+    assertStatus(timedOut, "pending");
+    await clock.advance(1);
+    assertStatus(timedOut, "rejected", "TimeoutError");
+    // The work is told to stop as well.
+    assertEqual(workSignal.aborted, true);
+
+    let settled = track(withTimeout(sleep(50).then(() => "done"), 100));
+    await clock.advance(50);
+    assertStatus(settled, "fulfilled");
+    assertEqual(settled.value, "done");
+    assertEqual(clock.pending, 0);
+  },
+
+  "poll-hanging-check": async clock => {
+    let signals = [];
+    let polled = track(poll((attempt, signal) => {
+      signals.push(signal);
+      // The second check never settles.
+      return attempt === 1 ? false : new Promise(() => {});
+    }, {interval: 50, timeout: 200}));
+
+    await clock.advance(199);
+    assertStatus(polled, "pending");
+    assertEqual(signals.length, 2);
+    await clock.advance(1);
+    assertStatus(polled, "rejected", "TimeoutError");
+    assertEqual(signals[1].aborted, true);
+    assertEqual(clock.pending, 0);
+
+    // Checks that do settle keep polling every interval.
+    let start = clock.now, times = [];
+    let found = track(poll(attempt => {
+      times.push(clock.now - start);
+      return attempt === 3 && "found";
+    }, {interval: 50, timeout: 200}));
+    await clock.advance(200);
+    assertStatus(found, "fulfilled");
+    assertEqual([found.value, times], ["found", [0, 50, 100]]);
+  },
+
+  "rate-limiter-abort": async clock => {
+    // One token per 100ms, the bucket starts empty.
+    let limiter = new RateLimiter({rate: 1, interval: 100, capacity: 2});
+    limiter.tryAcquire(2);
+
+    let served = [];
+    let acquire = (name, tokens, signal) => track(limiter.acquire(tokens, signal).then(() => served.push([name, clock.now])));
+    let first = new AbortController(), second = new AbortController();
+    let removed = 0;
+    let removeEventListener = first.signal.removeEventListener.bind(first.signal);
+    first.signal.removeEventListener = (...args) => {
+      removed++;
+      removeEventListener(...args);
+    };
+
+    let a = acquire("a", 1, first.signal);
+    let b = acquire("b", 2, second.signal);
+    let c = acquire("c", 1);
+
+    await clock.advance(100);
+    assertStatus(a, "fulfilled");
+    // Served waiters let go of their signal, aborting it later leaves the queue alone.
+    assertEqual(removed, 1);
+    first.abort();
+
+    // c waits behind b, until b gives up and c only needs the token refilled meanwhile.
+    await clock.advance(50);
+    second.abort();
+    await clock.advance(0);
+    assertStatus(b, "rejected", "AbortError");
+    await clock.advance(50);
+    assertStatus(c, "fulfilled");
+    assertEqual(served, [["a", 100], ["c", 200]]);
+    assertEqual([limiter.waiting.length, limiter.serving, clock.pending], [0, false, 0]);
+  },
+
+  "task-pool-order": async clock => {
+    let pool = new TaskPool({concurrency: 1, paused: true});
+    let started = [];
+    let progress = [];
+    pool.addEventListener("progress", event => progress.push(event.detail));
+    let add = (name, priority, signal, fail = false) => track(pool.add(async () => {
+      started.push([name, clock.now]);
+      // Ignores the signal, so a cancelled task keeps its slot for the whole 10ms.
+      await sleep(10);
+      if (fail) throw new Error(name);
+      return name;
+    }, {priority, signal}));
+
+    let queued = new AbortController(), running = new AbortController();
+    let tasks = {
+      a: add("a", 0),
+      b: add("b", 2),
+      c: add("c", 1),
+      d: add("d", 2),
+      e: add("e", 0, queued.signal),
+      f: add("f", 1, running.signal),
+      g: add("g", -1, undefined, true)
+    };
+
+    queued.abort();
+    await clock.advance(0);
+    assertStatus(tasks.e, "rejected", "AbortError");
+    assertEqual([pool.size, pool.cancelled], [6, 1]);
+
+    // Higher priorities first, in order of adding otherwise.
+    pool.resume();
+    await clock.advance(35);
+    running.abort();
+    await clock.advance(0);
+    assertStatus(tasks.f, "rejected", "AbortError");
+    assertEqual([pool.running, pool.cancelled], [1, 2]);
+
+    await clock.advance(100);
+    assertEqual(started, [["b", 0], ["d", 10], ["c", 20], ["f", 30], ["a", 40], ["g", 50]]);
+    assertStatus(tasks.g, "rejected");
+    assertEqual(progress.at(-1), {completed: 4, failed: 1, cancelled: 2, queued: 0, running: 0});
+
+    // Clearing rejects and counts the queued tasks.
+    pool.pause();
+    let cleared = [add("h", 0), add("i", 0)];
+    pool.clear();
+    await clock.advance(0);
+    cleared.forEach(task => assertStatus(task, "rejected", "AbortError"));
+    assertEqual(progress.at(-1), {completed: 4, failed: 1, cancelled: 4, queued: 0, running: 0});
+    await pool.onIdle();
+  }
+};
+
+/**********************************************
+ * Command line
+ **********************************************/
+/**
+ * Runs the given cases, each on fresh fake timers, and logs a report.
+ *
+ * @param {Array} [names] - Cases to run, all by default.
+ * @returns {Promise} Resolves to true if everything passed.
+ */
+export async function runTests(names = Object.keys(cases)) {
+  let passed = true;
+
+  for (let name of names) {
+    let clock = installFakeTimers();
+    try {
+      await cases[name](clock);
+      console.log(`  PASS  ${name}`);
+    } catch (error) {
+      passed = false;
+      console.log(`  FAIL  ${name}\n        ${error.message}`);
+    } finally {
+      clock.restore();
+    }
+  }
+
+  console.log(passed ? "\nAll tests passed." : "\nSome tests FAILED.");
+  return passed;
+}
+
+if (globalThis.process?.argv?.[1] !== undefined) {
+  const {pathToFileURL} = await import("node:url");
+
+  if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    let requested = process.argv.slice(2);
+    let unknown = requested.filter(name => !(name in cases));
+    if (unknown.length > 0) {
+      console.error(`Unknown cases ${unknown.join(", ")}, available are: ${Object.keys(cases).join(", ")}`);
+      process.exitCode = 1;
+    } else if (!(await runTests(requested.length > 0 ? requested : undefined))) {
+      process.exitCode = 1;
+    }
+  }
+}